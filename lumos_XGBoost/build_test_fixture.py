@@ -0,0 +1,118 @@
+"""
+Parity Fixture Builder
+Train a tiny XGBoost model on a few hand-labelled messages and write it, with its
+predictions, to test/fixtures/model for npm test (test/modelParity.test.js).
+The expected results come from ScamPredictor.predict(), i.e. from XGBoost's own
+Booster.predict(), so the JavaScript engine is checked against real XGBoost output.
+"""
+
+import json
+import os
+
+import joblib
+import pandas as pd
+import xgboost as xgb
+from sklearn.feature_extraction.text import TfidfVectorizer
+from sklearn.preprocessing import StandardScaler
+
+from export_model import PARITY_CASES, export_bundle
+from predict import ScamPredictor
+
+FIXTURE_DIR = os.path.join(os.path.dirname(os.path.abspath(__file__)), '..', 'test', 'fixtures', 'model')
+BUNDLE_NAME = 'scam_detector_model.json'
+
+NUMERIC_COLUMNS = ['message_length', 'contains_urgent_words', 'contains_money_keywords', 'exclamation_count',
+                   'has_url', 'url_is_shortened', 'openai_confidence', 'openai_urgency_level']
+DERIVED_COLUMNS = ['keyword_count', 'reason_length', 'emotion_trigger_count',
+                   'action_click_link', 'action_reply', 'impersonate_courier', 'impersonate_bank']
+
+# Training rows besides the parity inputs: (label, input)
+EXTRA_ROWS = [
+    (1, {'message_text': '您的帳戶異常,請立即點擊連結 http://bit.ly/acct 驗證,否則將停用', 'openai_keywords': '立即,點擊,停用',
+         'openai_reason': '以停用帳戶威脅並要求點擊連結', 'openai_action_requested': 'click_link', 'openai_impersonation_type': 'bank',
+         'message_length': 40, 'contains_urgent_words': 1, 'has_url': 1, 'url_is_shortened': 1, 'exclamation_count': 0,
+         'openai_confidence': 92, 'openai_urgency_level': 8}),
+    (1, {'message_text': 'Final notice! Pay the customs fee now: http://tinyurl.com/fee', 'openai_keywords': 'pay, fee, now',
+         'openai_reason': 'Demands payment through a shortened link', 'openai_action_requested': 'click_link',
+         'openai_impersonation_type': 'courier', 'message_length': 61, 'contains_urgent_words': 1, 'contains_money_keywords': 1,
+         'has_url': 1, 'url_is_shortened': 1, 'exclamation_count': 1, 'openai_confidence': 88, 'openai_urgency_level': 9}),
+    (1, {'message_text': '恭喜您中獎!請點擊連結領取獎金', 'openai_keywords': '中獎,點擊,獎金', 'openai_reason': '假中獎通知',
+         'openai_action_requested': 'click_link', 'openai_impersonation_type': 'company', 'message_length': 16,
+         'exclamation_count': 1, 'openai_confidence': 85, 'openai_urgency_level': 6}),
+    (0, {'message_text': 'Your package was delivered today. Thanks for shopping with us', 'openai_keywords': 'package, delivered',
+         'openai_reason': 'Ordinary delivery confirmation', 'openai_action_requested': 'none', 'openai_impersonation_type': 'courier',
+         'message_length': 62, 'openai_confidence': 80, 'openai_urgency_level': 1}),
+    (0, {'message_text': '明天下午三點開會,記得帶筆電', 'openai_keywords': '', 'openai_reason': '一般行程提醒',
+         'openai_action_requested': 'none', 'message_length': 14, 'openai_confidence': 90, 'openai_urgency_level': 1}),
+    (0, {'message_text': 'Reply 1 to confirm your dentist appointment on Friday', 'openai_keywords': 'reply, appointment',
+         'openai_reason': 'Appointment reminder from a known sender', 'openai_action_requested': 'reply',
+         'message_length': 53, 'openai_confidence': 75, 'openai_urgency_level': 2}),
+]
+PARITY_LABELS = {'package_scam_zh': 1, 'bank_bill_zh': 0, 'prize_scam_en': 1, 'order_shipped_en': 0}
+
+
+def build_predictor(rows, labels):
+    """Fit the vectorizers, scaler and a three-tree model the way ScamPredictor reads them"""
+    texts = pd.Series([row.get('message_text') or '' for row in rows])
+    keywords = pd.Series([row.get('openai_keywords') or '' for row in rows])
+
+    predictor = ScamPredictor.__new__(ScamPredictor)
+    predictor.use_text_features = True
+    predictor.tfidf_vectorizer = TfidfVectorizer(max_features=6, ngram_range=(1, 2)).fit(texts)
+    predictor.keyword_vectorizer = TfidfVectorizer(max_features=4).fit(keywords)
+    predictor.feature_columns = (
+        NUMERIC_COLUMNS
+        + [f'tfidf_msg_{i}' for i in range(len(predictor.tfidf_vectorizer.vocabulary_))]
+        + [f'tfidf_kw_{i}' for i in range(len(predictor.keyword_vectorizer.vocabulary_))]
+        + DERIVED_COLUMNS
+    )
+
+    # Training features go through prepare_features too, so they match prediction exactly
+    X = pd.concat([predictor.prepare_features(row) for row in rows], ignore_index=True)
+    predictor.scaler = StandardScaler().fit(X)
+    predictor.model = xgb.XGBClassifier(objective='binary:logistic', n_estimators=3, max_depth=2,
+                                        learning_rate=0.3, random_state=42, verbosity=0)
+    predictor.model.fit(predictor.scaler.transform(X), labels)
+    return predictor
+
+
+def main():
+    rows = [case['input'] for case in PARITY_CASES if case['name'] in PARITY_LABELS] + [row for _, row in EXTRA_ROWS]
+    labels = [PARITY_LABELS[case['name']] for case in PARITY_CASES if case['name'] in PARITY_LABELS] + [label for label, _ in EXTRA_ROWS]
+    predictor = build_predictor(rows, labels)
+
+    # Save and reload it as predict.py would, so the fixture is what a real export writes
+    model_path = os.path.join(FIXTURE_DIR, 'scam_detector_model.pkl')
+    joblib.dump({
+        'model': predictor.model,
+        'scaler': predictor.scaler,
+        'tfidf_vectorizer': predictor.tfidf_vectorizer,
+        'keyword_vectorizer': predictor.keyword_vectorizer,
+        'feature_columns': predictor.feature_columns,
+        'use_text_features': True,
+    }, model_path)
+    try:
+        predictor = ScamPredictor(model_path)
+        bundle = export_bundle(predictor, 'build_test_fixture.py')
+    finally:
+        os.remove(model_path)
+
+    with open(os.path.join(FIXTURE_DIR, BUNDLE_NAME), 'w', encoding='utf-8') as f:
+        json.dump(bundle, f, ensure_ascii=False, allow_nan=False)
+
+    cases = [dict(case) for case in PARITY_CASES]
+    for case in cases:
+        case['expected'] = predictor.predict(case['input'])
+    with open(os.path.join(FIXTURE_DIR, 'parity_cases.json'), 'w', encoding='utf-8') as f:
+        json.dump({
+            'model': BUNDLE_NAME,
+            'note': f'Fixture model for npm test, written by lumos_XGBoost/build_test_fixture.py: three trees trained by '
+                    f'XGBoost {xgb.__version__} on {len(rows)} messages. Expected results are predict.py\'s ScamPredictor '
+                    f'on that model.',
+            'cases': cases,
+        }, f, ensure_ascii=False, indent=2, allow_nan=False)
+    print(f"✅ Fixture model and {len(cases)} parity cases saved in {os.path.normpath(FIXTURE_DIR)}")
+
+
+if __name__ == "__main__":
+    main()
@@ -0,0 +1,218 @@
+"""
+Model Export Script
+Write the trained model as JSON for in-process inference in Node.js
+(src/services/xgboostLocal.js), plus predictions to check it against
+"""
+
+import json
+import math
+import os
+import sys
+from datetime import datetime
+
+import pandas as pd
+import sklearn
+import xgboost as xgb
+
+from predict import ScamPredictor
+
+BUNDLE_FORMAT = 1
+
+# Inputs whose Python predictions are saved for the parity check
+# (training/scripts/test-model-parity.js); rows of training_data.csv are added when it exists
+PARITY_CASES = [
+    {
+        'name': 'package_scam_zh',
+        'input': {
+            'message_text': '【緊急通知】您的包裹因地址不詳無法配送,請立即點擊 http://bit.ly/pkg123 補填資料並支付運費99元,逾期將退回!',
+            'openai_keywords': '緊急,包裹,點擊,支付,運費',
+            'openai_reason': '要求點擊可疑連結並支付金錢,使用緊急語氣施壓',
+            'openai_emotion_triggers': '緊急,逾期,退回',
+            'openai_action_requested': 'click_link',
+            'openai_impersonation_type': 'courier',
+            'message_length': 68,
+            'contains_urgent_words': 1,
+            'contains_money_keywords': 1,
+            'contains_link_text': 1,
+            'has_url': 1,
+            'url_is_shortened': 1,
+            'special_char_count': 15,
+            'exclamation_count': 1,
+            'openai_is_scam': 1,
+            'openai_confidence': 95,
+            'openai_urgency_level': 9,
+            'openai_threat_level': 7,
+            'openai_credibility_score': 2,
+            'avg_word_length': 4.5,
+            'digit_ratio': 0.1,
+        },
+    },
+    {
+        'name': 'bank_bill_zh',
+        'input': {
+            'message_text': '您好,這是來自銀行的通知:您的信用卡帳單已產生,本期應繳金額3500元,繳款期限為本月25日。',
+            'openai_keywords': '銀行,信用卡,帳單,繳款',
+            'openai_reason': '正常的銀行帳單通知,無要求立即行動或點擊連結',
+            'openai_emotion_triggers': '',
+            'openai_action_requested': 'reply',
+            'openai_impersonation_type': 'bank',
+            'message_length': 45,
+            'contains_money_keywords': 1,
+            'special_char_count': 5,
+            'openai_is_scam': 0,
+            'openai_confidence': 85,
+            'openai_urgency_level': 2,
+            'openai_credibility_score': 8,
+            'avg_word_length': 4.2,
+            'digit_ratio': 0.08,
+        },
+    },
+    {
+        'name': 'prize_scam_en',
+        'input': {
+            'message_text': 'Congratulations! You won a prize! Click http://bit.ly/prize123 to claim your prize NOW or call 0912345678',
+            'openai_keywords': 'prize, click, claim now, won',
+            'openai_reason': 'Unsolicited prize claim with a shortened link and pressure to act now',
+            'openai_emotion_triggers': 'excitement,urgency',
+            'openai_action_requested': 'Click_Link',
+            'openai_impersonation_type': 'company',
+            'message_length': 104,
+            'contains_urgent_words': True,
+            'contains_prize_keywords': True,
+            'has_url': 1,
+            'url_count': 1,
+            'url_is_shortened': 1,
+            'has_phone': 1,
+            'phone_count': 1,
+            'phone_country_code': '886',
+            'exclamation_count': 2,
+            'openai_is_scam': 1,
+            'openai_confidence': 90,
+            'openai_urgency_level': 8,
+            'openai_temptation_level': 9,
+            'google_safe_browsing_threat': 'MALWARE',
+        },
+    },
+    {
+        'name': 'order_shipped_en',
+        'input': {
+            'message_text': 'Hello, your order has been shipped. Contact customer service at 02-2345-6789 for tracking',
+            'openai_keywords': None,
+            'openai_reason': None,
+            'message_length': 88,
+            'has_phone': 1,
+            'phone_count': 1,
+            'phone_is_valid': 1,
+            'openai_is_scam': 0,
+            'openai_confidence': 80,
+            'openai_credibility_score': 7,
+            'url_length': ' 12 ',
+        },
+    },
+    {
+        # privacy=local: no text is sent, so every text-derived column is zero
+        'name': 'no_text',
+        'input': {
+            'message_length': 30,
+            'exclamation_count': 3,
+            'openai_urgency_level': 6,
+        },
+    },
+    {
+        'name': 'empty',
+        'input': {},
+    },
+]
+
+
+def export_vectorizer(vectorizer):
+    """Everything TfidfVectorizer.transform() needs, or None when the model has no vectorizer"""
+    if vectorizer is None:
+        return None
+    if vectorizer.analyzer != 'word' or vectorizer.tokenizer is not None or vectorizer.preprocessor is not None:
+        raise ValueError('Only word analyzers with the default tokenizer and preprocessor can be exported')
+    if vectorizer.strip_accents is not None:
+        raise ValueError('strip_accents is not supported by the JavaScript vectorizer')
+
+    return {
+        'vocabulary': {term: int(index) for term, index in vectorizer.vocabulary_.items()},
+        'idf': vectorizer.idf_.tolist() if vectorizer.use_idf else None,
+        'token_pattern': vectorizer.token_pattern,
+        'lowercase': bool(vectorizer.lowercase),
+        'ngram_range': list(vectorizer.ngram_range),
+        'stop_words': sorted(vectorizer.get_stop_words() or []),
+        'binary': bool(vectorizer.binary),
+        'sublinear_tf': bool(vectorizer.sublinear_tf),
+        'norm': vectorizer.norm,
+    }
+
+
+def export_bundle(predictor, source):
+    """Model, scaler, vectorizers and feature importances as one JSON-serializable dict"""
+    scaler = predictor.scaler
+    feature_count = len(predictor.feature_columns)
+    booster = predictor.model.get_booster()
+
+    return {
+        'format': BUNDLE_FORMAT,
+        'source': source,
+        'exported_at': datetime.now().isoformat(),
+        'versions': {'xgboost': xgb.__version__, 'scikit-learn': sklearn.__version__},
+        'feature_columns': list(predictor.feature_columns),
+        'use_text_features': bool(predictor.use_text_features),
+        'scaler': {
+            'mean': scaler.mean_.tolist() if scaler.mean_ is not None else [0.0] * feature_count,
+            'scale': scaler.scale_.tolist() if scaler.scale_ is not None else [1.0] * feature_count,
+        },
+        'tfidf_vectorizer': export_vectorizer(predictor.tfidf_vectorizer),
+        'keyword_vectorizer': export_vectorizer(predictor.keyword_vectorizer),
+        'feature_importances': predictor.model.feature_importances_.tolist(),
+        'booster': json.loads(bytes(booster.save_raw('json')).decode('utf-8')),
+    }
+
+
+def load_sample_rows(data_path, limit=50):
+    """Parity inputs from the training CSV (label and ids dropped, empty cells as null)"""
+    if not os.path.exists(data_path):
+        return []
+    df = pd.read_csv(data_path).head(limit)
+    rows = []
+    for index, row in df.iterrows():
+        values = {}
+        for key, value in row.drop(labels=['label', 'message_id'], errors='ignore').items():
+            if isinstance(value, float) and math.isnan(value):
+                value = None
+            values[key] = value.item() if hasattr(value, 'item') else value
+        rows.append({'name': f'{data_path}#{index}', 'input': values})
+    return rows
+
+
+def main():
+    model_path = sys.argv[1] if len(sys.argv) > 1 else 'scam_detector_model.pkl'
+    bundle_path = sys.argv[2] if len(sys.argv) > 2 else 'scam_detector_model.json'
+    parity_path = 'parity_cases.json'
+
+    print("=" * 60)
+    print("📦 Scam Model Export")
+    print("=" * 60)
+
+    predictor = ScamPredictor(model_path)
+    bundle = export_bundle(predictor, os.path.basename(model_path))
+    with open(bundle_path, 'w', encoding='utf-8') as f:
+        json.dump(bundle, f, ensure_ascii=False, allow_nan=False)
+    print(f"✅ Model bundle saved: {bundle_path}")
+
+    cases = PARITY_CASES + load_sample_rows('training_data.csv')
+    for case in cases:
+        case['expected'] = predictor.predict(case['input'])
+    with open(parity_path, 'w', encoding='utf-8') as f:
+        json.dump({'model': bundle_path, 'cases': cases}, f, ensure_ascii=False, indent=2, allow_nan=False)
+    print(f"✅ {len(cases)} parity cases saved: {parity_path}")
+
+    print("\nNext Steps:")
+    print("1. Run npm run test:model-parity from the project root")
+    print("2. Set ML_ENGINE=local (or auto) to score without api_server.py")
+
+
+if __name__ == "__main__":
+    main()
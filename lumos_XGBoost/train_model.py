@@ -14,6 +14,7 @@ import joblib
 import matplotlib.pyplot as plt
 import seaborn as sns
 import json
+import os
 from datetime import datetime
 import re
 
@@ -21,6 +22,31 @@ import re
 plt.rcParams['font.sans-serif'] = ['Microsoft JhengHei', 'Arial Unicode MS']
 plt.rcParams['axes.unicode_minus'] = False
 
+# Row metadata written by training/utils/csvWriter.js before the features
+METADATA_COLUMNS = ['message_id', 'source', 'feature_version']
+
+# Non-model columns of CSVs written before training_data.features.json existed
+LEGACY_NON_MODEL_COLUMNS = ['message_text', 'url_domain', 'phone_number', 'phone_carrier',
+                            'openai_reason', 'openai_keywords', 'openai_impersonation_type',
+                            'openai_action_requested', 'openai_emotion_triggers', 'lexicon_matches']
+
+
+def load_non_model_columns(data_path):
+    """
+    Columns the feature registry (src/services/featureRegistry.js) does not send to the model
+    as is: 'text' ones are turned into features here, 'record' ones are only for review.
+    Read from the schema csvWriter.js keeps next to the CSV (training_data.features.json).
+    """
+    schema_path = os.path.splitext(data_path)[0] + '.features.json'
+    if not os.path.exists(schema_path):
+        print(f"⚠️ {schema_path} not found; excluding the known text and record columns")
+        return None, LEGACY_NON_MODEL_COLUMNS
+    with open(schema_path, encoding='utf-8') as f:
+        schema = json.load(f)
+    columns = [feature['name'] for feature in schema['features'] if feature['kind'] != 'model']
+    return schema['feature_version'], columns
+
+
 class ScamDetectionModel:
     def __init__(self, data_path='training_data.csv', use_text_features=True):
         self.data_path = data_path
@@ -31,11 +57,20 @@ class ScamDetectionModel:
         self.feature_columns = None
         self.metrics = {}
         self.use_text_features = use_text_features
+        self.non_model_columns = LEGACY_NON_MODEL_COLUMNS
         
     def load_data(self):
         """Load training data"""
         print("📁 Loading data...")
         df = pd.read_csv(self.data_path)
+
+        # Rows from different registry versions give some columns different meanings
+        schema_version, self.non_model_columns = load_non_model_columns(self.data_path)
+        row_versions = sorted(df['feature_version'].dropna().unique()) if 'feature_version' in df.columns else []
+        if len(row_versions) > 1:
+            raise ValueError(f"{self.data_path} mixes feature registry versions {row_versions}; train on one version")
+        if schema_version is not None and row_versions and row_versions[0] != schema_version:
+            raise ValueError(f"{self.data_path} rows are feature registry v{row_versions[0]}, its schema is v{schema_version}")
         print(f"Total records: {len(df)}")
         print(f"Scam messages: {(df['label'] == 1).sum()}")
         print(f"Normal messages: {(df['label'] == 0).sum()}")
@@ -50,11 +85,8 @@ class ScamDetectionModel:
             print("   Extracting text features from message_text...")
             df = self.extract_text_features(df)
         
-        # Remove unnecessary columns
-        exclude_cols = ['message_id', 'source', 'message_text', 'url_domain', 
-                       'phone_number', 'phone_carrier', 'openai_reason', 
-                       'openai_keywords', 'openai_impersonation_type', 
-                       'openai_action_requested', 'openai_emotion_triggers']
+        # Remove row metadata and the registry's text and record columns
+        exclude_cols = METADATA_COLUMNS + self.non_model_columns
         
         # Get feature columns
         self.feature_columns = [col for col in df.columns 
@@ -347,6 +379,7 @@ def main():
     print("2. View model_metrics.json to understand model performance")
     print("3. Run python predict.py to test prediction")
     print("4. Run python api_server.py to start API service")
+    print("5. Run python export_model.py to use the model in-process from Node.js")
 
 if __name__ == "__main__":
     main()
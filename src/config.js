@@ -1,13 +1,104 @@
 import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
 dotenv.config();
 
+// Project root, so default file paths do not depend on the working directory
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
 export default {
   port: process.env.PORT || 3000,
   googleSafeBrowsingApiKey: process.env.GOOGLE_SAFE_BROWSING_API_KEY,
+  safeBrowsing: {
+    // 'lookup' sends each URL to Google; 'update' keeps a local hash-prefix database (see services/safeBrowsingUpdate.js)
+    mode: process.env.SAFE_BROWSING_MODE || 'lookup',
+    // Point at a local stand-in server for tests
+    apiBaseUrl: process.env.SAFE_BROWSING_API_URL || 'https://safebrowsing.googleapis.com/v4',
+    // Lookup API requests; a URL that times out gets an unknown verdict
+    timeoutMs: parseInt(process.env.SAFE_BROWSING_TIMEOUT_MS || '5000', 10),
+    databaseFile: process.env.SAFE_BROWSING_DB_FILE || path.join(ROOT, 'safe_browsing_db.json'),
+  },
+  // URL reputation providers, merged into one verdict (see services/urlIntel.js); list files are comma-separated
+  urlIntel: {
+    providers: (process.env.URL_INTEL_PROVIDERS || 'allowlist,blocklist,safebrowsing').split(',').map(p => p.trim()),
+    blocklistFiles: (process.env.URL_BLOCKLIST_FILES || path.join(ROOT, 'src/data/lists/url_blocklist.txt')).split(',').map(f => f.trim()).filter(Boolean),
+    allowlistFiles: (process.env.URL_ALLOWLIST_FILES || path.join(ROOT, 'src/data/lists/url_allowlist.txt')).split(',').map(f => f.trim()).filter(Boolean),
+  },
+  // Scam-vocabulary files, one per category and language, re-read when they change (see services/lexiconService.js)
+  lexiconDir: process.env.LEXICON_DIR || path.join(ROOT, 'src/data/lexicons'),
+  // Extra / overriding brands for lookalike-domain detection (JSON, same shape as data/brands.js)
+  brandRegistryFile: process.env.BRAND_REGISTRY_FILE,
+  // Short-link expansion before the reputation checks (see services/redirectResolver.js)
+  redirects: {
+    // 'shortlinks' expands known shortener hosts, 'all' every URL, 'off' none
+    mode: process.env.REDIRECT_RESOLVE || 'shortlinks',
+    maxHops: parseInt(process.env.REDIRECT_MAX_HOPS || '5', 10),
+    timeoutMs: parseInt(process.env.REDIRECT_TIMEOUT_MS || '3000', 10),
+    maxBodyBytes: 64 * 1024,
+  },
+  // Landing-page inspection: fetch each link's final page and look for credential forms,
+  // brand names and obfuscated scripts (see services/pageInspector.js); off unless PAGE_INSPECTION=on
+  pageInspection: {
+    enabled: process.env.PAGE_INSPECTION === 'on',
+    maxPages: parseInt(process.env.PAGE_INSPECTION_MAX_PAGES || '3', 10),
+    timeoutMs: parseInt(process.env.PAGE_INSPECTION_TIMEOUT_MS || '4000', 10),
+    maxBodyBytes: 256 * 1024,
+  },
+  // Local URL verdict cache (see services/urlCache.js); TTLs in seconds
+  urlCache: {
+    file: process.env.URL_CACHE_FILE || path.join(ROOT, 'url_cache.json'),
+    maxEntries: parseInt(process.env.URL_CACHE_MAX_ENTRIES || '50000', 10),
+    ttlSeconds: {
+      safe: parseInt(process.env.URL_CACHE_SAFE_TTL || '3600', 10),
+      unsafe: parseInt(process.env.URL_CACHE_UNSAFE_TTL || '86400', 10),
+      error: parseInt(process.env.URL_CACHE_ERROR_TTL || '60', 10),
+    },
+  },
+  // Required in the x-admin-token header for /api/admin/* (admin API is disabled when unset)
+  adminToken: process.env.ADMIN_TOKEN,
   twilio: {
     accountSid: process.env.TWILIO_ACCOUNT_SID,
     authToken: process.env.TWILIO_AUTH_TOKEN,
   },
+  // Phone lookup providers, tried in order until one answers (see services/phoneIntel.js)
+  phoneIntelProviders: (process.env.PHONE_INTEL_PROVIDERS || 'twilio,offline').split(',').map(p => p.trim()),
   openaiApiKey: process.env.OPENAI_API_KEY,
+  // LLM used for message analysis and report explanations (see services/llmClient.js)
+  llm: {
+    // 'openai', 'openai-compatible' (Ollama, llama.cpp, vLLM, ... at LLM_BASE_URL) or 'mock' (canned answers for tests)
+    provider: process.env.LLM_PROVIDER || 'openai',
+    model: process.env.LLM_MODEL || 'gpt-4o-mini',
+    baseUrl: process.env.LLM_BASE_URL,
+    apiKey: process.env.LLM_API_KEY || process.env.OPENAI_API_KEY,
+    temperature: parseFloat(process.env.LLM_TEMPERATURE || '0.3'),
+    explainTemperature: parseFloat(process.env.LLM_EXPLAIN_TEMPERATURE || '0.4'),
+    timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS || '30000', 10),
+  },
+  // Replace ID, card and account numbers, emails, addresses and labelled names with placeholders
+  // before message text is sent to the LLM (see services/piiRedactor.js); on unless PII_REDACTION=off
+  redaction: {
+    enabled: process.env.PII_REDACTION !== 'off',
+  },
+  // 'local' keeps message content on this server for every request: no Safe Browsing, Twilio,
+  // short-link expansion, page inspection or hosted LLM (see services/privacyMode.js).
+  // Otherwise requests can still ask for it with privacy=local.
+  privacy: {
+    mode: process.env.PRIVACY_MODE === 'local' ? 'local' : 'standard',
+    // 'on' when LLM_PROVIDER=openai-compatible points at a model on your own infrastructure
+    localLlm: process.env.PRIVACY_LOCAL_LLM === 'on',
+  },
   xgboostApiUrl: process.env.XGBOOST_API_URL || 'http://localhost:5000',
+  // Where the model runs: 'remote' (the Python service at XGBOOST_API_URL), 'local' (in-process,
+  // from the bundle lumos_XGBoost/export_model.py writes; see services/xgboostLocal.js) or
+  // 'auto' (the Python service, and in-process when it does not answer)
+  mlEngine: process.env.ML_ENGINE || 'auto',
+  xgboostModelFile: process.env.XGBOOST_MODEL_FILE || path.join(ROOT, 'lumos_XGBoost/scam_detector_model.json'),
+  // Startup check of the model's feature columns against src/services/featureRegistry.js:
+  // 'strict' stops the server on a mismatch, 'warn' only logs it, 'off' skips it
+  mlFeatureCheck: process.env.ML_FEATURE_CHECK || 'strict',
+  // User's home region (ISO 3166 alpha-2) for numbers written without a country code,
+  // and for where the action advice says to report a scam
+  defaultRegion: process.env.DEFAULT_REGION || 'TW',
+  // Report language when the request has neither lang nor Accept-Language (see services/i18n.js)
+  defaultLanguage: process.env.DEFAULT_LANGUAGE || 'en',
 };
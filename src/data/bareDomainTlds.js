@@ -0,0 +1,13 @@
+/**
+ * Top-level domains a link may end in when it is written without "http://" or "www."
+ * Used to find bare domains ("ctbcbank-login.top", services/parser.js) and spelled-out
+ * ones ("example dot com", services/normalizer.js). Any word followed by a full stop and
+ * another word would look like a domain, so only common TLDs and the ones scam links
+ * favour (data/suspiciousTlds.js) are listed.
+ */
+export const BARE_DOMAIN_TLDS = [
+  'com', 'net', 'org', 'gov', 'edu', 'info', 'biz', 'io', 'co', 'me', 'ly', 'cc',
+  'tw', 'hk', 'cn',
+  'app', 'site', 'online', 'shop', 'vip', 'club', 'link', 'click', 'xyz', 'top', 'work',
+  'tk', 'ml', 'ga', 'cf', 'gq',
+];
@@ -0,0 +1,48 @@
+/**
+ * Brand registry: official domains of organisations scammers imitate
+ * Used by services/lookalikeDetector.js. Extend or override entries (matched by id)
+ * with a JSON file of the same shape through BRAND_REGISTRY_FILE.
+ *
+ * - domains: official domains, including group companies that carry the brand name
+ *   ("fubonlife.com.tw"); the domain and its subdomains are genuine
+ * - keywords: strings that only this brand's domains should contain, matched in other
+ *   domains as whole hyphen-separated parts next to a lure word (e.g. "post-gov-tw.xyz"
+ *   contains "post" + "gov"). Domain labels of 5+ letters are keywords automatically;
+ *   shorter labels such as "post" or "hct" are too common and only match through
+ *   explicit keywords.
+ */
+export const BRANDS = [
+  // Banks
+  { id: 'ctbc', name: 'CTBC Bank (中國信託)', category: 'bank', domains: ['ctbcbank.com', 'ctbcbank.com.tw'], keywords: ['ctbc'] },
+  { id: 'esun', name: 'E.SUN Bank (玉山銀行)', category: 'bank', domains: ['esunbank.com', 'esunbank.com.tw'], keywords: ['esunbank'] },
+  { id: 'cathay', name: 'Cathay United Bank (國泰世華)', category: 'bank', domains: ['cathaybk.com.tw', 'cathayholdings.com', 'cathaylife.com.tw', 'cathaysec.com.tw'], keywords: ['cathay'] },
+  { id: 'fubon', name: 'Taipei Fubon Bank (台北富邦)', category: 'bank', domains: ['fubon.com', 'taipeifubon.com.tw', 'fubonlife.com.tw', 'fubonsecurities.com'], keywords: ['fubon'] },
+  { id: 'taishin', name: 'Taishin Bank (台新銀行)', category: 'bank', domains: ['taishinbank.com.tw'], keywords: ['taishin'] },
+  { id: 'mega', name: 'Mega Bank (兆豐銀行)', category: 'bank', domains: ['megabank.com.tw'], keywords: ['megabank'] },
+  { id: 'bot', name: 'Bank of Taiwan (臺灣銀行)', category: 'bank', domains: ['bot.com.tw'], keywords: ['bankoftaiwan'] },
+  { id: 'firstbank', name: 'First Bank (第一銀行)', category: 'bank', domains: ['firstbank.com.tw'], keywords: ['firstbank'] },
+  { id: 'landbank', name: 'Land Bank of Taiwan (土地銀行)', category: 'bank', domains: ['landbank.com.tw'], keywords: ['landbank'] },
+  { id: 'hncb', name: 'Hua Nan Bank (華南銀行)', category: 'bank', domains: ['hncb.com.tw'], keywords: ['hncb', 'huanan'] },
+  { id: 'sinopac', name: 'Bank SinoPac (永豐銀行)', category: 'bank', domains: ['sinopac.com', 'banksinopac.com.tw', 'sinopacsecurities.com'], keywords: ['sinopac'] },
+  { id: 'tcb', name: 'Taiwan Cooperative Bank (合作金庫)', category: 'bank', domains: ['tcb-bank.com.tw'], keywords: ['tcbbank'] },
+  { id: 'yuanta', name: 'Yuanta Bank (元大銀行)', category: 'bank', domains: ['yuantabank.com.tw', 'yuantafutures.com.tw'], keywords: ['yuanta'] },
+  { id: 'linebank', name: 'LINE Bank (連線銀行)', category: 'bank', domains: ['linebank.com.tw'], keywords: ['linebank'] },
+
+  // Chunghwa Post and government
+  { id: 'post', name: 'Chunghwa Post (中華郵政)', category: 'post', domains: ['post.gov.tw'], keywords: ['chunghwapost', 'postgov', 'twpost'] },
+  { id: 'gov', name: 'Taiwan government (gov.tw)', category: 'government', domains: ['gov.tw'], keywords: ['govtw'] },
+  { id: 'mvdis', name: 'Motor Vehicles Office (監理服務網)', category: 'government', domains: ['mvdis.gov.tw'], keywords: ['mvdis'] },
+  { id: 'etax', name: 'Ministry of Finance e-Tax (財政部)', category: 'government', domains: ['etax.nat.gov.tw', 'mof.gov.tw'], keywords: ['etax'] },
+  { id: 'nhi', name: 'National Health Insurance (健保署)', category: 'government', domains: ['nhi.gov.tw'], keywords: ['nhigov'] },
+  { id: 'npa', name: 'National Police Agency / 165 (警政署)', category: 'government', domains: ['npa.gov.tw'], keywords: ['npagov', '165gov'] },
+
+  // Couriers and stores
+  { id: 'tcat', name: 'T-CAT (黑貓宅急便)', category: 'courier', domains: ['t-cat.com.tw'], keywords: ['tcat', 'blackcat'] },
+  { id: 'hct', name: 'HCT Logistics (新竹物流)', category: 'courier', domains: ['hct.com.tw'], keywords: ['hctlogistics'] },
+  { id: 'kerry', name: 'Kerry TJ Logistics (嘉里大榮)', category: 'courier', domains: ['kerrytj.com'], keywords: ['kerrytj'] },
+  { id: '711', name: '7-ELEVEN / ibon', category: 'courier', domains: ['7-11.com.tw', 'ibon.com.tw'], keywords: ['7eleven', 'ibon'] },
+  { id: 'familymart', name: 'FamilyMart (全家)', category: 'courier', domains: ['family.com.tw'], keywords: ['familymart'] },
+  { id: 'dhl', name: 'DHL', category: 'courier', domains: ['dhl.com', 'dhl.com.tw'], keywords: ['dhlexpress'] },
+  { id: 'shopee', name: 'Shopee (蝦皮購物)', category: 'company', domains: ['shopee.tw', 'shopee.com', 'shopeepay.tw'], keywords: ['shopee'] },
+  { id: 'momo', name: 'momo購物網', category: 'company', domains: ['momoshop.com.tw', 'momoshopping.com'], keywords: ['momoshop'] },
+];
@@ -0,0 +1,29 @@
+/**
+ * Confusable characters: non-ASCII letters that render like an ASCII letter or digit
+ * A bundled subset of the Unicode confusables table (UTS #39, confusables.txt), limited to
+ * lowercase forms since hostnames are lowercased. Used by services/hostnameAnalyzer.js
+ * to build a hostname's skeleton, e.g. "сtbcbank.com" (Cyrillic с) -> "ctbcbank.com".
+ * Accented Latin letters ("é", "ü") are not listed: their marks are stripped separately.
+ */
+export const CONFUSABLES = {
+  // Cyrillic
+  'а': 'a', 'в': 'b', 'ь': 'b', 'с': 'c', 'ԁ': 'd', 'е': 'e', 'ё': 'e', 'һ': 'h', 'н': 'h',
+  'і': 'i', 'ї': 'i', 'ј': 'j', 'к': 'k', 'ӏ': 'l', 'м': 'm', 'п': 'n', 'о': 'o', 'р': 'p',
+  'ԛ': 'q', 'г': 'r', 'ѕ': 's', 'т': 't', 'ц': 'u', 'ѵ': 'v', 'ԝ': 'w', 'ш': 'w', 'х': 'x',
+  'у': 'y', 'ү': 'y', 'з': '3', 'б': '6',
+
+  // Greek
+  'α': 'a', 'β': 'b', 'ϲ': 'c', 'δ': 'd', 'ε': 'e', 'η': 'n', 'ι': 'i', 'ϳ': 'j',
+  'κ': 'k', 'μ': 'u', 'ν': 'v', 'ο': 'o', 'ρ': 'p', 'τ': 't', 'υ': 'u', 'χ': 'x', 'γ': 'y',
+  'ω': 'w',
+
+  // Armenian
+  'ա': 'w', 'գ': 'q', 'զ': 'q', 'հ': 'h', 'ո': 'n', 'ռ': 'n', 'ս': 'u', 'ց': 'g', 'օ': 'o',
+  'ք': 'p', 'ւ': 'l',
+
+  // Latin look-alikes outside ASCII
+  'ı': 'i', 'ɩ': 'i', 'ɪ': 'i', 'ȷ': 'j', 'ɑ': 'a', 'ɒ': 'a', 'ƅ': 'b', 'ɓ': 'b', 'ƈ': 'c',
+  'ɗ': 'd', 'ɖ': 'd', 'ɡ': 'g', 'ɦ': 'h', 'ĸ': 'k', 'ł': 'l', 'ɫ': 'l', 'ŀ': 'l', 'ɱ': 'm',
+  'ɲ': 'n', 'ŋ': 'n', 'ø': 'o', 'ɵ': 'o', 'ƿ': 'p', 'ʀ': 'r', 'ʂ': 's', 'ƭ': 't', 'ʋ': 'u',
+  'ʌ': 'v', 'ʏ': 'y', 'ƶ': 'z', 'ȥ': 'z', 'ß': 'b', 'đ': 'd', 'ħ': 'h',
+};
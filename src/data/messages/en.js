@@ -0,0 +1,153 @@
+/**
+ * English message catalog (the fallback for keys missing from other catalogs)
+ * Keys are shared by every catalog in this directory; {name} placeholders are filled
+ * in by services/i18n.js. Array values are lists, e.g. action suggestions.
+ */
+export const MESSAGES = {
+  // Lists: "a, b and c"
+  'list.separator': ', ',
+  'list.and': ' and ',
+  'list.clauses': ', ',
+
+  // Report evidence (rule-based report)
+  'evidence.ml_score': '🤖 ML Model: {score}% scam probability ({confidence} confidence)',
+  'evidence.url_flagged': '⚠️ URL flagged as dangerous: {url} ({threat}, {source})',
+  'evidence.url_safe': '✅ URL appears safe',
+  'evidence.urls_safe': '✅ All {count} URLs appear safe',
+  'evidence.lookalike': '⚠️ {host} imitates {brand} but is not an official domain',
+  'evidence.homograph': '⚠️ Disguised web address: {description}',
+  'evidence.page_risk': '⚠️ {description}',
+  'evidence.redirect': '🔀 Link {url} leads to {finalUrl} ({count} redirect(s))',
+  'evidence.prompt_injection': '🚨 {description}',
+  'evidence.payment': '💸 {description}',
+  'evidence.phone_voip': '⚠️ Phone number {phone} is VoIP (commonly used in scams)',
+  'evidence.phone_valid': '✅ Phone number {phone} is valid ({carrier})',
+  'evidence.phone_valid_no_carrier': '✅ Phone number {phone} is valid',
+  'evidence.phone_premium': '⚠️ Phone number {phone} is a premium-rate number (calls are charged at high rates)',
+  'evidence.phone_foreign': '⚠️ Phone number {phone} is an international number ({country}), unusual for local services',
+  'evidence.ai_scam': '🔍 AI detected scam indicators: {reason}',
+  'evidence.limited_data': 'Analysis completed with limited data',
+
+  'confidence.High': 'High',
+  'confidence.Medium': 'Medium',
+  'confidence.Low': 'Low',
+  'threat.MALWARE': 'Malware',
+  'threat.SOCIAL_ENGINEERING': 'Phishing',
+  'threat.UNWANTED_SOFTWARE': 'Unwanted Software',
+  'threat.POTENTIALLY_HARMFUL_APPLICATION': 'Potentially Harmful Application',
+  'source.blocklist': 'local blocklist',
+  'source.safebrowsing': 'Google Safe Browsing',
+
+  // Action advice; {channel} is the reporting channel for the user's region
+  'action.red.title': '🚨 High Risk Warning',
+  'action.red.suggestions': [
+    'Do not click any links in this message',
+    'Do not call back or respond',
+    'Block this sender immediately',
+    'Report to {channel} if financial loss involved',
+  ],
+  'action.yellow.title': '⚠️ Handle with Caution',
+  'action.yellow.suggestions': [
+    'Verify through official channels before taking action',
+    'Do not provide personal or financial information',
+    'Be cautious with any links or phone numbers',
+    'Contact {channel} if you have doubts',
+  ],
+  'action.green.title': '✅ Appears Safe',
+  'action.green.suggestions': [
+    'No obvious scam indicators detected',
+    'However, always remain vigilant',
+    'Never share sensitive information unless verified',
+  ],
+
+  // Landing pages (pageInspector.js)
+  'page.summary': 'Landing page {host} {parts}',
+  'page.asks_for': 'asks for {items}',
+  'page.password': 'a password',
+  'page.card': 'card details',
+  'page.otp': 'a one-time code',
+  'page.branding': 'shows {brands} branding',
+  'page.form_target': 'sends the form to {hosts}',
+  'page.obfuscated': 'runs obfuscated scripts ({techniques})',
+
+  // Homograph hosts (hostnameAnalyzer.js)
+  'host.mixed': '{host} mixes {scripts} letters and reads as {skeleton}',
+  'host.whole': '{host} is written in {scripts} letters that look like {skeleton}',
+  'script.Latin': 'Latin',
+  'script.Cyrillic': 'Cyrillic',
+  'script.Greek': 'Greek',
+  'script.Armenian': 'Armenian',
+  'script.Han': 'Han',
+  'script.Hiragana': 'Hiragana',
+  'script.Katakana': 'Katakana',
+  'script.Hangul': 'Hangul',
+  'script.Bopomofo': 'Bopomofo',
+  'script.Thai': 'Thai',
+  'script.Arabic': 'Arabic',
+  'script.Hebrew': 'Hebrew',
+  'script.Georgian': 'Georgian',
+  'script.Cherokee': 'Cherokee',
+  'script.Devanagari': 'Devanagari',
+
+  // Prompt injection (promptGuard.js)
+  'injection.summary': 'The message addresses AI scam filters: it {parts}',
+  'injection.instruction_override': 'tells the AI to ignore its instructions',
+  'injection.verdict_steering': 'dictates the verdict ("this message is safe")',
+  'injection.role_switch': 'tries to change the AI\'s role',
+  'injection.control_token': 'contains hidden model-control tokens',
+  'injection.delimiter_spoof': 'fakes the end of the message',
+
+  // Cross-check: an AI "not a scam" answer overruled by signals it cannot influence
+  'crosscheck.overruled': 'Overruled by {signals}; the AI had answered: {reason}',
+  'crosscheck.no_reason': 'no reason given',
+  'crosscheck.url_flagged': 'a flagged link',
+  'crosscheck.brand_lookalike': 'a brand lookalike domain',
+  'crosscheck.homograph_host': 'a disguised web address',
+  'crosscheck.risky_landing_page': 'a risky landing page',
+  'crosscheck.prompt_injection': 'text aimed at AI filters',
+
+  // Payment instructions (paymentExtractor.js)
+  'payment.summary': 'The message gives payment instructions: {parts}',
+  'payment.with_amounts': '{description} ({amounts})',
+  'payment.bank_transfer': 'transfer to {accounts}',
+  'payment.account_at': '{bank} account {account}',
+  'payment.account': 'account {account}',
+  'payment.store_code': 'pay at a convenience store with code {codes}',
+  'payment.gift_card': 'buy {cards}',
+  'payment.crypto': 'send cryptocurrency to {wallets}',
+  'store.7-eleven': '7-ELEVEN',
+  'store.familymart': 'FamilyMart',
+  'store.hilife': 'Hi-Life',
+  'store.okmart': 'OK Mart',
+  'card.google_play': 'Google Play gift cards',
+  'card.apple': 'Apple gift cards',
+  'card.steam': 'Steam wallet cards',
+  'card.amazon': 'Amazon gift cards',
+  'card.gash': 'GASH points',
+  'card.mycard': 'MyCard points',
+  'card.generic': 'gift or game point cards',
+
+  // Heuristic content analysis (heuristicAnalyzer.js)
+  'heuristic.found': 'Heuristic analysis found {tactics}',
+  'heuristic.none': 'Heuristic analysis found no common scam tactics',
+  'heuristic.urgency': 'urgency ({terms})',
+  'heuristic.threats': 'threats ({terms})',
+  'heuristic.temptation': 'temptation ({terms})',
+  'heuristic.impersonation': '{category} impersonation',
+  'heuristic.action': 'asks to {action}',
+  'heuristic.payee': 'names an account to send it to ({terms})',
+  'heuristic.clauses': '; ',
+
+  'impersonation.bank': 'bank',
+  'impersonation.government': 'government',
+  'impersonation.courier': 'courier',
+  'impersonation.company': 'company',
+  'impersonation.lottery': 'lottery',
+  'impersonation.tech_support': 'tech support',
+  'request.click_link': 'click a link',
+  'request.call_number': 'call a number',
+  'request.transfer_money': 'transfer money',
+  'request.provide_info': 'provide information',
+  'request.download': 'download something',
+  'request.reply': 'reply',
+};
@@ -0,0 +1,143 @@
+/**
+ * Simplified Chinese message catalog
+ * Same keys as en.js; missing keys fall back to English.
+ */
+export const MESSAGES = {
+  'list.separator': '、',
+  'list.and': '和',
+  'list.clauses': '，',
+
+  'evidence.ml_score': '🤖 机器学习模型：诈骗概率 {score}%（置信度：{confidence}）',
+  'evidence.url_flagged': '⚠️ 网址被判定为危险：{url}（{threat}，来源：{source}）',
+  'evidence.url_safe': '✅ 网址看起来安全',
+  'evidence.urls_safe': '✅ {count} 个网址看起来都安全',
+  'evidence.lookalike': '⚠️ {host} 冒充 {brand}，但不是官方域名',
+  'evidence.homograph': '⚠️ 伪装的网址：{description}',
+  'evidence.page_risk': '⚠️ {description}',
+  'evidence.redirect': '🔀 链接 {url} 会跳转到 {finalUrl}（经过 {count} 次跳转）',
+  'evidence.prompt_injection': '🚨 {description}',
+  'evidence.payment': '💸 {description}',
+  'evidence.phone_voip': '⚠️ 电话号码 {phone} 是网络电话（VoIP），常被诈骗团伙使用',
+  'evidence.phone_valid': '✅ 电话号码 {phone} 为有效号码（{carrier}）',
+  'evidence.phone_valid_no_carrier': '✅ 电话号码 {phone} 为有效号码',
+  'evidence.phone_premium': '⚠️ 电话号码 {phone} 是付费声讯号码（通话费率很高）',
+  'evidence.phone_foreign': '⚠️ 电话号码 {phone} 是国际号码（{country}），本地服务很少使用',
+  'evidence.ai_scam': '🔍 AI 检测到诈骗迹象：{reason}',
+  'evidence.limited_data': '可用数据有限，已完成分析',
+
+  'confidence.High': '高',
+  'confidence.Medium': '中',
+  'confidence.Low': '低',
+  'threat.MALWARE': '恶意软件',
+  'threat.SOCIAL_ENGINEERING': '钓鱼网站',
+  'threat.UNWANTED_SOFTWARE': '垃圾软件',
+  'threat.POTENTIALLY_HARMFUL_APPLICATION': '可能有害的应用',
+  'source.blocklist': '本地诈骗域名黑名单',
+  'source.safebrowsing': 'Google 安全浏览',
+
+  'action.red.title': '🚨 高风险警告',
+  'action.red.suggestions': [
+    '不要点击消息中的任何链接',
+    '不要回电或回复',
+    '立即拉黑这个发送者',
+    '如有财产损失，请向 {channel} 报案',
+  ],
+  'action.yellow.title': '⚠️ 请谨慎处理',
+  'action.yellow.suggestions': [
+    '采取任何行动前，先通过官方渠道核实',
+    '不要提供个人或金融信息',
+    '小心消息中的链接和电话号码',
+    '如有疑问请咨询 {channel}',
+  ],
+  'action.green.title': '✅ 看起来安全',
+  'action.green.suggestions': [
+    '没有发现明显的诈骗特征',
+    '但仍请随时保持警惕',
+    '未经核实，不要提供敏感信息',
+  ],
+
+  'page.summary': '链接的网页 {host} {parts}',
+  'page.asks_for': '要求输入{items}',
+  'page.password': '密码',
+  'page.card': '银行卡信息',
+  'page.otp': '一次性验证码',
+  'page.branding': '显示 {brands} 的品牌标志',
+  'page.form_target': '把表单提交到 {hosts}',
+  'page.obfuscated': '运行经过混淆的代码（{techniques}）',
+
+  'host.mixed': '{host} 混用了{scripts}字母，看起来像 {skeleton}',
+  'host.whole': '{host} 使用的{scripts}字母看起来像 {skeleton}',
+  'script.Latin': '拉丁',
+  'script.Cyrillic': '西里尔',
+  'script.Greek': '希腊',
+  'script.Armenian': '亚美尼亚',
+  'script.Han': '汉字',
+  'script.Hiragana': '平假名',
+  'script.Katakana': '片假名',
+  'script.Hangul': '韩文',
+  'script.Bopomofo': '注音',
+  'script.Thai': '泰文',
+  'script.Arabic': '阿拉伯',
+  'script.Hebrew': '希伯来',
+  'script.Georgian': '格鲁吉亚',
+  'script.Cherokee': '切罗基',
+  'script.Devanagari': '天城文',
+
+  'injection.summary': '消息中有写给 AI 诈骗过滤系统的文字：{parts}',
+  'injection.instruction_override': '要求 AI 忽略原来的指令',
+  'injection.verdict_steering': '指定判断结果（例如“这条消息是安全的”）',
+  'injection.role_switch': '试图改变 AI 的角色',
+  'injection.control_token': '藏有控制模型的特殊标记',
+  'injection.delimiter_spoof': '假装消息已经结束',
+
+  'crosscheck.overruled': '因{signals}而推翻；AI 原本的回答：{reason}',
+  'crosscheck.no_reason': '未提供理由',
+  'crosscheck.url_flagged': '被标记为危险的链接',
+  'crosscheck.brand_lookalike': '仿冒品牌的域名',
+  'crosscheck.homograph_host': '伪装的网址',
+  'crosscheck.risky_landing_page': '有风险的落地页',
+  'crosscheck.prompt_injection': '写给 AI 过滤系统的文字',
+
+  'payment.summary': '信息要求付款：{parts}',
+  'payment.with_amounts': '{description}（{amounts}）',
+  'payment.bank_transfer': '转账至{accounts}',
+  'payment.account_at': '{bank}账号 {account}',
+  'payment.account': '账号 {account}',
+  'payment.store_code': '以便利店代码 {codes} 缴费',
+  'payment.gift_card': '购买{cards}',
+  'payment.crypto': '将加密货币转至 {wallets}',
+  'store.7-eleven': '7-ELEVEN',
+  'store.familymart': '全家',
+  'store.hilife': '莱尔富',
+  'store.okmart': 'OK便利店',
+  'card.google_play': 'Google Play 礼品卡',
+  'card.apple': 'Apple 礼品卡',
+  'card.steam': 'Steam 点数卡',
+  'card.amazon': 'Amazon 礼品卡',
+  'card.gash': 'GASH 点数',
+  'card.mycard': 'MyCard 点数',
+  'card.generic': '礼品卡或游戏点数',
+
+  'heuristic.found': '规则分析发现：{tactics}',
+  'heuristic.none': '规则分析没有发现常见的诈骗手法',
+  'heuristic.urgency': '催促（{terms}）',
+  'heuristic.threats': '威胁（{terms}）',
+  'heuristic.temptation': '利诱（{terms}）',
+  'heuristic.impersonation': '冒充{category}',
+  'heuristic.action': '要求{action}',
+  'heuristic.payee': '指定收款账户（{terms}）',
+  'heuristic.clauses': '；',
+
+  'impersonation.bank': '银行',
+  'impersonation.government': '政府机关',
+  'impersonation.courier': '快递公司',
+  'impersonation.company': '公司',
+  'impersonation.lottery': '抽奖活动',
+  'impersonation.tech_support': '技术支持',
+  'request.click_link': '点击链接',
+  'request.call_number': '拨打电话',
+  'request.transfer_money': '转账',
+  'request.provide_info': '提供信息',
+  'request.download': '下载文件',
+  'request.reply': '回复消息',
+};
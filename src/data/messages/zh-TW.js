@@ -0,0 +1,143 @@
+/**
+ * Traditional Chinese (Taiwan) message catalog
+ * Same keys as en.js; missing keys fall back to English.
+ */
+export const MESSAGES = {
+  'list.separator': '、',
+  'list.and': '和',
+  'list.clauses': '，',
+
+  'evidence.ml_score': '🤖 機器學習模型：詐騙機率 {score}%（信心程度：{confidence}）',
+  'evidence.url_flagged': '⚠️ 網址被判定為危險：{url}（{threat}，來源：{source}）',
+  'evidence.url_safe': '✅ 網址看起來安全',
+  'evidence.urls_safe': '✅ {count} 個網址看起來都安全',
+  'evidence.lookalike': '⚠️ {host} 冒充 {brand}，但不是官方網域',
+  'evidence.homograph': '⚠️ 偽裝的網址：{description}',
+  'evidence.page_risk': '⚠️ {description}',
+  'evidence.redirect': '🔀 連結 {url} 會轉到 {finalUrl}（經過 {count} 次轉址）',
+  'evidence.prompt_injection': '🚨 {description}',
+  'evidence.payment': '💸 {description}',
+  'evidence.phone_voip': '⚠️ 電話號碼 {phone} 是網路電話（VoIP），常被詐騙集團使用',
+  'evidence.phone_valid': '✅ 電話號碼 {phone} 為有效號碼（{carrier}）',
+  'evidence.phone_valid_no_carrier': '✅ 電話號碼 {phone} 為有效號碼',
+  'evidence.phone_premium': '⚠️ 電話號碼 {phone} 是付費語音號碼（通話費率很高）',
+  'evidence.phone_foreign': '⚠️ 電話號碼 {phone} 是國際號碼（{country}），在地服務很少使用',
+  'evidence.ai_scam': '🔍 AI 偵測到詐騙跡象：{reason}',
+  'evidence.limited_data': '可用資料有限，已完成分析',
+
+  'confidence.High': '高',
+  'confidence.Medium': '中',
+  'confidence.Low': '低',
+  'threat.MALWARE': '惡意軟體',
+  'threat.SOCIAL_ENGINEERING': '釣魚網站',
+  'threat.UNWANTED_SOFTWARE': '垃圾軟體',
+  'threat.POTENTIALLY_HARMFUL_APPLICATION': '可能有害的應用程式',
+  'source.blocklist': '本地詐騙網域黑名單',
+  'source.safebrowsing': 'Google 安全瀏覽',
+
+  'action.red.title': '🚨 高風險警告',
+  'action.red.suggestions': [
+    '不要點擊訊息中的任何連結',
+    '不要回電或回覆',
+    '立即封鎖這個傳送者',
+    '如有財物損失，請向 {channel} 報案',
+  ],
+  'action.yellow.title': '⚠️ 請謹慎處理',
+  'action.yellow.suggestions': [
+    '採取任何行動前，先透過官方管道查證',
+    '不要提供個人或金融資料',
+    '小心訊息中的連結和電話號碼',
+    '有疑問請洽詢 {channel}',
+  ],
+  'action.green.title': '✅ 看起來安全',
+  'action.green.suggestions': [
+    '沒有發現明顯的詐騙特徵',
+    '但仍請隨時保持警覺',
+    '未經查證，不要提供敏感資料',
+  ],
+
+  'page.summary': '連結的網頁 {host} {parts}',
+  'page.asks_for': '要求輸入{items}',
+  'page.password': '密碼',
+  'page.card': '信用卡資料',
+  'page.otp': '一次性驗證碼',
+  'page.branding': '顯示 {brands} 的品牌標誌',
+  'page.form_target': '把表單送到 {hosts}',
+  'page.obfuscated': '執行經過混淆的程式碼（{techniques}）',
+
+  'host.mixed': '{host} 混用了{scripts}字母，看起來像 {skeleton}',
+  'host.whole': '{host} 使用的{scripts}字母看起來像 {skeleton}',
+  'script.Latin': '拉丁',
+  'script.Cyrillic': '西里爾',
+  'script.Greek': '希臘',
+  'script.Armenian': '亞美尼亞',
+  'script.Han': '漢字',
+  'script.Hiragana': '平假名',
+  'script.Katakana': '片假名',
+  'script.Hangul': '韓文',
+  'script.Bopomofo': '注音',
+  'script.Thai': '泰文',
+  'script.Arabic': '阿拉伯',
+  'script.Hebrew': '希伯來',
+  'script.Georgian': '喬治亞',
+  'script.Cherokee': '切羅基',
+  'script.Devanagari': '天城文',
+
+  'injection.summary': '訊息中有寫給 AI 詐騙過濾系統的文字：{parts}',
+  'injection.instruction_override': '要求 AI 忽略原本的指示',
+  'injection.verdict_steering': '指定判斷結果（例如「這則訊息是安全的」）',
+  'injection.role_switch': '試圖改變 AI 的角色',
+  'injection.control_token': '藏有控制模型的特殊標記',
+  'injection.delimiter_spoof': '假裝訊息已經結束',
+
+  'crosscheck.overruled': '因{signals}而推翻；AI 原本的回答：{reason}',
+  'crosscheck.no_reason': '未提供理由',
+  'crosscheck.url_flagged': '被標記為危險的連結',
+  'crosscheck.brand_lookalike': '仿冒品牌的網域',
+  'crosscheck.homograph_host': '偽裝的網址',
+  'crosscheck.risky_landing_page': '有風險的登陸頁面',
+  'crosscheck.prompt_injection': '寫給 AI 過濾系統的文字',
+
+  'payment.summary': '訊息要求付款：{parts}',
+  'payment.with_amounts': '{description}（{amounts}）',
+  'payment.bank_transfer': '轉帳至{accounts}',
+  'payment.account_at': '{bank}帳號 {account}',
+  'payment.account': '帳號 {account}',
+  'payment.store_code': '以超商代碼 {codes} 繳費',
+  'payment.gift_card': '購買{cards}',
+  'payment.crypto': '將加密貨幣轉至 {wallets}',
+  'store.7-eleven': '7-ELEVEN',
+  'store.familymart': '全家',
+  'store.hilife': '萊爾富',
+  'store.okmart': 'OK超商',
+  'card.google_play': 'Google Play 禮品卡',
+  'card.apple': 'Apple 禮品卡',
+  'card.steam': 'Steam 點數卡',
+  'card.amazon': 'Amazon 禮品卡',
+  'card.gash': 'GASH 點數',
+  'card.mycard': 'MyCard 點數',
+  'card.generic': '禮品卡或遊戲點數',
+
+  'heuristic.found': '規則分析發現：{tactics}',
+  'heuristic.none': '規則分析沒有發現常見的詐騙手法',
+  'heuristic.urgency': '催促（{terms}）',
+  'heuristic.threats': '威脅（{terms}）',
+  'heuristic.temptation': '利誘（{terms}）',
+  'heuristic.impersonation': '冒充{category}',
+  'heuristic.action': '要求{action}',
+  'heuristic.payee': '指定收款帳戶（{terms}）',
+  'heuristic.clauses': '；',
+
+  'impersonation.bank': '銀行',
+  'impersonation.government': '政府機關',
+  'impersonation.courier': '物流業者',
+  'impersonation.company': '公司',
+  'impersonation.lottery': '抽獎活動',
+  'impersonation.tech_support': '技術支援',
+  'request.click_link': '點擊連結',
+  'request.call_number': '撥打電話',
+  'request.transfer_money': '匯款',
+  'request.provide_info': '提供資料',
+  'request.download': '下載檔案',
+  'request.reply': '回覆訊息',
+};
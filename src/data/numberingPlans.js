@@ -0,0 +1,167 @@
+/**
+ * Offline numbering-plan table
+ * Simplified ITU-T E.164 plans for the countries our users receive scam calls from.
+ *
+ * Patterns match the national significant number (no country code, no trunk prefix)
+ * and are tried in the order listed, so specific ranges come before broad ones.
+ * Number types: mobile, fixed_line, fixed_line_or_mobile, toll_free, premium_rate, voip
+ */
+export const NUMBERING_PLANS = {
+  TW: {
+    name: 'Taiwan',
+    callingCode: '886',
+    trunkPrefix: '0',
+    types: [
+      ['toll_free', /^80[0-9]\d{6}$/],
+      ['premium_rate', /^20[49]\d{6}$/],
+      ['voip', /^70\d{8}$/],
+      ['mobile', /^9\d{8}$/],
+      ['fixed_line', /^(?:2\d{8}|[3-8]\d{7,8})$/],
+    ],
+  },
+  HK: {
+    name: 'Hong Kong',
+    callingCode: '852',
+    trunkPrefix: null,
+    types: [
+      ['toll_free', /^800\d{6}$/],
+      ['mobile', /^(?:[569]\d|7[0-9])\d{6}$/],
+      ['fixed_line', /^[23]\d{7}$/],
+    ],
+  },
+  MO: {
+    name: 'Macau',
+    callingCode: '853',
+    trunkPrefix: null,
+    types: [
+      ['mobile', /^6\d{7}$/],
+      ['fixed_line', /^28\d{6}$/],
+    ],
+  },
+  CN: {
+    name: 'China',
+    callingCode: '86',
+    trunkPrefix: '0',
+    types: [
+      ['toll_free', /^(?:400|800)\d{7}$/],
+      ['mobile', /^1[3-9]\d{9}$/],
+      ['fixed_line', /^[2-9]\d{8,10}$/],
+    ],
+  },
+  MY: {
+    name: 'Malaysia',
+    callingCode: '60',
+    trunkPrefix: '0',
+    types: [
+      ['toll_free', /^1[38]00\d{6}$/],
+      ['voip', /^154\d{7}$/],
+      ['mobile', /^1(?:1\d{8}|[02-46-9]\d{7})$/],
+      ['fixed_line', /^[3-9]\d{7,8}$/],
+    ],
+  },
+  SG: {
+    name: 'Singapore',
+    callingCode: '65',
+    trunkPrefix: null,
+    types: [
+      ['toll_free', /^800\d{7}$/],
+      ['voip', /^3\d{7}$/],
+      ['mobile', /^[89]\d{7}$/],
+      ['fixed_line', /^6\d{7}$/],
+    ],
+  },
+  US: {
+    name: 'United States / Canada',
+    callingCode: '1',
+    trunkPrefix: '1',
+    types: [
+      ['toll_free', /^8(?:00|33|44|55|66|77|88)[2-9]\d{6}$/],
+      ['premium_rate', /^900[2-9]\d{6}$/],
+      ['fixed_line_or_mobile', /^[2-9]\d{2}[2-9]\d{6}$/],
+    ],
+  },
+  GB: {
+    name: 'United Kingdom',
+    callingCode: '44',
+    trunkPrefix: '0',
+    types: [
+      ['toll_free', /^80[08]\d{6,7}$/],
+      ['premium_rate', /^9\d{9}$/],
+      ['voip', /^56\d{8}$/],
+      ['mobile', /^7[1-57-9]\d{8}$/],
+      ['fixed_line', /^[12]\d{8,9}$/],
+    ],
+  },
+  JP: {
+    name: 'Japan',
+    callingCode: '81',
+    trunkPrefix: '0',
+    types: [
+      ['toll_free', /^(?:120\d{6}|800\d{7})$/],
+      ['voip', /^50\d{8}$/],
+      ['mobile', /^[789]0\d{8}$/],
+      ['fixed_line', /^[1-9]\d{8}$/],
+    ],
+  },
+  KR: {
+    name: 'South Korea',
+    callingCode: '82',
+    trunkPrefix: '0',
+    types: [
+      ['toll_free', /^80\d{7}$/],
+      ['voip', /^70\d{8}$/],
+      ['mobile', /^1[016-9]\d{7,8}$/],
+      ['fixed_line', /^[2-6]\d{7,9}$/],
+    ],
+  },
+  PH: {
+    name: 'Philippines',
+    callingCode: '63',
+    trunkPrefix: '0',
+    types: [
+      ['toll_free', /^1800\d{7}$/],
+      ['mobile', /^9\d{9}$/],
+      ['fixed_line', /^[2-8]\d{7,9}$/],
+    ],
+  },
+  TH: {
+    name: 'Thailand',
+    callingCode: '66',
+    trunkPrefix: '0',
+    types: [
+      ['toll_free', /^1800\d{6}$/],
+      ['mobile', /^[689]\d{8}$/],
+      ['fixed_line', /^[2-7]\d{7}$/],
+    ],
+  },
+  VN: {
+    name: 'Vietnam',
+    callingCode: '84',
+    trunkPrefix: '0',
+    types: [
+      ['toll_free', /^1800\d{4,6}$/],
+      ['mobile', /^[35789]\d{8}$/],
+      ['fixed_line', /^2\d{9}$/],
+    ],
+  },
+  ID: {
+    name: 'Indonesia',
+    callingCode: '62',
+    trunkPrefix: '0',
+    types: [
+      ['toll_free', /^800\d{7}$/],
+      ['mobile', /^8\d{8,11}$/],
+      ['fixed_line', /^[2-7]\d{7,10}$/],
+    ],
+  },
+  AU: {
+    name: 'Australia',
+    callingCode: '61',
+    trunkPrefix: '0',
+    types: [
+      ['toll_free', /^180\d{7}$/],
+      ['mobile', /^4\d{8}$/],
+      ['fixed_line', /^[2378]\d{8}$/],
+    ],
+  },
+};
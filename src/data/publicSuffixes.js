@@ -0,0 +1,42 @@
+/**
+ * Public suffix table (subset of the Mozilla Public Suffix List)
+ * Every single-label TLD is implicitly a public suffix; only multi-label suffixes
+ * are listed. Includes the free-hosting suffixes where each subdomain belongs to a
+ * different owner, so "scam.github.io" is not treated as part of "github.io".
+ */
+
+// ICANN second-level suffixes for the regions we see most
+export const ICANN_SUFFIXES = [
+  // Taiwan
+  'com.tw', 'net.tw', 'org.tw', 'edu.tw', 'gov.tw', 'mil.tw', 'idv.tw', 'game.tw', 'ebiz.tw', 'club.tw',
+  // Hong Kong, Macau, China
+  'com.hk', 'net.hk', 'org.hk', 'edu.hk', 'gov.hk', 'idv.hk',
+  'com.mo', 'net.mo', 'org.mo', 'edu.mo', 'gov.mo',
+  'com.cn', 'net.cn', 'org.cn', 'edu.cn', 'gov.cn',
+  // Southeast Asia
+  'com.sg', 'net.sg', 'org.sg', 'edu.sg', 'gov.sg',
+  'com.my', 'net.my', 'org.my', 'edu.my', 'gov.my',
+  'com.ph', 'net.ph', 'org.ph', 'gov.ph',
+  'co.th', 'in.th', 'or.th', 'go.th', 'ac.th',
+  'com.vn', 'net.vn', 'org.vn', 'gov.vn',
+  'co.id', 'or.id', 'go.id', 'ac.id', 'web.id',
+  // Japan, Korea
+  'co.jp', 'ne.jp', 'or.jp', 'go.jp', 'ac.jp', 'ad.jp', 'ed.jp',
+  'co.kr', 'or.kr', 'go.kr', 'ac.kr', 'ne.kr',
+  // Elsewhere
+  'co.uk', 'org.uk', 'gov.uk', 'ac.uk', 'me.uk', 'ltd.uk', 'plc.uk',
+  'com.au', 'net.au', 'org.au', 'edu.au', 'gov.au',
+  'co.nz', 'org.nz', 'govt.nz',
+  'co.in', 'net.in', 'org.in', 'gov.in',
+  'com.br', 'net.br', 'org.br', 'gov.br',
+  'co.za', 'com.mx', 'com.tr', 'com.ru',
+];
+
+// Private suffixes: hosting and tunnelling services where anyone can get a subdomain
+export const PRIVATE_SUFFIXES = [
+  'github.io', 'gitlab.io', 'blogspot.com', 'wordpress.com', 'wixsite.com', 'weebly.com',
+  'web.app', 'firebaseapp.com', 'appspot.com', 'herokuapp.com', 'netlify.app', 'vercel.app',
+  'pages.dev', 'workers.dev', 'r2.dev', 'glitch.me', 'repl.co', 'onrender.com',
+  '000webhostapp.com', 'azurewebsites.net', 'cloudfront.net', 's3.amazonaws.com',
+  'ngrok.io', 'ngrok-free.app', 'trycloudflare.com', 'duckdns.org', 'no-ip.org',
+];
@@ -0,0 +1,19 @@
+/**
+ * Where to report a scam, per region (ISO 3166 alpha-2)
+ * Used by services/i18n.js for the action advice ("Report to {channel} ..."). One name per
+ * catalog language; regions without an entry get DEFAULT_REPORTING_CHANNEL.
+ */
+export const REPORTING_CHANNELS = {
+  TW: { en: 'the 165 anti-fraud hotline', 'zh-TW': '165 反詐騙諮詢專線', 'zh-CN': '165 反诈骗咨询专线' },
+  HK: { en: 'the Anti-Scam Helpline 18222', 'zh-TW': '防騙易熱線 18222', 'zh-CN': '防骗易热线 18222' },
+  MO: { en: 'the Judiciary Police anti-fraud hotline 8800 7777', 'zh-TW': '司法警察局反詐騙熱線 8800 7777', 'zh-CN': '司法警察局反诈骗热线 8800 7777' },
+  CN: { en: 'the 96110 anti-fraud hotline', 'zh-TW': '96110 反詐騙專線', 'zh-CN': '96110 反诈专线' },
+  SG: { en: 'the ScamShield Helpline 1799', 'zh-TW': 'ScamShield 反詐騙熱線 1799', 'zh-CN': 'ScamShield 反诈骗热线 1799' },
+  MY: { en: 'the National Scam Response Centre at 997', 'zh-TW': '國家詐騙應變中心 997', 'zh-CN': '国家诈骗应对中心 997' },
+  JP: { en: 'the police consultation line #9110', 'zh-TW': '日本警察諮詢專線 #9110', 'zh-CN': '日本警察咨询专线 #9110' },
+  US: { en: 'the FTC at reportfraud.ftc.gov', 'zh-TW': '美國聯邦貿易委員會（reportfraud.ftc.gov）', 'zh-CN': '美国联邦贸易委员会（reportfraud.ftc.gov）' },
+  GB: { en: 'Action Fraud on 0300 123 2040', 'zh-TW': 'Action Fraud 反詐騙中心（0300 123 2040）', 'zh-CN': 'Action Fraud 反诈骗中心（0300 123 2040）' },
+  AU: { en: 'Scamwatch at scamwatch.gov.au', 'zh-TW': 'Scamwatch（scamwatch.gov.au）', 'zh-CN': 'Scamwatch（scamwatch.gov.au）' },
+};
+
+export const DEFAULT_REPORTING_CHANNEL = { en: 'your local police', 'zh-TW': '當地警方', 'zh-CN': '当地警方' };
@@ -0,0 +1,6 @@
+/**
+ * Top-level domains scam links use far more often than legitimate sites
+ * Used for the has_suspicious_tld feature (services/featureExtractor.js) and to
+ * corroborate brand keywords in other domains (services/lookalikeDetector.js).
+ */
+export const SUSPICIOUS_TLDS = ['tk', 'ml', 'ga', 'cf', 'gq', 'xyz', 'top', 'work', 'click'];
@@ -0,0 +1,46 @@
+/**
+ * Taiwanese bank codes (the 3-digit 銀行代碼 used for transfers)
+ * Used by services/paymentExtractor.js to name the bank a message asks victims to pay into.
+ * Not exhaustive: credit cooperatives and farmers' associations are left out.
+ */
+export const TW_BANK_CODES = {
+  '004': { name: 'Bank of Taiwan', localName: '臺灣銀行' },
+  '005': { name: 'Land Bank of Taiwan', localName: '土地銀行' },
+  '006': { name: 'Taiwan Cooperative Bank', localName: '合作金庫' },
+  '007': { name: 'First Bank', localName: '第一銀行' },
+  '008': { name: 'Hua Nan Bank', localName: '華南銀行' },
+  '009': { name: 'Chang Hwa Bank', localName: '彰化銀行' },
+  '011': { name: 'Shanghai Commercial & Savings Bank', localName: '上海商銀' },
+  '012': { name: 'Taipei Fubon Bank', localName: '台北富邦' },
+  '013': { name: 'Cathay United Bank', localName: '國泰世華' },
+  '016': { name: 'Bank of Kaohsiung', localName: '高雄銀行' },
+  '017': { name: 'Mega International Commercial Bank', localName: '兆豐銀行' },
+  '018': { name: 'Agricultural Bank of Taiwan', localName: '農業金庫' },
+  '021': { name: 'Citibank Taiwan', localName: '花旗銀行' },
+  '048': { name: 'O-Bank', localName: '王道銀行' },
+  '050': { name: 'Taiwan Business Bank', localName: '臺灣企銀' },
+  '052': { name: 'Standard Chartered Taiwan', localName: '渣打銀行' },
+  '053': { name: 'Taichung Bank', localName: '台中銀行' },
+  '054': { name: 'King\'s Town Bank', localName: '京城銀行' },
+  '081': { name: 'HSBC Taiwan', localName: '滙豐銀行' },
+  '101': { name: 'Taipei Star Bank', localName: '瑞興銀行' },
+  '102': { name: 'Hwatai Bank', localName: '華泰銀行' },
+  '103': { name: 'Shin Kong Bank', localName: '新光銀行' },
+  '108': { name: 'Sunny Bank', localName: '陽信銀行' },
+  '118': { name: 'Bank of Panhsin', localName: '板信銀行' },
+  '147': { name: 'Cota Bank', localName: '三信銀行' },
+  '700': { name: 'Chunghwa Post', localName: '中華郵政' },
+  '803': { name: 'Union Bank of Taiwan', localName: '聯邦銀行' },
+  '805': { name: 'Far Eastern International Bank', localName: '遠東銀行' },
+  '806': { name: 'Yuanta Bank', localName: '元大銀行' },
+  '807': { name: 'Bank SinoPac', localName: '永豐銀行' },
+  '808': { name: 'E.SUN Bank', localName: '玉山銀行' },
+  '809': { name: 'KGI Bank', localName: '凱基銀行' },
+  '810': { name: 'DBS Taiwan', localName: '星展銀行' },
+  '812': { name: 'Taishin Bank', localName: '台新銀行' },
+  '816': { name: 'EnTie Bank', localName: '安泰銀行' },
+  '822': { name: 'CTBC Bank', localName: '中國信託' },
+  '823': { name: 'Next Bank', localName: '將來銀行' },
+  '824': { name: 'LINE Bank', localName: '連線銀行' },
+  '826': { name: 'Rakuten Bank', localName: '樂天銀行' },
+};
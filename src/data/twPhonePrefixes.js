@@ -0,0 +1,42 @@
+/**
+ * Taiwan numbering-plan prefix table (NCC allocations)
+ * Prefixes are written in national format, with the leading trunk "0".
+ *
+ * Mobile carriers are the ORIGINAL allocation holder of each 09xx block.
+ * Numbers can be ported, so treat the carrier as a hint, not a fact.
+ */
+
+// Special-purpose ranges, checked before mobile and landline
+export const TW_SPECIAL_RANGES = [
+  { prefix: '0800', lineType: 'tollFree', description: 'Toll-free (0800)' },
+  { prefix: '0809', lineType: 'tollFree', description: 'Toll-free (0809)' },
+  { prefix: '0204', lineType: 'premium', description: 'Premium-rate information service (0204)' },
+  { prefix: '0209', lineType: 'premium', description: 'Premium-rate information service (0209)' },
+  { prefix: '070', lineType: 'voip', description: 'VoIP (070)' },
+];
+
+// 09xx block -> original carrier
+export const TW_MOBILE_CARRIERS = {
+  'Chunghwa Telecom': ['0905', '0910', '0911', '0912', '0919', '0921', '0928', '0932', '0933', '0934', '0937', '0963', '0972', '0974', '0975', '0978', '0988'],
+  'Taiwan Mobile': ['0918', '0920', '0922', '0935', '0939', '0952', '0953', '0958', '0961', '0970', '0979', '0983', '0987'],
+  'FarEasTone': ['0913', '0915', '0916', '0917', '0925', '0926', '0927', '0930', '0931', '0936', '0938', '0954', '0955', '0956', '0960', '0971', '0976', '0980', '0981', '0989'],
+  'Asia Pacific Telecom': ['0906', '0914', '0924', '0964', '0977', '0982', '0985'],
+  'T Star': ['0908', '0909', '0965', '0966', '0968', '0984', '0986'],
+};
+
+// Landline area code -> region (longest prefix wins: 037 before 03)
+export const TW_AREA_CODES = {
+  '02': 'Taipei / New Taipei / Keelung',
+  '03': 'Taoyuan / Hsinchu / Yilan / Hualien',
+  '037': 'Miaoli',
+  '04': 'Taichung / Changhua',
+  '049': 'Nantou',
+  '05': 'Chiayi / Yunlin',
+  '06': 'Tainan / Penghu',
+  '07': 'Kaohsiung',
+  '08': 'Pingtung',
+  '082': 'Kinmen',
+  '0826': 'Wuqiu',
+  '0836': 'Matsu',
+  '089': 'Taitung',
+};
@@ -0,0 +1,14 @@
+/**
+ * Link-shortener and redirect-service hosts
+ * Links on these hosts hide their destination, so they are expanded before the
+ * reputation checks (see services/redirectResolver.js). Subdomains match too.
+ */
+export const URL_SHORTENERS = [
+  // International
+  'bit.ly', 'bitly.com', 'tinyurl.com', 'goo.gl', 'ow.ly', 't.co', 'tiny.cc', 'is.gd', 'v.gd',
+  'cutt.ly', 'rebrand.ly', 'rb.gy', 't.ly', 'shorturl.at', 's.id', 'buff.ly', 'short.link',
+  'soo.gd', 'shorte.st', 'adf.ly', 'qrco.de', 'lnkd.in', 'han.gl',
+  // Taiwan / Hong Kong
+  'reurl.cc', 'lihi.cc', 'lihi1.com', 'lihi2.com', 'lihi3.com', 'pse.is', 'ppt.cc', '0rz.tw',
+  'gg.gg', 'tinyurl.hk', 'lin.ee',
+];
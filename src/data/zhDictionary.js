@@ -0,0 +1,76 @@
+/**
+ * Chinese word list for services/textStats.js
+ * Segmentation splits runs of Chinese characters into the fewest dictionary words, so
+ * this only needs the words messages are made of; anything missing falls back to single
+ * characters. Traditional first, then the Simplified forms of the most common message
+ * words. The lexicon files (data/lexicons) are not read here: editing them must not
+ * change word_count and the other segmentation features the model was trained on.
+ */
+
+export const ZH_WORDS = [
+  // Function words and pronouns
+  '我們', '你們', '他們', '您好', '大家', '自己', '這個', '那個', '這些', '那些', '什麼', '怎麼', '為什麼',
+  '如果', '因為', '所以', '但是', '而且', '或是', '或者', '以及', '並且', '已經', '還是', '就是', '只要',
+  '可以', '可能', '需要', '必須', '應該', '不要', '沒有', '不是', '一下', '一個', '所有', '其他', '相關',
+  '以上', '以下', '之前', '之後', '目前', '現在', '今天', '明天', '昨天', '本月', '下月', '今年', '時間',
+  '日期', '期間', '之內', '以內', '小時', '分鐘', '天內', '有限', '名額有限', '謝謝', '感謝', '您的', '我的', '非常', '請問', '如有', '若有', '若您',
+  '是否', '即可', '以免', '造成', '影響', '進行', '完成', '使用', '開始', '結束', '收到', '發送', '通知',
+  '訊息', '簡訊', '消息', '內容', '說明', '資訊', '資料', '問題', '疑問', '詳情', '詳細', '方式', '步驟',
+
+  // People, places and organisations
+  '客戶', '用戶', '會員', '顧客', '先生', '小姐', '朋友', '家人', '公司', '企業', '門市', '商店', '平台',
+  '官網', '網站', '網頁', '系統', '中心', '服務', '專員', '人員', '主管', '經理', '老師', '助理', '台灣',
+  '臺灣', '台北', '臺北', '新北', '桃園', '台中', '臺中', '台南', '臺南', '高雄', '中華', '電信', '中華電信',
+  '台灣大哥大', '遠傳', '郵政', '中華郵政', '黑貓', '統一', '超商', '便利商店', '蝦皮', '露天',
+  '國泰', '富邦', '玉山', '中信', '台新', '兆豐', '合庫', '第一銀行', '土地銀行', '郵局', '監理', '財政部',
+  '衛福部', '內政部', '警政署', '刑事局', '健保署', '國稅局', '法務部', '金管會',
+
+  // Accounts, money and payment
+  '帳戶', '帳號', '戶頭', '密碼', '身分', '身份', '證件', '身分證', '手機', '電話', '號碼', '手機號碼',
+  '電子郵件', '信箱', '地址', '姓名', '生日', '金額', '費用', '款項', '餘額', '存款', '提款', '現金',
+  '支付', '付費', '扣款', '扣費', '繳納', '繳款', '退費', '退還', '入帳', '到帳', '收款', '匯入', '轉入',
+  '轉出', '交易', '訂購', '購買', '分期', '刷卡', '卡號', '信用', '額度', '貸款', '借款', '利息', '利率',
+  '手續費', '保證金', '押金', '報酬', '收益', '獲利', '賺錢', '股票', '基金', '虛擬貨幣', '比特幣', '加密貨幣',
+  '台幣', '新台幣', '元整', '萬元', '美金', '點數', '禮品卡', '遊戲點數', '超商代碼', '代碼', '條碼',
+
+  // Deliveries and orders
+  '貨物', '商品', '物品', '寄送', '運送', '送達', '簽收', '取件', '領取', '招領', '退件', '地址不全',
+  '無法投遞', '重新投遞', '運費', '補繳', '關稅', '海關', '單號', '追蹤', '訂單編號', '出貨', '到貨',
+
+  // Security and verification
+  '驗證碼', '認證', '安全', '帳號安全', '異常', '風險', '盜用', '被盜', '登錄', '登入', '登出', '授權',
+  '綁定', '解綁', '解除', '重設', '設定', '更新', '升級', '確認', '核對', '審核', '啟用', '開通', '失效',
+  '過期', '到期', '期限', '限期', '暫停', '恢復', '保護', '防詐', '詐騙', '反詐騙', '報案', '檢舉',
+
+  // Actions and pressure
+  '點擊', '點選', '連結', '網址', '掃描', '掃碼', '回覆', '聯繫', '聯絡', '撥打', '客服專線', '專線',
+  '填寫', '提交', '上傳', '下載', '安裝', '加入', '好友', '群組', '私訊', '立即', '馬上', '盡快', '儘快',
+  '趕快', '務必', '否則', '將會', '將被', '即將', '逾期未', '後果', '自負', '法律', '責任', '起訴',
+  '通緝', '傳票', '監管', '帳戶監管', '凍結帳戶', '涉及', '案件', '刑事', '調查', '配合', '保密',
+
+  // Offers
+  '活動', '優惠', '折扣', '特價', '限量', '名額', '資格', '機會', '抽中', '得獎', '獲得', '贈送', '回饋',
+  '現金回饋', '紅利', '獎勵', '福利', '補貼', '津貼', '振興', '普發', '工作', '在家', '輕鬆', '日薪',
+  '高薪', '月入', '被動收入', '老師帶單', '飆股', '內線', '穩賺不賠', '名牌', '正品',
+
+  // Scam tactics: threats, prizes, impersonated senders and requests
+  '緊急', '立刻', '限時', '今日內', '逾期', '最後通知', '即將到期', '停用', '凍結', '鎖定', '停權', '註銷', '法律責任',
+  '逮捕', '拘票', '罰款', '罰鍰', '欠費', '未繳', '違規', '涉嫌', '洗錢', '黑名單', '強制執行', '中獎', '獎金',
+  '獎品', '紅包', '免費', '贈品', '退稅', '補助', '穩賺', '高報酬', '投資', '保證獲利', '兼職', '日領', '銀行',
+  '信用卡', '金融卡', '網銀', '政府', '警局', '法院', '地檢署', '檢察官', '監理站', '監理所', '健保', '戶政', '快遞',
+  '宅配', '貨運', '郵件招領', '配送', '訂單', '訂閱', '電商', '購物', '樂透', '抽獎', '彩券', '幸運', '帳號異常',
+  '異常登入', '中毒', '資安', '匯款', '轉帳', '付款', '繳費', '儲值', '點數卡', '解除分期', '驗證', '確認身分', '更新資料',
+  '提供', '請點', '來電', '致電', '聯絡專線', '回電', '回傳', '加賴', '你看', '秘密', '猜猜', '是你嗎', '官方',
+  '親愛的客戶', '親愛的會員', '敬愛的',
+
+  // Simplified forms of common message words
+  '我们', '你们', '他们', '这个', '那个', '什么', '怎么', '为什么', '因为', '所以', '但是', '已经', '还是',
+  '可以', '需要', '必须', '应该', '没有', '现在', '今天', '时间', '谢谢', '感谢', '您的', '客户', '用户',
+  '会员', '公司', '平台', '官网', '网站', '系统', '服务', '账户', '账号', '帐号', '密码', '身份证', '手机',
+  '电话', '号码', '地址', '金额', '费用', '余额', '支付', '扣款', '缴费', '退款', '转账', '汇款', '交易',
+  '订单', '商品', '快递', '包裹', '物流', '签收', '验证码', '验证', '认证', '安全', '异常', '风险', '登录',
+  '绑定', '解除', '更新', '确认', '审核', '冻结', '过期', '到期', '点击', '链接', '网址', '扫码', '回复',
+  '联系', '客服', '下载', '安装', '立即', '马上', '尽快', '否则', '后果', '法律', '责任', '公安', '警察',
+  '诈骗', '反诈', '中奖', '恭喜', '领取', '奖金', '红包', '免费', '优惠', '活动', '机会', '投资', '理财',
+  '收益', '兼职', '刷单', '返利',
+];
@@ -5,7 +5,9 @@ import multer from 'multer';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import analyzeRouter from './routes/analyze.js';
+import adminRouter from './routes/admin.js';
 import collectDataRouter from '../training/routes/collectData.js';
+import { verifyModelFeatures } from './services/xgboostService.js';
 
 dotenv.config();
 
@@ -53,6 +55,7 @@ app.get('/', (req, res) => {
 // Routes
 app.use('/api', analyzeRouter);
 app.use('/api/training', collectDataRouter);
+app.use('/api/admin', adminRouter);
 
 // Health check
 app.get('/health', (req, res) => {
@@ -66,6 +69,10 @@ app.get('/health', (req, res) => {
       training: [
         'POST /api/training/collect-training-data - Collect training data',
         'GET /api/training/training-stats - Get training statistics'
+      ],
+      admin: [
+        'GET /api/admin/url-cache - URL reputation cache statistics',
+        'DELETE /api/admin/url-cache - Purge URL reputation cache entries'
       ]
     }
   });
@@ -74,3 +81,9 @@ app.get('/health', (req, res) => {
 app.listen(PORT, () => {
   console.log(`🚀 Server is running on http://localhost:${PORT}`);
 });
+
+// The model must receive the features it was trained on (see services/featureRegistry.js)
+verifyModelFeatures().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
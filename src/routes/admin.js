@@ -0,0 +1,41 @@
+import express from 'express';
+import config from '../config.js';
+import { getCacheStats, purgeCache } from '../services/urlCache.js';
+
+const router = express.Router();
+
+// All admin endpoints require the x-admin-token header to match ADMIN_TOKEN
+router.use((req, res, next) => {
+  if (!config.adminToken) {
+    return res.status(503).json({ error: 'Admin API disabled (ADMIN_TOKEN not configured)' });
+  }
+  if (req.get('x-admin-token') !== config.adminToken) {
+    return res.status(401).json({ error: 'Invalid admin token' });
+  }
+  next();
+});
+
+// URL reputation cache statistics
+router.get('/url-cache', (req, res) => {
+  res.json(getCacheStats());
+});
+
+// Purge URL reputation cache entries
+// Query: url (one URL), kind (safe|unsafe|error), expired=true (only expired entries); no filter purges everything
+router.delete('/url-cache', (req, res) => {
+  const { url, kind, expired } = req.query;
+
+  if (kind && !['safe', 'unsafe', 'error'].includes(kind)) {
+    return res.status(400).json({ error: 'kind must be one of: safe, unsafe, error' });
+  }
+
+  const removed = purgeCache({ url, kind, expiredOnly: expired === 'true' });
+  console.log(`🧹 Purged ${removed} URL cache entries`);
+
+  res.json({
+    removed,
+    stats: getCacheStats(),
+  });
+});
+
+export default router;
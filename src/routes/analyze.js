@@ -1,14 +1,18 @@
 import express from 'express';
 import multer from 'multer';
 import { parseMessage } from '../services/parser.js';
-import { checkUrlSafety } from '../services/safeBrowsing.js';
-import { lookupPhone } from '../services/twilioLookup.js';
-import { analyzeWithOpenAI } from '../services/openaiCheck.js';
+import { checkUrls } from '../services/urlIntel.js';
+import { lookupPhone } from '../services/phoneIntel.js';
 import { generateResponse } from '../utils/analyzer.js';
 import { extractTextFromImage } from '../services/ocrService.js';
 import { predictScamProbability } from '../services/xgboostService.js';
 import { extractFeaturesForML } from '../services/featureExtractor.js';
 import { generateExplainedReport } from '../services/aiExplainer.js';
+import { inspectLandingPages } from '../services/pageInspector.js';
+import { crossCheckAiVerdict } from '../services/promptGuard.js';
+import { redactPII, restorePII, summarizeRedaction } from '../services/piiRedactor.js';
+import { resolvePrivacyMode, createPipeline, withModelSignal, PRIVACY_MODES } from '../services/privacyMode.js';
+import { negotiateLanguage } from '../services/i18n.js';
 
 const router = express.Router();
 
@@ -29,29 +33,49 @@ const upload = multer({
 
 router.post('/analyze', async (req, res) => {
   try {
-    const { message } = req.body;
+    // region: user's ISO 3166 region for numbers without a country code (defaults to config.defaultRegion)
+    // privacy: 'local' keeps the message on this server (see privacyMode.js)
+    // lang: report language, e.g. 'zh-TW'; otherwise negotiated from Accept-Language (see i18n.js)
+    const { message, region } = req.body;
 
     if (!message) {
       return res.status(400).json({ error: 'Message content is required' });
     }
 
-    // 1. Parse message to extract URL, phone, and content
+    const privacy = resolvePrivacyMode(req.body.privacy ?? req.query.privacy);
+    if (!privacy) {
+      return res.status(400).json({ error: `privacy must be one of: ${PRIVACY_MODES.join(', ')}` });
+    }
+    const pipeline = createPipeline(privacy);
+    const lang = negotiateLanguage(req.body.lang ?? req.query.lang, req.get('accept-language'));
+
+    // 1. Parse message to extract every URL, phone, email, LINE ID, bank account, and content
     const parsed = parseMessage(message);
-    console.log('📝 Parsed result:', parsed);
+    // Entity types only: the values are the user's numbers, links and accounts
+    console.log('📝 Parsed entities:', parsed.entities.map(entity => entity.type).join(', ') || 'none');
 
-    // 2. Call three APIs in parallel
-    const [urlResult, phoneResult, aiResult] = await Promise.all([
-      parsed.url ? checkUrlSafety(parsed.url) : Promise.resolve(null),
-      parsed.phone ? lookupPhone(parsed.phone) : Promise.resolve(null),
-      analyzeWithOpenAI(parsed.content),
+    // The LLM only ever sees the message with IDs, cards, accounts, emails and addresses replaced
+    const redaction = redactPII(message, parsed);
+
+    // 2. Check every URL and phone, and analyze the content, in parallel
+    const [urlResults, phoneResults, llmResult] = await Promise.all([
+      checkUrls(parsed.urls, pipeline.urlOptions),
+      Promise.all(parsed.phones.map(phone => lookupPhone(phone, { region, ...pipeline.phoneOptions }))),
+      pipeline.analyzeContent(redaction.text, { lang }),
     ]);
 
-    // 3. Extract 45 features for ML model
-    const features = extractFeaturesForML(message, parsed, urlResult, phoneResult, aiResult);
+    // Optional: read where each link lands (PAGE_INSPECTION=on)
+    const pageResults = await inspectLandingPages(urlResults, pipeline.pageOptions);
+
+    // The message may have talked the LLM into "safe"; check it against signals it cannot influence
+    const aiResult = crossCheckAiVerdict(llmResult, { urlResults, pageResults, injection: parsed.promptInjection, lang });
+
+    // 3. Extract the ML model's features (see services/featureRegistry.js)
+    const features = extractFeaturesForML(message, parsed, urlResults, phoneResults, aiResult);
     console.log('🔢 Extracted features for ML model');
 
     // 4. Call XGBoost ML model for prediction (with fallback)
-    const xgboostResult = await predictScamProbability(features);
+    const xgboostResult = await predictScamProbability(features, pipeline.modelOptions);
     if (xgboostResult.available) {
       console.log('🤖 XGBoost prediction:', xgboostResult.scamProbability);
     } else {
@@ -60,18 +84,37 @@ router.post('/analyze', async (req, res) => {
 
     // 5. Use AI to generate human-readable explanation
     const explainedReport = await generateExplainedReport({
-      messageText: message,
+      messageText: redaction.text,
+      redaction,
       parsed,
       mlResult: xgboostResult,
-      urlResult,
-      phoneResult,
+      urlResults,
+      pageResults,
+      phoneResults,
       aiResult,
       topScamFactors: xgboostResult?.topScamFactors || [],
-    });
+      lang,
+      region,
+    }, { llm: pipeline.llm });
 
     console.log('✨ Generated explained report with AI');
 
-    res.json(explainedReport);
+    const { validation, ...report } = explainedReport;
+    res.set('Content-Language', lang);
+    res.json({
+      ...restorePII(report, redaction),
+      entities: parsed.entities,
+      payment: parsed.payment,
+      redirects: summarizeRedirects(urlResults),
+      pages: summarizePages(pageResults),
+      meta: {
+        llm: summarizeLlmValidation(aiResult, validation),
+        promptInjection: parsed.promptInjection,
+        redaction: summarizeRedaction(redaction),
+        privacy: withModelSignal(pipeline.signals, xgboostResult),
+        language: lang,
+      },
+    });
   } catch (error) {
     console.error('❌ Analysis error:', error);
     res.status(500).json({ 
@@ -89,6 +132,14 @@ router.post('/ocr', upload.single('image'), async (req, res) => {
     }
 
     console.log('📸 Received image:', req.file.originalname, `(${req.file.size} bytes)`);
+    const { region } = req.body;
+
+    const privacy = resolvePrivacyMode(req.body.privacy ?? req.query.privacy);
+    if (!privacy) {
+      return res.status(400).json({ error: `privacy must be one of: ${PRIVACY_MODES.join(', ')}` });
+    }
+    const pipeline = createPipeline(privacy);
+    const lang = negotiateLanguage(req.body.lang ?? req.query.lang, req.get('accept-language'));
 
     // 1. Extract text from image using OCR
     const extractedText = await extractTextFromImage(req.file.buffer);
@@ -97,38 +148,58 @@ router.post('/ocr', upload.single('image'), async (req, res) => {
       return res.status(400).json({ error: 'No text could be extracted from the image' });
     }
 
-    console.log('📄 Text extracted:', extractedText.substring(0, 100) + '...');
-
-    // 2. Parse extracted text to find URLs and phone numbers
+    // 2. Parse extracted text to find URLs, phone numbers, and other entities
     const parsed = parseMessage(extractedText);
-
-    // 3. Call analysis APIs in parallel
-    const [urlResult, phoneResult, aiResult] = await Promise.all([
-      parsed.url ? checkUrlSafety(parsed.url) : Promise.resolve(null),
-      parsed.phone ? lookupPhone(parsed.phone) : Promise.resolve(null),
-      analyzeWithOpenAI(parsed.content),
+    // Entity types only, as in /analyze: the extracted text may hold personal data
+    console.log('📝 Parsed entities:', parsed.entities.map(entity => entity.type).join(', ') || 'none');
+    const redaction = redactPII(extractedText, parsed);
+
+    // 3. Call analysis APIs in parallel (all URLs in one batch, once per phone)
+    const [urlResults, phoneResults, llmResult] = await Promise.all([
+      checkUrls(parsed.urls, pipeline.urlOptions),
+      Promise.all(parsed.phones.map(phone => lookupPhone(phone, { region, ...pipeline.phoneOptions }))),
+      pipeline.analyzeContent(redaction.text, { lang }),
     ]);
+    const pageResults = await inspectLandingPages(urlResults, pipeline.pageOptions);
+    const aiResult = crossCheckAiVerdict(llmResult, { urlResults, pageResults, injection: parsed.promptInjection, lang });
 
     // 4. Extract features for ML model
-    const features = extractFeaturesForML(extractedText, parsed, urlResult, phoneResult, aiResult);
+    const features = extractFeaturesForML(extractedText, parsed, urlResults, phoneResults, aiResult);
 
     // 5. Call XGBoost ML model
-    const xgboostResult = await predictScamProbability(features);
+    const xgboostResult = await predictScamProbability(features, pipeline.modelOptions);
 
     // 6. Use AI to generate human-readable explanation
     const explainedReport = await generateExplainedReport({
-      messageText: extractedText,
+      messageText: redaction.text,
+      redaction,
       parsed,
       mlResult: xgboostResult,
-      urlResult,
-      phoneResult,
+      urlResults,
+      pageResults,
+      phoneResults,
       aiResult,
       topScamFactors: xgboostResult?.topScamFactors || [],
-    });
+      lang,
+      region,
+    }, { llm: pipeline.llm });
 
+    const { validation, ...report } = explainedReport;
+    res.set('Content-Language', lang);
     res.json({
       text: extractedText,
-      ...explainedReport,
+      ...restorePII(report, redaction),
+      entities: parsed.entities,
+      payment: parsed.payment,
+      redirects: summarizeRedirects(urlResults),
+      pages: summarizePages(pageResults),
+      meta: {
+        llm: summarizeLlmValidation(aiResult, validation),
+        promptInjection: parsed.promptInjection,
+        redaction: summarizeRedaction(redaction),
+        privacy: withModelSignal(pipeline.signals, xgboostResult),
+        language: lang,
+      },
     });
   } catch (error) {
     console.error('❌ OCR analysis error:', error);
@@ -139,4 +210,43 @@ router.post('/ocr', upload.single('image'), async (req, res) => {
   }
 });
 
+// How each LLM answer fared against its schema (null when that call was skipped),
+// and whether the analysis verdict was overruled by the cross-check
+function summarizeLlmValidation(aiResult, explanationValidation) {
+  return {
+    analysis: aiResult?.validation || null,
+    explanation: explanationValidation || null,
+    crossCheck: aiResult?.crossCheck || null,
+  };
+}
+
+// Where each expanded link led: every hop and how it was reached
+function summarizeRedirects(urlResults) {
+  return urlResults
+    .filter(result => result.redirect)
+    .map(({ redirect }) => ({
+      url: redirect.url,
+      finalUrl: redirect.finalUrl,
+      chain: redirect.hops.map(({ url, status, type }) => ({ url, status, type })),
+      hosts: redirect.hosts,
+      stoppedReason: redirect.stoppedReason,
+    }));
+}
+
+// Page-risk signal of every inspected landing page
+function summarizePages(pageResults) {
+  return pageResults
+    .filter(Boolean)
+    .map(({ url, fetched, status, title, score, signals, brands, error }) => ({
+      url,
+      fetched,
+      status,
+      title,
+      score,
+      signals,
+      brands: brands.map(({ id, name }) => ({ id, name })),
+      error,
+    }));
+}
+
 export default router;
@@ -0,0 +1,204 @@
+/**
+ * Crypto Address Validation
+ * Checksums of the wallet addresses scam messages ask victims to pay to, so a random
+ * string that merely looks like an address is not reported as one:
+ * - BTC: Base58Check (1..., 3...) and Bech32 / Bech32m (bc1q..., bc1p...)
+ * - ETH: 0x + 40 hex digits; mixed case must match the EIP-55 checksum
+ * - TRON: Base58Check with version byte 0x41 (T...)
+ */
+import crypto from 'crypto';
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const BECH32_ALPHABET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const BECH32_CONST = 1;
+const BECH32M_CONST = 0x2bc830a3;
+
+// Base58Check version bytes
+const BTC_VERSIONS = { 0x00: 'p2pkh', 0x05: 'p2sh' };
+const TRON_VERSION = 0x41;
+
+/**
+ * @typedef {Object} CryptoAddressCheck
+ * @property {'BTC'|'ETH'|'TRON'} chain
+ * @property {boolean} valid - Checksum (and length / version) verified
+ * @property {string|null} format - 'p2pkh', 'p2sh', 'segwit', 'taproot', 'eip55', 'unchecked' (all one case) or null
+ */
+
+/**
+ * Validate a candidate wallet address
+ * @param {string} address
+ * @returns {CryptoAddressCheck|null} null when the string does not look like any supported address
+ */
+export function validateCryptoAddress(address) {
+  if (/^0x[0-9a-f]{40}$/i.test(address)) return validateEthAddress(address);
+  if (/^bc1/i.test(address)) return { chain: 'BTC', ...validateBech32Address(address) };
+  if (/^[13]/.test(address)) {
+    const payload = decodeBase58Check(address);
+    const format = payload?.length === 21 ? BTC_VERSIONS[payload[0]] || null : null;
+    return { chain: 'BTC', valid: Boolean(format), format };
+  }
+  if (/^T/.test(address)) {
+    const payload = decodeBase58Check(address);
+    const valid = payload?.length === 21 && payload[0] === TRON_VERSION;
+    return { chain: 'TRON', valid, format: valid ? 'base58check' : null };
+  }
+  return null;
+}
+
+function validateEthAddress(address) {
+  const hex = address.slice(2);
+  if (hex === hex.toLowerCase() || hex === hex.toUpperCase()) {
+    // Wallets that write one case carry no checksum to verify
+    return { chain: 'ETH', valid: true, format: 'unchecked' };
+  }
+  const hash = keccak256(Buffer.from(hex.toLowerCase(), 'ascii')).toString('hex');
+  const valid = [...hex].every((char, index) => (
+    /\d/.test(char) || (parseInt(hash[index], 16) >= 8 ? char === char.toUpperCase() : char === char.toLowerCase())
+  ));
+  return { chain: 'ETH', valid, format: valid ? 'eip55' : null };
+}
+
+// Payload (version byte + hash) of a Base58Check string, or null if the checksum fails
+function decodeBase58Check(text) {
+  let value = 0n;
+  for (const char of text) {
+    const digit = BASE58_ALPHABET.indexOf(char);
+    if (digit === -1) return null;
+    value = value * 58n + BigInt(digit);
+  }
+  const hex = value.toString(16);
+  const body = Buffer.from(hex.length % 2 ? `0${hex}` : hex, 'hex');
+  const leadingZeros = text.match(/^1*/)[0].length;
+  const bytes = Buffer.concat([Buffer.alloc(leadingZeros), value === 0n ? Buffer.alloc(0) : body]);
+  if (bytes.length < 5) return null;
+
+  const payload = bytes.subarray(0, -4);
+  const checksum = sha256(sha256(payload)).subarray(0, 4);
+  return checksum.equals(bytes.subarray(-4)) ? payload : null;
+}
+
+// BIP173 (witness v0, Bech32) and BIP350 (v1+, Bech32m) mainnet addresses
+function validateBech32Address(address) {
+  const invalid = { valid: false, format: null };
+  if (address !== address.toLowerCase() && address !== address.toUpperCase()) return invalid;
+  const lower = address.toLowerCase();
+  const separator = lower.lastIndexOf('1');
+  const hrp = lower.slice(0, separator);
+  const data = [...lower.slice(separator + 1)].map(char => BECH32_ALPHABET.indexOf(char));
+  if (hrp !== 'bc' || data.length < 7 || data.includes(-1) || lower.length > 90) return invalid;
+
+  const version = data[0];
+  const constant = bech32Polymod([...hrpExpand(hrp), ...data]);
+  if (constant !== (version === 0 ? BECH32_CONST : BECH32M_CONST)) return invalid;
+
+  const program = convertBits(data.slice(1, -6), 5, 8);
+  if (!program || program.length < 2 || program.length > 40 || version > 16) return invalid;
+  if (version === 0 && program.length !== 20 && program.length !== 32) return invalid;
+  return { valid: true, format: version === 0 ? 'segwit' : 'taproot' };
+}
+
+function bech32Polymod(values) {
+  const generator = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+  let checksum = 1;
+  for (const value of values) {
+    const top = checksum >>> 25;
+    checksum = ((checksum & 0x1ffffff) << 5) ^ value;
+    generator.forEach((g, i) => {
+      if ((top >>> i) & 1) checksum ^= g;
+    });
+  }
+  return checksum >>> 0;
+}
+
+function hrpExpand(hrp) {
+  const codes = [...hrp].map(char => char.charCodeAt(0));
+  return [...codes.map(code => code >> 5), 0, ...codes.map(code => code & 31)];
+}
+
+// Regroup 5-bit words into bytes; null if the padding is not zero
+function convertBits(words, from, to) {
+  let accumulator = 0;
+  let bits = 0;
+  const result = [];
+  for (const word of words) {
+    accumulator = (accumulator << from) | word;
+    bits += from;
+    while (bits >= to) {
+      bits -= to;
+      result.push((accumulator >> bits) & ((1 << to) - 1));
+    }
+  }
+  if (bits >= from || ((accumulator << (to - bits)) & ((1 << to) - 1))) return null;
+  return result;
+}
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest();
+}
+
+// Keccak-256 as used by Ethereum (the original padding, not NIST SHA3-256, which Node lacks)
+const KECCAK_RATE = 136;
+const KECCAK_ROTATIONS = [0, 1, 62, 28, 27, 36, 44, 6, 55, 20, 3, 10, 43, 25, 39, 41, 45, 15, 21, 8, 18, 2, 61, 56, 14];
+const KECCAK_ROUND_CONSTANTS = keccakRoundConstants();
+const MASK_64 = (1n << 64n) - 1n;
+
+function keccak256(data) {
+  const padded = Buffer.alloc((Math.floor(data.length / KECCAK_RATE) + 1) * KECCAK_RATE);
+  data.copy(padded);
+  padded[data.length] ^= 0x01;
+  padded[padded.length - 1] ^= 0x80;
+
+  const state = new Array(25).fill(0n);
+  for (let offset = 0; offset < padded.length; offset += KECCAK_RATE) {
+    for (let lane = 0; lane < KECCAK_RATE / 8; lane++) {
+      state[lane] ^= padded.readBigUInt64LE(offset + lane * 8);
+    }
+    keccakPermute(state);
+  }
+
+  const digest = Buffer.alloc(32);
+  for (let lane = 0; lane < 4; lane++) digest.writeBigUInt64LE(state[lane], lane * 8);
+  return digest;
+}
+
+function keccakPermute(state) {
+  const rotate = (value, shift) => (shift === 0 ? value : ((value << BigInt(shift)) | (value >> BigInt(64 - shift))) & MASK_64);
+  for (const roundConstant of KECCAK_ROUND_CONSTANTS) {
+    // Theta
+    const columns = [0, 1, 2, 3, 4].map(x => state[x] ^ state[x + 5] ^ state[x + 10] ^ state[x + 15] ^ state[x + 20]);
+    for (let x = 0; x < 5; x++) {
+      const d = columns[(x + 4) % 5] ^ rotate(columns[(x + 1) % 5], 1);
+      for (let y = 0; y < 25; y += 5) state[x + y] ^= d;
+    }
+    // Rho and pi
+    const moved = new Array(25);
+    for (let x = 0; x < 5; x++) {
+      for (let y = 0; y < 5; y++) {
+        moved[y + 5 * ((2 * x + 3 * y) % 5)] = rotate(state[x + 5 * y], KECCAK_ROTATIONS[x + 5 * y]);
+      }
+    }
+    // Chi
+    for (let y = 0; y < 25; y += 5) {
+      for (let x = 0; x < 5; x++) {
+        state[x + y] = moved[x + y] ^ (~moved[((x + 1) % 5) + y] & MASK_64 & moved[((x + 2) % 5) + y]);
+      }
+    }
+    // Iota
+    state[0] ^= roundConstant;
+  }
+}
+
+// The 24 round constants, from the Keccak LFSR
+function keccakRoundConstants() {
+  const constants = [];
+  let lfsr = 1;
+  for (let round = 0; round < 24; round++) {
+    let constant = 0n;
+    for (let j = 0; j < 7; j++) {
+      lfsr = ((lfsr << 1) ^ ((lfsr >> 7) * 0x71)) % 256;
+      if (lfsr & 2) constant ^= 1n << ((1n << BigInt(j)) - 1n);
+    }
+    constants.push(constant);
+  }
+  return constants;
+}
@@ -1,72 +1,158 @@
 /**
- * Extract 45 features from message for XGBoost model
- * Reuses existing analysis results (parsed, urlResult, phoneResult, aiResult)
+ * Extract the XGBoost model's features from a message
+ * Reuses existing analysis results (parsed, urlResults, phoneResults, aiResult).
+ * The same extractor feeds live inference and the training CSV; every name, type and
+ * default comes from FEATURE_REGISTRY (featureRegistry.js).
  */
+import { analyzeUrlLexical, extractUrlLexicalFeatures } from './urlLexicalAnalyzer.js';
+import { normalizeFeatures, toModelInput } from './featureRegistry.js';
+import { analyzeText, segmentWords } from './textStats.js';
+import { matchLexicons, extractLexiconFeatures } from './lexiconService.js';
+import { SUSPICIOUS_TLDS } from '../data/suspiciousTlds.js';
+
+// Word lists behind the contains_* flags the model was trained on; the lexicon files feed
+// the lexicon_* columns instead
+const URGENT_WORDS = ['urgent', 'immediate', 'now', 'asap', 'hurry', 'fast', 'quick', 'alert', 'warning', 'action required'];
+const MONEY_WORDS = ['money', 'prize', 'win', 'won', 'cash', 'reward', 'bonus', 'free', 'gift', 'claim', 'dollar', 'payment'];
+const LINK_WORDS = ['click', 'link', 'visit', 'url', 'website', 'site', 'open', 'access'];
+const PRIZE_WORDS = ['congratulations', 'winner', 'selected', 'lucky', 'chosen', 'qualified'];
+const BANK_WORDS = ['bank', 'account', 'password', 'verify', 'confirm', 'secure', 'credential', 'login'];
+const PACKAGE_WORDS = ['package', 'delivery', 'parcel', 'shipment', 'courier', 'shipping', 'tracking'];
 
 /**
- * Extract all 45 features for XGBoost model
+ * Extract every registered feature (model, text and record columns)
+ * URL and phone features are aggregated over every URL/phone found in the message
+ * @param {Array} urlResults - One UrlIntel verdict per entry in parsed.urls (see urlIntel.js)
+ * @param {Array} phoneResults - One PhoneIntel object (phoneIntel.js) per entry in parsed.phones
+ * @returns {Object} One value per FEATURE_REGISTRY feature, in registry order
  */
-export function extractFeaturesForML(text, parsed, urlResult, phoneResult, aiResult) {
-  const features = {
-    // Text features (14)
-    char_count: text.length,
-    word_count: text.split(/\s+/).filter(w => w.length > 0).length,
-    digit_count: (text.match(/\d/g) || []).length,
-    digit_ratio: calculateDigitRatio(text),
-    uppercase_ratio: calculateUppercaseRatio(text),
+export function extractFeatures(text, parsed, urlResults = [], phoneResults = [], aiResult) {
+  const lowerText = text.toLowerCase();
+  const urls = parsed.urls || [];
+  const phones = parsed.phones || [];
+  const urlLexical = urls.map(analyzeUrlLexical).filter(Boolean);
+  const mentions = words => (words.some(w => lowerText.includes(w)) ? 1 : 0);
+  const payment = parsed.payment || { amounts: [], bankTransfers: [], storeCodes: [], giftCards: [], cryptoWallets: [], methods: [] };
+  // Words and sentences with Chinese segmented and full-width punctuation, see textStats.js
+  const stats = analyzeText(text);
+
+  return normalizeFeatures({
+    // Message text
+    message_text: text,
+    message_length: text.length,
+    contains_urgent_words: mentions(URGENT_WORDS),
+    contains_money_keywords: mentions(MONEY_WORDS),
+    contains_link_text: mentions(LINK_WORDS),
+    contains_prize_keywords: mentions(PRIZE_WORDS),
+    contains_bank_keywords: mentions(BANK_WORDS),
+    contains_package_keywords: mentions(PACKAGE_WORDS),
+    // Per-category counts and weights, matched spans; see lexiconService.js
+    ...extractLexiconFeatures(matchLexicons(text)),
     special_char_count: (text.match(/[!@#$%^&*()_+\-=\[\]{};':"\\|,.<>\/?]/g) || []).length,
+    // The model was trained on ASCII marks and space-separated words; the full-width and
+    // segmented versions are separate columns
     exclamation_count: (text.match(/!/g) || []).length,
     question_count: (text.match(/\?/g) || []).length,
-    has_urgent_keywords: hasUrgentKeywords(text) ? 1 : 0,
+    avg_word_length: calculateAvgWordLength(text.split(/\s+/).filter(w => w.length > 0)),
+    fullwidth_exclamation_count: (text.match(/！/g) || []).length,
+    fullwidth_question_count: (text.match(/？/g) || []).length,
+    avg_segmented_word_length: calculateAvgWordLength(stats.words),
+    digit_ratio: calculateDigitRatio(text),
+    uppercase_ratio: calculateUppercaseRatio(text),
+    word_count: stats.words.length,
+    digit_count: (text.match(/\d/g) || []).length,
     suspicious_word_count: countSuspiciousWords(text),
-    max_word_length: getMaxWordLength(text),
-    avg_word_length: parseFloat(calculateAvgWordLength(text)),
+    max_word_length: getMaxWordLength(stats.words),
     emoji_count: (text.match(/[\u{1F600}-\u{1F64F}\u{1F300}-\u{1F5FF}\u{1F680}-\u{1F6FF}\u{1F1E0}-\u{1F1FF}]/gu) || []).length,
     consecutive_caps: getConsecutiveCaps(text),
-
-    // URL features (8)
-    url_count: parsed.url ? 1 : 0,
-    has_suspicious_tld: parsed.url ? hasSuspiciousTLD(parsed.url) : 0,
-    has_ip_address: parsed.url ? hasIPAddress(parsed.url) : 0,
-    has_url_shortener: parsed.url ? isShortUrl(parsed.url) : 0,
-    avg_url_length: parsed.url ? parsed.url.length : 0,
-    has_https: parsed.url ? (parsed.url.startsWith('https') ? 1 : 0) : 0,
-    url_path_depth: parsed.url ? getUrlPathDepth(parsed.url) : 0,
-    subdomain_count: parsed.url ? getSubdomainCount(parsed.url) : 0,
-
-    // Phone features (7)
-    phone_count: parsed.phone ? 1 : 0,
-    has_intl_code: parsed.phone ? (parsed.phone.startsWith('+') ? 1 : 0) : 0,
-    is_voip: phoneResult?.lineType === 'voip' ? 1 : 0,
-    is_mobile: phoneResult?.lineType === 'mobile' ? 1 : 0,
-    is_valid_phone: phoneResult?.valid ? 1 : 0,
-    phone_carrier_known: phoneResult?.carrier ? 1 : 0,
-    has_multiple_phones: (text.match(/\d{3,4}[-\s]?\d{3,4}[-\s]?\d{4}/g) || []).length > 1 ? 1 : 0,
-
-    // AI features (12)
-    urgency_level: aiResult?.urgency_level || 0,
-    threat_level: aiResult?.threat_level || 0,
-    temptation_level: aiResult?.temptation_level || 0,
-    impersonation_type: aiResult?.impersonation_type || 'none',
-    action_requested: aiResult?.action_requested || 'none',
-    grammar_quality: aiResult?.grammar_quality || 5,
-    emotion_triggers: aiResult?.emotion_triggers ? aiResult.emotion_triggers.join(',') : 'none',
-    credibility_score: aiResult?.credibility_score || 5,
-    ai_is_scam: aiResult?.isScam ? 1 : 0,
-    ai_confidence: aiResult?.confidence || 0,
-    has_scam_keywords: aiResult?.keywords && aiResult.keywords.length > 0 ? 1 : 0,
-    keyword_count: aiResult?.keywords ? aiResult.keywords.length : 0,
-
-    // Statistical features (3)
     text_entropy: calculateEntropy(text),
-    readability_score: calculateReadabilityScore(text),
-    sentence_complexity: calculateSentenceComplexity(text),
+    readability_score: calculateReadabilityScore(stats),
+    sentence_complexity: calculateSentenceComplexity(stats.sentences),
+    chinese_char_ratio: stats.chineseRatio,
+    // hxxp://, bit[.]ly, full-width or emoji-split digits, etc.
+    contains_obfuscation: parsed.obfuscation?.detected,
+    // Text aimed at AI filters, see promptGuard.js
+    has_prompt_injection: parsed.promptInjection?.detected,
+    prompt_injection_score: parsed.promptInjection?.score,
+    // How the message asks to be paid, see paymentExtractor.js
+    has_amount: payment.amounts.length > 0,
+    amount_count: payment.amounts.length,
+    max_amount: Math.max(0, ...payment.amounts.map(amount => amount.value)),
+    bank_account_count: payment.bankTransfers.length,
+    bank_code_known: payment.bankTransfers.some(transfer => transfer.bank),
+    has_store_payment_code: payment.storeCodes.length > 0,
+    has_gift_card_request: payment.giftCards.some(card => card.requested),
+    crypto_wallet_count: payment.cryptoWallets.filter(wallet => wallet.valid).length,
+    has_invalid_crypto_address: payment.cryptoWallets.some(wallet => !wallet.valid),
+    payment_method_count: payment.methods.length,
+
+    // URLs
+    has_url: urls.length > 0,
+    url_count: urls.length,
+    url_domain: urls.length > 0 ? urls.map(getHostname).filter(Boolean).join(', ') : null,
+    url_is_shortened: urls.some(url => isShortUrl(url)),
+    url_has_ip: urlLexical.some(a => a.isIP),
+    url_length: Math.max(0, ...urls.map(url => url.length)),
+    url_redirect_hops: Math.max(0, ...urlResults.map(r => (r?.redirect ? r.redirect.hops.length - 1 : 0))),
+    avg_url_length: urls.length > 0 ? parseFloat((urls.reduce((sum, url) => sum + url.length, 0) / urls.length).toFixed(2)) : 0,
+    has_https: urls.length > 0 && urls.every(url => url.startsWith('https')),
+    has_suspicious_tld: urls.some(url => hasSuspiciousTLD(url)),
+    url_path_depth: Math.max(0, ...urls.map(getUrlPathDepth)),
+    subdomain_count: Math.max(0, ...urlLexical.map(a => a.subdomainDepth)),
+    // url_lexical group, see urlLexicalAnalyzer.js
+    ...extractUrlLexicalFeatures(urls),
+    // Merged Safe Browsing / blocklist / allowlist verdict, see urlIntel.js
+    google_safe_browsing_is_safe: urlResults.every(r => r?.safeBrowsing?.isSafe !== false),
+    google_safe_browsing_threat: urlResults.find(r => r?.safeBrowsing?.threatType)?.safeBrowsing.threatType,
+    url_flagged: urlResults.some(r => r && !r.isSafe),
+    url_blocklisted: urlResults.some(r => r?.blocklisted),
+    url_allowlisted: urlResults.length > 0 && urlResults.every(r => r?.allowlisted),
+    // Best match over all links, see lookalikeDetector.js
+    lookalike_score: Math.max(0, ...urlResults.map(r => r?.lookalike?.score || 0)),
+    lookalike_brand: strongestLookalike(urlResults)?.brand?.id,
+    // Punycode, mixed scripts, look-alike letters; see hostnameAnalyzer.js
+    has_idn_host: urlResults.some(r => r?.hostname?.isIDN),
+    has_mixed_script_host: urlResults.some(r => r?.hostname?.suspicious),
+    confusable_char_count: Math.max(0, ...urlResults.map(r => r?.hostname?.confusables.length || 0)),
+
+    // Phone numbers
+    has_phone: phones.length > 0,
+    phone_count: phones.length,
+    phone_number: phones.length > 0 ? phones.join(', ') : null,
+    phone_is_mobile: phoneResults.some(r => r?.lineType === 'mobile'),
+    phone_is_voip: phoneResults.some(r => r?.lineType === 'voip'),
+    phone_is_valid: phoneResults.length > 0 && phoneResults.every(r => r?.valid),
+    phone_carrier: phoneResults.find(r => r?.carrier)?.carrier,
+    phone_country_code: phoneResults.find(r => r?.country)?.country,
+    phone_is_foreign: phoneResults.some(r => r?.isForeign),
+    phone_carrier_known: phoneResults.some(r => r?.carrier),
+    has_intl_code: phones.some(phone => phone.startsWith('+')),
+    has_multiple_phones: phones.length > 1,
 
-    // URL safety (1 - from Google Safe Browsing)
-    google_safe_browsing_flagged: urlResult && !urlResult.isSafe ? 1 : 0,
-  };
+    // Content analysis
+    openai_is_scam: aiResult?.isScam,
+    openai_confidence: aiResult?.confidence,
+    openai_reason: aiResult?.reason,
+    openai_keywords: aiResult?.keywords?.join(', '),
+    openai_urgency_level: aiResult?.urgency_level,
+    openai_threat_level: aiResult?.threat_level,
+    openai_temptation_level: aiResult?.temptation_level,
+    openai_impersonation_type: aiResult?.impersonation_type,
+    openai_action_requested: aiResult?.action_requested,
+    openai_grammar_quality: aiResult?.grammar_quality,
+    openai_emotion_triggers: aiResult?.emotion_triggers?.join(', '),
+    openai_credibility_score: aiResult?.credibility_score,
+  });
+}
 
-  return features;
+/**
+ * Extract the features sent to the XGBoost model (see toModelInput in featureRegistry.js)
+ * @param {Object} options
+ * @param {boolean} options.includeText - Send message text and AI text for the model's own
+ *   text features
+ */
+export function extractFeaturesForML(text, parsed, urlResults = [], phoneResults = [], aiResult, { includeText = true } = {}) {
+  return toModelInput(extractFeatures(text, parsed, urlResults, phoneResults, aiResult), { includeText });
 }
 
 // Helper functions
@@ -83,26 +169,18 @@ function calculateUppercaseRatio(text) {
   return parseFloat((uppercaseCount / letters.length).toFixed(3));
 }
 
-function hasUrgentKeywords(text) {
-  const urgentWords = ['urgent', 'immediate', 'now', 'asap', 'hurry', 'fast', 'quick', 'alert', 'warning', 'action required', '緊急', '立即', '馬上', '盡快'];
-  const lowerText = text.toLowerCase();
-  return urgentWords.some(w => lowerText.includes(w.toLowerCase()));
-}
-
 function countSuspiciousWords(text) {
   const suspiciousWords = ['prize', 'winner', 'congratulations', 'claim', 'verify', 'suspended', 'locked', 'confirm', 'password', 'account', 'bank', 'credit card', '中獎', '恭喜', '領取', '驗證', '帳號', '密碼'];
   const lowerText = text.toLowerCase();
   return suspiciousWords.filter(w => lowerText.includes(w.toLowerCase())).length;
 }
 
-function getMaxWordLength(text) {
-  const words = text.split(/\s+/).filter(w => w.length > 0);
+function getMaxWordLength(words) {
   if (words.length === 0) return 0;
   return Math.max(...words.map(w => w.length));
 }
 
-function calculateAvgWordLength(text) {
-  const words = text.split(/\s+/).filter(w => w.length > 0);
+function calculateAvgWordLength(words) {
   if (words.length === 0) return 0;
   const totalLength = words.reduce((sum, word) => sum + word.length, 0);
   return (totalLength / words.length).toFixed(2);
@@ -114,18 +192,27 @@ function getConsecutiveCaps(text) {
 }
 
 function hasSuspiciousTLD(url) {
-  const suspiciousTLDs = ['.tk', '.ml', '.ga', '.cf', '.gq', '.xyz', '.top', '.work', '.click'];
   try {
     const hostname = new URL(url).hostname;
-    return suspiciousTLDs.some(tld => hostname.endsWith(tld)) ? 1 : 0;
+    return SUSPICIOUS_TLDS.some(tld => hostname.endsWith(`.${tld}`)) ? 1 : 0;
   } catch {
     return 0;
   }
 }
 
-function hasIPAddress(url) {
-  const ipPattern = /\d{1,3}\.\d{1,3}\.\d{1,3}\.\d{1,3}/;
-  return ipPattern.test(url) ? 1 : 0;
+function getHostname(url) {
+  try {
+    return new URL(url).hostname;
+  } catch {
+    return null;
+  }
+}
+
+function strongestLookalike(urlResults) {
+  return urlResults
+    .map(r => r?.lookalike)
+    .filter(lookalike => lookalike?.score > 0)
+    .sort((a, b) => b.score - a.score)[0] || null;
 }
 
 function isShortUrl(url) {
@@ -147,16 +234,6 @@ function getUrlPathDepth(url) {
   }
 }
 
-function getSubdomainCount(url) {
-  try {
-    const hostname = new URL(url).hostname;
-    const parts = hostname.split('.');
-    return Math.max(0, parts.length - 2); // Exclude domain and TLD
-  } catch {
-    return 0;
-  }
-}
-
 function calculateEntropy(text) {
   if (text.length === 0) return 0;
   const freq = {};
@@ -171,10 +248,7 @@ function calculateEntropy(text) {
   return parseFloat(entropy.toFixed(3));
 }
 
-function calculateReadabilityScore(text) {
-  const words = text.split(/\s+/).filter(w => w.length > 0);
-  const sentences = text.split(/[.!?]+/).filter(s => s.trim().length > 0);
-  
+function calculateReadabilityScore({ words, sentences }) {
   if (words.length === 0 || sentences.length === 0) return 0;
   
   const avgWordsPerSentence = words.length / sentences.length;
@@ -185,15 +259,15 @@ function calculateReadabilityScore(text) {
   return parseFloat(Math.min(score, 100).toFixed(2));
 }
 
-function calculateSentenceComplexity(text) {
-  const sentences = text.split(/[.!?]+/).filter(s => s.trim().length > 0);
+function calculateSentenceComplexity(sentences) {
   if (sentences.length === 0) return 0;
   
   let complexCount = 0;
   for (let sentence of sentences) {
-    const words = sentence.split(/\s+/).filter(w => w.length > 0);
-    const hasLongWords = words.some(w => w.length > 10);
-    const hasMultipleClauses = (sentence.match(/[,;]/g) || []).length > 2;
+    const words = segmentWords(sentence);
+    // Chinese words are a few characters long, so five already makes a long one
+    const hasLongWords = words.some(w => w.length > (/\p{Script=Han}/u.test(w) ? 4 : 10));
+    const hasMultipleClauses = (sentence.match(/[,;，、；：]/g) || []).length > 2;
     
     if (hasLongWords || hasMultipleClauses) {
       complexCount++;
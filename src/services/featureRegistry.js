@@ -0,0 +1,233 @@
+/**
+ * Feature Registry
+ * The one list of features shared by live inference (featureExtractor.js -> xgboostService.js)
+ * and the training CSV (training/utils/csvWriter.js). Each feature has a name, a type, a
+ * default for when it cannot be computed, and `since`, the registry version that added it.
+ *
+ * Names follow the training CSV, since the model (lumos_XGBoost/feature_columns.json) was
+ * trained on it. Bump FEATURE_REGISTRY.version whenever a feature is added or its meaning
+ * changes, so training rows built by different versions are not mixed.
+ *
+ * kind:
+ * - 'model'  (default) sent to the model service as is
+ * - 'text'   raw text the model service turns into features itself (TF-IDF, counts, one-hot;
+ *            see MODEL_DERIVED_FEATURES); sent unless the request is privacy=local
+ * - 'record' kept in the training CSV for people reviewing it, never sent
+ */
+import { URL_LEXICAL_FEATURE_GROUP } from './urlLexicalAnalyzer.js';
+import { LEXICON_CATEGORIES } from './lexiconService.js';
+
+/**
+ * @typedef {Object} FeatureDefinition
+ * @property {string} name
+ * @property {'number'|'flag'|'category'|'text'} type - flag is 0/1; category and text are strings
+ * @property {number|string|null} default
+ * @property {number} since - Registry version that added the feature
+ * @property {string} group
+ * @property {'model'|'text'|'record'} kind
+ */
+
+const number = (name, since, group, value = 0) => ({ name, type: 'number', default: value, since, group, kind: 'model' });
+const flag = (name, since, group, value = 0) => ({ name, type: 'flag', default: value, since, group, kind: 'model' });
+const category = (name, since, group) => ({ name, type: 'category', default: null, since, group, kind: 'model' });
+const text = (name, since, group, kind = 'text') => ({ name, type: 'text', default: null, since, group, kind });
+
+export const FEATURE_REGISTRY = {
+  // 1: the columns lumos_XGBoost/feature_columns.json was trained on; 2: the features added
+  // since; 3: word and sentence statistics that segment Chinese (textStats.js); 4: scam
+  // vocabulary from the lexicon files (lexiconService.js); 5: payment instructions
+  // (paymentExtractor.js); 6: full-width punctuation and segmented word length as their own
+  // columns, with exclamation_count, question_count and avg_word_length back to their v1 meaning;
+  // 7: contains_* flags back to the v1 word lists, the lexicons only feed lexicon_* columns
+  version: 7,
+  /** @type {FeatureDefinition[]} */
+  features: [
+    // Message text
+    text('message_text', 1, 'text'),
+    number('message_length', 1, 'text'),
+    flag('contains_urgent_words', 1, 'text'),
+    flag('contains_money_keywords', 1, 'text'),
+    flag('contains_link_text', 1, 'text'),
+    flag('contains_prize_keywords', 1, 'text'),
+    flag('contains_bank_keywords', 1, 'text'),
+    flag('contains_package_keywords', 1, 'text'),
+    ...LEXICON_CATEGORIES.flatMap(({ name }) => [
+      number(`lexicon_${name}_count`, 4, 'lexicon'),
+      number(`lexicon_${name}_weight`, 4, 'lexicon'),
+    ]),
+    text('lexicon_matches', 4, 'lexicon', 'record'),
+    number('special_char_count', 1, 'text'),
+    number('exclamation_count', 1, 'text'),
+    number('question_count', 1, 'text'),
+    number('avg_word_length', 1, 'text'),
+    number('fullwidth_exclamation_count', 6, 'text'),
+    number('fullwidth_question_count', 6, 'text'),
+    number('avg_segmented_word_length', 6, 'text'),
+    number('digit_ratio', 1, 'text'),
+    number('uppercase_ratio', 1, 'text'),
+    number('word_count', 2, 'text'),
+    number('digit_count', 2, 'text'),
+    number('suspicious_word_count', 2, 'text'),
+    number('max_word_length', 2, 'text'),
+    number('emoji_count', 2, 'text'),
+    number('consecutive_caps', 2, 'text'),
+    number('text_entropy', 2, 'statistical'),
+    number('readability_score', 2, 'statistical'),
+    number('sentence_complexity', 2, 'statistical'),
+    number('chinese_char_ratio', 3, 'statistical'),
+    flag('contains_obfuscation', 2, 'obfuscation'),
+    flag('has_prompt_injection', 2, 'prompt_injection'),
+    number('prompt_injection_score', 2, 'prompt_injection'),
+    flag('has_amount', 5, 'payment'),
+    number('amount_count', 5, 'payment'),
+    number('max_amount', 5, 'payment'),
+    number('bank_account_count', 5, 'payment'),
+    flag('bank_code_known', 5, 'payment'),
+    flag('has_store_payment_code', 5, 'payment'),
+    flag('has_gift_card_request', 5, 'payment'),
+    number('crypto_wallet_count', 5, 'payment'),
+    flag('has_invalid_crypto_address', 5, 'payment'),
+    number('payment_method_count', 5, 'payment'),
+
+    // URLs
+    flag('has_url', 1, 'url'),
+    number('url_count', 1, 'url'),
+    text('url_domain', 1, 'url', 'record'),
+    flag('url_is_shortened', 1, 'url'),
+    flag('url_has_ip', 1, 'url'),
+    number('url_length', 1, 'url'),
+    number('url_redirect_hops', 2, 'url'),
+    number('avg_url_length', 2, 'url'),
+    flag('has_https', 2, 'url'),
+    flag('has_suspicious_tld', 2, 'url'),
+    number('url_path_depth', 2, 'url'),
+    number('subdomain_count', 2, 'url'),
+    ...URL_LEXICAL_FEATURE_GROUP.features.map(name => number(name, 2, URL_LEXICAL_FEATURE_GROUP.name)),
+    flag('google_safe_browsing_is_safe', 1, 'url_reputation', 1),
+    category('google_safe_browsing_threat', 1, 'url_reputation'),
+    flag('url_flagged', 2, 'url_reputation'),
+    flag('url_blocklisted', 2, 'url_reputation'),
+    flag('url_allowlisted', 2, 'url_reputation'),
+    number('lookalike_score', 2, 'lookalike'),
+    category('lookalike_brand', 2, 'lookalike'),
+    flag('has_idn_host', 2, 'hostname'),
+    flag('has_mixed_script_host', 2, 'hostname'),
+    number('confusable_char_count', 2, 'hostname'),
+
+    // Phone numbers
+    flag('has_phone', 1, 'phone'),
+    number('phone_count', 1, 'phone'),
+    text('phone_number', 1, 'phone', 'record'),
+    flag('phone_is_mobile', 1, 'phone'),
+    flag('phone_is_voip', 1, 'phone'),
+    flag('phone_is_valid', 1, 'phone'),
+    text('phone_carrier', 1, 'phone', 'record'),
+    category('phone_country_code', 1, 'phone'),
+    flag('phone_is_foreign', 2, 'phone'),
+    flag('phone_carrier_known', 2, 'phone'),
+    flag('has_intl_code', 2, 'phone'),
+    flag('has_multiple_phones', 2, 'phone'),
+
+    // LLM (or heuristic) content analysis, after the cross-check (promptGuard.js)
+    flag('openai_is_scam', 1, 'ai'),
+    number('openai_confidence', 1, 'ai'),
+    text('openai_reason', 1, 'ai'),
+    text('openai_keywords', 1, 'ai'),
+    number('openai_urgency_level', 1, 'ai'),
+    number('openai_threat_level', 1, 'ai'),
+    number('openai_temptation_level', 1, 'ai'),
+    text('openai_impersonation_type', 1, 'ai'),
+    text('openai_action_requested', 1, 'ai'),
+    number('openai_grammar_quality', 1, 'ai'),
+    text('openai_emotion_triggers', 1, 'ai'),
+    number('openai_credibility_score', 1, 'ai'),
+  ],
+};
+
+// Model columns the model service computes from 'text' features (lumos_XGBoost/predict.py)
+export const MODEL_DERIVED_FEATURES = [
+  { pattern: /^tfidf_msg_\d+$/, from: 'message_text' },
+  { pattern: /^tfidf_kw_\d+$/, from: 'openai_keywords' },
+  { pattern: /^keyword_count$/, from: 'openai_keywords' },
+  { pattern: /^reason_length$/, from: 'openai_reason' },
+  { pattern: /^emotion_trigger_count$/, from: 'openai_emotion_triggers' },
+  { pattern: /^action_[a-z_]+$/, from: 'openai_action_requested' },
+  { pattern: /^impersonate_[a-z_]+$/, from: 'openai_impersonation_type' },
+];
+
+const BY_NAME = new Map(FEATURE_REGISTRY.features.map(feature => [feature.name, feature]));
+
+/**
+ * Every registered feature, in registry order, coerced to its type; missing or
+ * uncomputable values get the default
+ * @param {Object} values - Feature name -> raw value
+ * @returns {Object}
+ * @throws {Error} When a value is given for a name that is not registered
+ */
+export function normalizeFeatures(values) {
+  const unknown = Object.keys(values).filter(name => !BY_NAME.has(name));
+  if (unknown.length > 0) {
+    throw new Error(`Features not in FEATURE_REGISTRY: ${unknown.join(', ')}`);
+  }
+
+  const features = {};
+  for (const feature of FEATURE_REGISTRY.features) {
+    features[feature.name] = coerce(values[feature.name], feature);
+  }
+  return features;
+}
+
+/**
+ * The part of a normalized feature set that goes to the model service
+ * @param {Object} features - From normalizeFeatures()
+ * @param {Object} options
+ * @param {boolean} options.includeText - Send 'text' features (false keeps message text on this server)
+ */
+export function toModelInput(features, { includeText = true } = {}) {
+  return Object.fromEntries(FEATURE_REGISTRY.features
+    .filter(feature => feature.kind === 'model' || (includeText && feature.kind === 'text'))
+    .map(feature => [feature.name, features[feature.name]]));
+}
+
+/**
+ * @typedef {Object} FeatureParity
+ * @property {boolean} ok - Every model column is sent or derived by the model service
+ * @property {number} registryVersion
+ * @property {string[]} missing - Model columns this app never sends; the model service zero-fills them
+ * @property {string[]} derived - Model columns the model service computes from 'text' features
+ * @property {string[]} unused - Registered model features the model was not trained on
+ */
+
+/**
+ * Compare the model's feature columns (GET /model/info) with the registry
+ * @param {string[]} modelFeatures
+ * @returns {FeatureParity}
+ */
+export function checkFeatureParity(modelFeatures) {
+  const sent = new Set(FEATURE_REGISTRY.features.filter(feature => feature.kind === 'model').map(feature => feature.name));
+  const derived = modelFeatures.filter(name => !sent.has(name) && MODEL_DERIVED_FEATURES.some(({ pattern, from }) => pattern.test(name) && BY_NAME.get(from)?.kind === 'text'));
+  const missing = modelFeatures.filter(name => !sent.has(name) && !derived.includes(name));
+  const modelSet = new Set(modelFeatures);
+
+  return {
+    ok: missing.length === 0,
+    registryVersion: FEATURE_REGISTRY.version,
+    missing,
+    derived,
+    unused: [...sent].filter(name => !modelSet.has(name)),
+  };
+}
+
+function coerce(value, feature) {
+  if (value === undefined || value === null) return feature.default;
+  switch (feature.type) {
+    case 'flag':
+      return value ? 1 : 0;
+    case 'number': {
+      const number = Number(value);
+      return Number.isFinite(number) ? number : feature.default;
+    }
+    default:
+      return String(value);
+  }
+}
@@ -0,0 +1,143 @@
+/**
+ * Heuristic Content Analyzer
+ * Local stand-in for the LLM message analysis (openaiCheck.js) when message content may
+ * not leave the server (privacy=local, see privacyMode.js) and no local model is set up.
+ * Scores the tactics found by the lexicons (lexiconService.js, src/data/lexicons) and
+ * answers in the same shape as SCAM_ANALYSIS_SCHEMA, so the feature extractor and
+ * explainer need no special case. Editing a lexicon file changes the verdict too.
+ */
+import { getLexicon } from './lexiconService.js';
+import { t } from './i18n.js';
+
+// Confidence at which the message is called a scam
+const SCAM_THRESHOLD = 50;
+
+// Lexicon categories behind each tactic and SCAM_ANALYSIS_SCHEMA value
+const URGENCY = ['urgent'];
+const THREAT = ['threat'];
+const TEMPTATION = ['prize', 'offer'];
+const IMPERSONATION = {
+  bank: ['impersonation_bank'],
+  government: ['impersonation_government'],
+  courier: ['package'],
+  company: ['impersonation_company'],
+  lottery: ['impersonation_lottery'],
+  tech_support: ['impersonation_tech_support'],
+};
+// In priority order: asking for money outranks asking for a click
+const ACTIONS = {
+  transfer_money: ['action_transfer_money'],
+  provide_info: ['action_provide_info'],
+  click_link: ['link'],
+  call_number: ['action_call_number'],
+  download: ['action_download'],
+  reply: ['action_reply'],
+};
+// Where to send the money ("匯款到這個帳戶", "transfer to this account")
+const PAYEE = ['payee_account'];
+const EMOTIONS = {
+  fear: THREAT,
+  greed: TEMPTATION,
+  urgency: URGENCY,
+  curiosity: ['emotion_curiosity'],
+  trust: ['emotion_trust'],
+};
+
+// Total lexicon weight at which a tactic counts as present; weak hints ("now", "open") alone do not
+const MIN_WEIGHT = 1;
+// Extra points for pairs of tactics that rarely meet outside a scam
+const PAYEE_BONUS = 35; // a money transfer to a named account
+const PRESSURE_BONUS = 15; // a money or credential request under a deadline
+
+/**
+ * Analyze message content without any network call
+ * @param {string} content
+ * @param {Object} options
+ * @param {string} options.lang - Language of `reason` (see i18n.js)
+ * @param {Object} options.lexicon - From createLexicon(), defaults to getLexicon()
+ * @returns {Object} SCAM_ANALYSIS_SCHEMA fields, plus source: 'heuristic' and validation: null
+ */
+export function analyzeHeuristically(content = '', { lang = 'en', lexicon = getLexicon() } = {}) {
+  const result = lexicon.match(content);
+  const urgency = findTerms(result, URGENCY);
+  const threat = findTerms(result, THREAT);
+  const temptation = findTerms(result, TEMPTATION);
+  const impersonation = strongestCategory(result, IMPERSONATION);
+  const payee = findTerms(result, PAYEE);
+  const action = Object.entries(ACTIONS).find(([, categories]) => findTerms(result, categories).weight >= MIN_WEIGHT)?.[0]
+    || (/https?:\/\/|www\./i.test(content) ? 'click_link' : 'none');
+
+  const urgencyLevel = level(urgency);
+  const threatLevel = level(threat);
+  const temptationLevel = level(temptation);
+  const asksForMoneyOrInfo = ['transfer_money', 'provide_info'].includes(action);
+  const namesPayee = action === 'transfer_money' && payee.weight >= MIN_WEIGHT;
+  const points = urgencyLevel * 3 + threatLevel * 3 + temptationLevel * 2
+    + (impersonation.category !== 'none' ? 15 : 0)
+    + (asksForMoneyOrInfo ? 15 : action !== 'none' ? 5 : 0)
+    + (namesPayee ? PAYEE_BONUS : 0)
+    + (asksForMoneyOrInfo && urgencyLevel > 0 ? PRESSURE_BONUS : 0);
+  const confidence = Math.min(95, points);
+  const isScam = confidence >= SCAM_THRESHOLD;
+
+  const keywords = [...new Set([urgency, threat, temptation, impersonation, payee]
+    .filter(found => found.weight >= MIN_WEIGHT)
+    .flatMap(found => found.terms))].slice(0, 20);
+  const terms = found => found.terms.slice(0, 3).join(t(lang, 'list.separator'));
+  const tactics = [
+    urgencyLevel > 0 && t(lang, 'heuristic.urgency', { terms: terms(urgency) }),
+    threatLevel > 0 && t(lang, 'heuristic.threats', { terms: terms(threat) }),
+    temptationLevel > 0 && t(lang, 'heuristic.temptation', { terms: terms(temptation) }),
+    impersonation.category !== 'none' && t(lang, 'heuristic.impersonation', { category: t(lang, `impersonation.${impersonation.category}`) }),
+    action !== 'none' && t(lang, 'heuristic.action', { action: t(lang, `request.${action}`) }),
+    namesPayee && t(lang, 'heuristic.payee', { terms: terms(payee) }),
+  ].filter(Boolean);
+
+  return {
+    isScam,
+    confidence,
+    reason: tactics.length > 0
+      ? t(lang, 'heuristic.found', { tactics: tactics.join(t(lang, 'heuristic.clauses')) })
+      : t(lang, 'heuristic.none'),
+    keywords,
+    urgency_level: urgencyLevel,
+    threat_level: threatLevel,
+    temptation_level: temptationLevel,
+    impersonation_type: impersonation.category,
+    action_requested: action,
+    // Grammar cannot be judged from keywords; 5 is the schema default
+    grammar_quality: 5,
+    emotion_triggers: Object.keys(EMOTIONS).filter(emotion => findTerms(result, EMOTIONS[emotion]).weight >= MIN_WEIGHT),
+    credibility_score: Math.max(0, 10 - Math.round(points / 10)),
+    source: 'heuristic',
+    validation: null,
+  };
+}
+
+// Counted (not negated) matches of some lexicon categories: distinct terms, lower-cased,
+// and their total weight; a span matched by two of the categories is counted once
+function findTerms(result, categories) {
+  const matches = new Map();
+  for (const category of categories) {
+    for (const match of result.categories[category]?.matches || []) {
+      if (!match.negated && !matches.has(`${match.start}-${match.end}`)) matches.set(`${match.start}-${match.end}`, match);
+    }
+  }
+  const found = [...matches.values()].sort((a, b) => a.start - b.start);
+  return {
+    terms: [...new Set(found.map(match => match.text.toLowerCase()))],
+    weight: found.reduce((sum, match) => sum + match.weight, 0),
+  };
+}
+
+function strongestCategory(result, categoriesByValue) {
+  return Object.entries(categoriesByValue)
+    .map(([category, categories]) => ({ category, ...findTerms(result, categories) }))
+    .filter(current => current.weight >= MIN_WEIGHT)
+    .reduce((best, current) => (current.weight > best.weight ? current : best), { category: 'none', terms: [], weight: 0 });
+}
+
+// 0-10 from the total weight: one strong term is a hint, three are a pattern
+function level(found) {
+  return found.weight >= MIN_WEIGHT ? Math.min(10, Math.round(found.weight * 2)) : 0;
+}
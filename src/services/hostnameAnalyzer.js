@@ -0,0 +1,135 @@
+/**
+ * Hostname Analyzer
+ * Find internationalized (IDN) hostnames built to look like another domain:
+ * decode "xn--" labels, detect labels mixing scripts (Latin with Cyrillic, Greek, ...)
+ * or written entirely in look-alike letters, and reduce the host to an ASCII skeleton
+ * ("xn--tbcbank-xjg.com" = "сtbcbank.com" -> "ctbcbank.com") for the brand registry.
+ */
+import { domainToASCII, domainToUnicode } from 'url';
+import { CONFUSABLES } from '../data/confusables.js';
+import { t, joinList } from './i18n.js';
+
+// Scripts told apart; digits, hyphens (Common) and combining marks (Inherited) belong to none
+const SCRIPTS = [
+  'Latin', 'Cyrillic', 'Greek', 'Armenian', 'Han', 'Hiragana', 'Katakana', 'Hangul', 'Bopomofo',
+  'Thai', 'Arabic', 'Hebrew', 'Georgian', 'Cherokee', 'Devanagari',
+].map(name => ({ name, pattern: new RegExp(`\\p{Script=${name}}`, 'u') }));
+
+// Script mixes that are normal in East Asian domains (UTS #39 "highly restrictive")
+const ALLOWED_MIXES = [
+  ['Latin', 'Han', 'Hiragana', 'Katakana'],
+  ['Latin', 'Han', 'Bopomofo'],
+  ['Latin', 'Han', 'Hangul'],
+];
+
+const SPOOFABLE_SCRIPTS = ['Cyrillic', 'Greek', 'Armenian'];
+
+/**
+ * @typedef {Object} HostnameAnalysis
+ * @property {string|null} host - Hostname as given
+ * @property {string|null} ascii - ASCII (punycode) form, e.g. "xn--tbcbank-xjg.com"
+ * @property {string|null} unicode - Decoded form, e.g. "сtbcbank.com"
+ * @property {boolean} isIDN - Has at least one "xn--" label
+ * @property {string[]} scripts - Scripts used in the hostname
+ * @property {boolean} mixedScript - A label mixes scripts, e.g. Latin and Cyrillic in "сtbcbank"
+ * @property {boolean} wholeScriptConfusable - A non-Latin label made only of letters that look Latin, e.g. Cyrillic "аррӏе"
+ * @property {Array} confusables - Look-alike characters found: { char, codePoint, script, looksLike }
+ * @property {string|null} skeleton - Hostname with every look-alike replaced by the ASCII character it imitates
+ * @property {boolean} suspicious - mixedScript or wholeScriptConfusable
+ */
+
+/**
+ * Analyze one hostname (ASCII/punycode or Unicode)
+ * @param {string} hostname
+ * @returns {HostnameAnalysis}
+ */
+export function analyzeHostname(hostname) {
+  const none = {
+    host: hostname || null,
+    ascii: null,
+    unicode: null,
+    isIDN: false,
+    scripts: [],
+    mixedScript: false,
+    wholeScriptConfusable: false,
+    confusables: [],
+    skeleton: null,
+    suspicious: false,
+  };
+  if (!hostname) return none;
+
+  const lower = hostname.toLowerCase();
+  const ascii = /[^\x00-\x7f]/.test(lower) ? domainToASCII(lower) : lower;
+  if (!ascii) return none;
+  const unicode = domainToUnicode(ascii) || lower;
+
+  const labels = unicode.split('.').map(label => ({ label, scripts: getScripts(label) }));
+  const latinLabel = labels.some(({ scripts }) => scripts.length === 1 && scripts[0] === 'Latin');
+  const mixedScript = labels.some(({ scripts }) => scripts.length > 1 && !ALLOWED_MIXES.some(mix => scripts.every(s => mix.includes(s))));
+  const wholeScriptConfusable = latinLabel && labels.some(({ label, scripts }) => (
+    scripts.length === 1 && SPOOFABLE_SCRIPTS.includes(scripts[0])
+    && Array.from(stripMarks(label)).every(char => !/\p{L}/u.test(char) || CONFUSABLES[char])
+  ));
+
+  const confusables = [...new Set(Array.from(stripMarks(unicode)).filter(char => CONFUSABLES[char]))].map(char => ({
+    char,
+    codePoint: `U+${char.codePointAt(0).toString(16).toUpperCase().padStart(4, '0')}`,
+    script: getScripts(char)[0] || null,
+    looksLike: CONFUSABLES[char],
+  }));
+
+  return {
+    host: hostname,
+    ascii,
+    unicode,
+    isIDN: ascii.split('.').some(label => label.startsWith('xn--')),
+    scripts: [...new Set(labels.flatMap(({ scripts }) => scripts))],
+    mixedScript,
+    wholeScriptConfusable,
+    confusables,
+    skeleton: getSkeleton(unicode),
+    suspicious: mixedScript || wholeScriptConfusable,
+  };
+}
+
+/**
+ * Skeleton of a hostname: accents stripped and look-alike characters replaced,
+ * so "сtbcbаnk.com" and "ctbcbank.com" have the same skeleton
+ * @param {string} hostname - Unicode or punycode hostname
+ * @returns {string}
+ */
+export function getSkeleton(hostname) {
+  const unicode = domainToUnicode(hostname.toLowerCase()) || hostname.toLowerCase();
+  return Array.from(stripMarks(unicode), char => CONFUSABLES[char] || char).join('');
+}
+
+/**
+ * One-line description of a suspicious hostname for reports, e.g.
+ * "сtbcbank.com (xn--tbcbank-xjg.com) mixes Cyrillic and Latin letters and reads as ctbcbank.com"
+ * @param {HostnameAnalysis} analysis
+ * @param {string} lang - Catalog language (see i18n.js)
+ * @returns {string|null} null if the hostname is not suspicious
+ */
+export function describeHostname(analysis, lang = 'en') {
+  if (!analysis?.suspicious) return null;
+  const host = analysis.unicode === analysis.ascii ? analysis.unicode : `${analysis.unicode} (${analysis.ascii})`;
+  const scriptNames = scripts => joinList(scripts.map(script => t(lang, `script.${script}`)), lang);
+  if (analysis.mixedScript) {
+    return t(lang, 'host.mixed', { host, scripts: scriptNames(analysis.scripts), skeleton: analysis.skeleton });
+  }
+  return t(lang, 'host.whole', { host, scripts: scriptNames(analysis.scripts.filter(script => script !== 'Latin')), skeleton: analysis.skeleton });
+}
+
+function getScripts(text) {
+  const found = new Set();
+  for (const char of text) {
+    const script = SCRIPTS.find(({ pattern }) => pattern.test(char));
+    if (script) found.add(script.name);
+  }
+  return [...found];
+}
+
+// Accents only (U+0300-036F), so kana voicing marks and the like survive
+function stripMarks(text) {
+  return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').normalize('NFC');
+}
@@ -0,0 +1,128 @@
+/**
+ * Localization
+ * Picks the report language for a request and looks up strings in the message catalogs
+ * (src/data/messages/). Keys missing from a catalog fall back to English, so a new
+ * language can start with a partial catalog.
+ */
+import config from '../config.js';
+import { MESSAGES as EN } from '../data/messages/en.js';
+import { MESSAGES as ZH_TW } from '../data/messages/zh-TW.js';
+import { MESSAGES as ZH_CN } from '../data/messages/zh-CN.js';
+import { REPORTING_CHANNELS, DEFAULT_REPORTING_CHANNEL } from '../data/reportingChannels.js';
+
+const CATALOGS = { en: EN, 'zh-TW': ZH_TW, 'zh-CN': ZH_CN };
+
+export const SUPPORTED_LANGUAGES = Object.keys(CATALOGS);
+
+// How the LLM prompts name each language
+export const LANGUAGE_NAMES = {
+  en: 'English',
+  'zh-TW': 'Traditional Chinese (繁體中文, as used in Taiwan)',
+  'zh-CN': 'Simplified Chinese (简体中文)',
+};
+
+// Tags that are not catalogs themselves; plain "zh" means Traditional, as most of our users are in Taiwan
+const ALIASES = {
+  zh: 'zh-TW',
+  'zh-hant': 'zh-TW',
+  'zh-hk': 'zh-TW',
+  'zh-mo': 'zh-TW',
+  'zh-hans': 'zh-CN',
+  'zh-sg': 'zh-CN',
+  'zh-my': 'zh-CN',
+};
+
+/**
+ * Language for one request: an explicit `lang` wins, then the Accept-Language header
+ * (by q-value), then DEFAULT_LANGUAGE
+ * @param {string} requested - e.g. 'zh-TW', from the body or query
+ * @param {string} acceptLanguage - Accept-Language header, e.g. 'zh-TW,zh;q=0.9,en;q=0.8'
+ * @returns {string} One of SUPPORTED_LANGUAGES
+ */
+export function negotiateLanguage(requested, acceptLanguage) {
+  const explicit = matchLanguage(requested);
+  if (explicit) return explicit;
+
+  const ranges = (acceptLanguage || '')
+    .split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.map(param => param.trim().match(/^q=([\d.]+)$/)).find(Boolean);
+      return { tag, q: q ? parseFloat(q[1]) : 1, index };
+    })
+    .filter(range => range.tag && range.q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index);
+
+  for (const range of ranges) {
+    const language = matchLanguage(range.tag);
+    if (language) return language;
+  }
+  return matchLanguage(config.defaultLanguage) || 'en';
+}
+
+/**
+ * Catalog string with {name} placeholders filled in; arrays are filled element by element
+ * @param {string} lang
+ * @param {string} key - e.g. 'evidence.url_safe'
+ * @param {Object} params
+ * @returns {string|string[]} The key itself when no catalog has it
+ */
+export function t(lang, key, params = {}) {
+  const value = CATALOGS[lang]?.[key] ?? EN[key] ?? key;
+  return Array.isArray(value) ? value.map(item => interpolate(item, params)) : interpolate(value, params);
+}
+
+/**
+ * "a, b and c" in the given language
+ * @param {string[]} items
+ * @param {string} lang
+ */
+export function joinList(items, lang) {
+  if (items.length <= 1) return items.join('');
+  return `${items.slice(0, -1).join(t(lang, 'list.separator'))}${t(lang, 'list.and')}${items[items.length - 1]}`;
+}
+
+/**
+ * Where to report a scam in the user's region, e.g. "165 反詐騙諮詢專線" for TW in zh-TW
+ * @param {string} region - ISO 3166 alpha-2
+ * @param {string} lang
+ */
+export function reportingChannel(region, lang) {
+  const names = REPORTING_CHANNELS[region?.toUpperCase()] || DEFAULT_REPORTING_CHANNEL;
+  return names[lang] || names.en;
+}
+
+/**
+ * Title and suggestions for a risk level, with the region's reporting channel
+ * @param {'red'|'yellow'|'green'} riskLevel
+ * @param {Object} options
+ * @param {string} options.lang
+ * @param {string} options.region - Defaults to config.defaultRegion
+ * @returns {{ title: string, suggestions: string[] }}
+ */
+export function getActionAdvice(riskLevel, { lang = 'en', region = config.defaultRegion } = {}) {
+  const level = ['red', 'yellow'].includes(riskLevel) ? riskLevel : 'green';
+  const channel = reportingChannel(region, lang);
+  return {
+    title: t(lang, `action.${level}.title`),
+    suggestions: t(lang, `action.${level}.suggestions`, { channel }),
+  };
+}
+
+// Exact catalog first ("zh-tw"), then alias ("zh-hant-tw" -> "zh-hant"), then the primary subtag ("en-us" -> "en")
+function matchLanguage(tag) {
+  if (!tag || typeof tag !== 'string') return null;
+  const lower = tag.trim().toLowerCase().replace(/_/g, '-');
+  const subtags = lower.split('-');
+  for (let length = subtags.length; length > 0; length--) {
+    const candidate = subtags.slice(0, length).join('-');
+    const exact = SUPPORTED_LANGUAGES.find(language => language.toLowerCase() === candidate);
+    if (exact) return exact;
+    if (ALIASES[candidate]) return ALIASES[candidate];
+  }
+  return null;
+}
+
+function interpolate(text, params) {
+  return text.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+}
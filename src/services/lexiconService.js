@@ -0,0 +1,281 @@
+/**
+ * Lexicon Service
+ * Scam vocabulary kept by analysts in plain-text files, one per category and language
+ * (LEXICON_DIR, default src/data/lexicons): urgent.en.txt, urgent.zh.txt, bank.zh.txt, ...
+ * They feed the lexicon_* model features and the heuristic analyzer (heuristicAnalyzer.js).
+ * Files are re-read when they change on disk, and files added or removed are picked up,
+ * so vocabulary updates need no restart.
+ *
+ * One entry per line, "#" starts a comment, "| weight" is optional (default 1):
+ *     act now | 2          a phrase; any run of spaces in it matches any whitespace
+ *     /\d+\s*小時內/ | 2    a regular expression (JavaScript syntax)
+ * Matching is case-insensitive. An entry that starts or ends with a Latin letter or digit
+ * only matches whole words there ("app" does not match "apple"); Chinese matches anywhere.
+ *
+ * negation.<lang>.txt lists negation cues ("never", "請勿") instead. A match that directly
+ * follows a cue, with nothing but whitespace between them ("never click", "請勿點擊"), is
+ * reported with negated: true and not counted. Only the adjacent term is negated: Chinese
+ * has no word boundary to end a cue's scope, and scams pair a prohibition with the request
+ * itself ("請勿告訴任何人立即匯款", "do not tell anyone and transfer the money").
+ */
+import fs from 'fs';
+import path from 'path';
+import config from '../config.js';
+
+// Categories with a lexicon, each a pair of model features (see featureRegistry.js)
+export const LEXICON_CATEGORIES = [
+  { name: 'urgent' },
+  { name: 'money' },
+  { name: 'link' },
+  { name: 'prize' },
+  { name: 'bank' },
+  { name: 'package' },
+];
+
+// Categories only the heuristic analyzer reads (heuristicAnalyzer.js); not model features
+export const HEURISTIC_CATEGORIES = [
+  { name: 'threat' },
+  { name: 'offer' },
+  { name: 'impersonation_bank' },
+  { name: 'impersonation_government' },
+  { name: 'impersonation_company' },
+  { name: 'impersonation_lottery' },
+  { name: 'impersonation_tech_support' },
+  { name: 'action_transfer_money' },
+  { name: 'action_provide_info' },
+  { name: 'action_call_number' },
+  { name: 'action_download' },
+  { name: 'action_reply' },
+  { name: 'payee_account' },
+  { name: 'emotion_curiosity' },
+  { name: 'emotion_trust' },
+];
+
+const NEGATION = 'negation';
+// Longest cue looked for in front of a match
+const NEGATION_WINDOW = 20;
+const FILE_NAME = /^([a-z_]+)\.([a-z]{2}(?:-[a-z]{2,4})?)\.txt$/i;
+const LATIN_OR_DIGIT = /[\p{Script=Latin}\p{N}]/u;
+
+/**
+ * @typedef {Object} LexiconMatch
+ * @property {string} category
+ * @property {string} entry - The lexicon entry as written in its file
+ * @property {string} lang - Language of the file it came from
+ * @property {string} text - Matched text
+ * @property {number} start - Offset in the message (UTF-16 code units)
+ * @property {number} end
+ * @property {number} weight
+ * @property {boolean} negated
+ */
+
+/**
+ * @typedef {Object} LexiconResult
+ * @property {Object<string, {count: number, weight: number, matches: LexiconMatch[]}>} categories -
+ *   One per LEXICON_CATEGORIES and HEURISTIC_CATEGORIES name; count and weight leave out negated matches
+ * @property {LexiconMatch[]} matches - Every match, negated ones included, in message order
+ */
+
+const FEATURE_CATEGORY_NAMES = new Set(LEXICON_CATEGORIES.map(({ name }) => name));
+
+let defaultLexicon = null;
+
+/**
+ * Lexicon loaded from config.lexiconDir (created on first use)
+ */
+export function getLexicon() {
+  if (!defaultLexicon) defaultLexicon = createLexicon();
+  return defaultLexicon;
+}
+
+/**
+ * Create a lexicon backed by a directory of lexicon files
+ * @param {Object} options
+ * @param {string} options.dir - Absolute, or relative to the working directory; defaults to config.lexiconDir
+ */
+export function createLexicon({ dir = config.lexiconDir } = {}) {
+  const fullDir = path.resolve(process.cwd(), dir);
+  const loaded = new Map(); // file -> { mtimeMs, entries }
+  let compiled = null;
+  let signature = null;
+  let warnedMissing = false;
+
+  // Compiled entries, rebuilt when a file is added, removed or changed
+  function getCompiled() {
+    let files;
+    try {
+      files = fs.readdirSync(fullDir).filter(file => FILE_NAME.test(file)).sort();
+    } catch (error) {
+      if (!warnedMissing) console.warn(`⚠️ Lexicon directory not loaded (${dir}): ${error.message}`);
+      warnedMissing = true;
+      return emptyCompiled();
+    }
+
+    const stats = files.map(file => {
+      try {
+        return { file, mtimeMs: fs.statSync(path.join(fullDir, file)).mtimeMs };
+      } catch {
+        return { file, mtimeMs: null };
+      }
+    });
+    const current = stats.map(({ file, mtimeMs }) => `${file}@${mtimeMs}`).join('|');
+    if (compiled && current === signature) return compiled;
+
+    compiled = emptyCompiled();
+    for (const { file, mtimeMs } of stats) {
+      const [, category, lang] = file.match(FILE_NAME);
+      if (category !== NEGATION && !compiled.categories.has(category)) {
+        if (!loaded.has(file)) console.warn(`⚠️ Ignoring lexicon ${file}: unknown category "${category}"`);
+        loaded.set(file, { mtimeMs, entries: [] });
+        continue;
+      }
+
+      let entries = loaded.get(file)?.mtimeMs === mtimeMs ? loaded.get(file).entries : null;
+      if (!entries) {
+        try {
+          entries = parseLexiconFile(fs.readFileSync(path.join(fullDir, file), 'utf8'), file, lang);
+          console.log(`📚 Loaded lexicon ${file}: ${entries.length} entries`);
+        } catch (error) {
+          console.warn(`⚠️ Lexicon ${file} not loaded: ${error.message}`);
+          entries = [];
+        }
+        loaded.set(file, { mtimeMs, entries });
+      }
+
+      if (category === NEGATION) {
+        compiled.negations.push(...entries);
+      } else {
+        compiled.categories.get(category).push(...entries);
+      }
+    }
+    signature = current;
+    return compiled;
+  }
+
+  return {
+    dir,
+
+    /**
+     * Match every lexicon against a message
+     * @param {string} text
+     * @returns {LexiconResult}
+     */
+    match(text = '') {
+      const { categories, negations } = getCompiled();
+      const result = { categories: {}, matches: [] };
+
+      for (const [category, entries] of categories) {
+        const matches = keepLongest(entries.flatMap(entry => findMatches(text, entry, category)))
+          .map(match => ({ ...match, negated: isNegated(text, match.start, negations) }));
+        const counted = matches.filter(match => !match.negated);
+        result.categories[category] = {
+          count: counted.length,
+          weight: parseFloat(counted.reduce((sum, match) => sum + match.weight, 0).toFixed(2)),
+          matches,
+        };
+        result.matches.push(...matches);
+      }
+
+      result.matches.sort((a, b) => a.start - b.start);
+      return result;
+    },
+  };
+}
+
+/**
+ * Match a message against the default lexicon (see getLexicon)
+ * @param {string} text
+ * @param {Object} options
+ * @param {Object} options.lexicon - From createLexicon(), defaults to getLexicon()
+ * @returns {LexiconResult}
+ */
+export function matchLexicons(text, { lexicon = getLexicon() } = {}) {
+  return lexicon.match(text);
+}
+
+/**
+ * Lexicon features for featureExtractor.js: each LEXICON_CATEGORIES count and total weight,
+ * and their counted matches as "category:text@start-end" for the training CSV. The model's
+ * contains_* flags keep the word lists it was trained on (see featureExtractor.js)
+ * @param {LexiconResult} result
+ */
+export function extractLexiconFeatures(result) {
+  const features = {};
+  for (const { name } of LEXICON_CATEGORIES) {
+    const { count = 0, weight = 0 } = result.categories[name] || {};
+    features[`lexicon_${name}_count`] = count;
+    features[`lexicon_${name}_weight`] = weight;
+  }
+  const counted = result.matches.filter(match => !match.negated && FEATURE_CATEGORY_NAMES.has(match.category));
+  features.lexicon_matches = counted.length > 0
+    ? counted.map(match => `${match.category}:${match.text}@${match.start}-${match.end}`).join('; ')
+    : null;
+  return features;
+}
+
+function emptyCompiled() {
+  return { categories: new Map([...LEXICON_CATEGORIES, ...HEURISTIC_CATEGORIES].map(({ name }) => [name, []])), negations: [] };
+}
+
+function parseLexiconFile(content, file, lang) {
+  const entries = [];
+  content.split(/\r?\n/).forEach((line, index) => {
+    const value = line.replace(/(^|\s)#.*$/, '').trim();
+    if (!value) return;
+
+    const [, term, weightText] = value.match(/^(.*?)(?:\s+\|\s*(\S+))?$/);
+    const weight = weightText === undefined ? 1 : parseFloat(weightText);
+    if (!Number.isFinite(weight)) {
+      console.warn(`⚠️ Ignoring ${file} line ${index + 1}: weight "${weightText}" is not a number`);
+      return;
+    }
+
+    try {
+      entries.push({ entry: term, lang, weight, regex: compileEntry(term) });
+    } catch (error) {
+      console.warn(`⚠️ Ignoring ${file} line ${index + 1}: ${error.message}`);
+    }
+  });
+  return entries;
+}
+
+function compileEntry(term) {
+  const regex = term.match(/^\/(.+)\/([a-z]*)$/);
+  if (regex) {
+    const flags = new Set([...regex[2].replace(/[gyd]/g, ''), 'g', 'i', 'u']);
+    return new RegExp(regex[1], [...flags].join(''));
+  }
+
+  const source = term
+    .split(/\s+/)
+    .map(word => word.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&'))
+    .join('\\s+');
+  const before = LATIN_OR_DIGIT.test(term[0]) ? '(?<![\\p{Script=Latin}\\p{N}])' : '';
+  const after = LATIN_OR_DIGIT.test(term[term.length - 1]) ? '(?![\\p{Script=Latin}\\p{N}])' : '';
+  return new RegExp(`${before}${source}${after}`, 'giu');
+}
+
+function findMatches(text, { entry, lang, weight, regex }, category) {
+  const matches = [];
+  for (const match of text.matchAll(regex)) {
+    if (match[0].length === 0) continue;
+    matches.push({ category, entry, lang, text: match[0], start: match.index, end: match.index + match[0].length, weight });
+  }
+  return matches;
+}
+
+// Where entries overlap ("now" inside "act now"), keep the longest, then the heaviest
+function keepLongest(matches) {
+  const sorted = [...matches].sort((a, b) => (b.end - b.start) - (a.end - a.start) || b.weight - a.weight || a.start - b.start);
+  const kept = [];
+  for (const match of sorted) {
+    if (!kept.some(other => match.start < other.end && other.start < match.end)) kept.push(match);
+  }
+  return kept.sort((a, b) => a.start - b.start);
+}
+
+function isNegated(text, start, negations) {
+  if (negations.length === 0) return false;
+  const before = text.slice(Math.max(0, start - NEGATION_WINDOW), start).replace(/\s+$/u, '');
+  return negations.some(({ regex }) => [...before.matchAll(regex)].some(cue => cue.index + cue[0].length === before.length));
+}
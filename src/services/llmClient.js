@@ -0,0 +1,150 @@
+/**
+ * LLM Client
+ * One chat-completion interface for every service that calls a language model
+ * (openaiCheck.js, aiExplainer.js), so the model and backend are chosen in config.js:
+ * OpenAI, any OpenAI-compatible server (Ollama, llama.cpp, vLLM, LM Studio), or the
+ * deterministic mock in llmMock.js.
+ */
+import OpenAI from 'openai';
+import config from '../config.js';
+import { createMockLlm } from './llmMock.js';
+import { validateLlmJson, fallbackValue, repairPrompt } from './llmSchemas.js';
+
+/**
+ * @typedef {Object} LlmRequest
+ * @property {string} task - What the call is for, e.g. 'scam_analysis', 'explanation' (the mock answers per task)
+ * @property {string} system - System message
+ * @property {string} prompt - User message
+ * @property {number} temperature - Defaults to the client's temperature
+ * @property {boolean} json - Ask for a single JSON object as the answer
+ * @property {boolean} repair - This is a retry after an answer failed validation
+ */
+
+/**
+ * A client is { provider, model, isConfigured(), complete(request) } where complete
+ * resolves to the answer text of one LlmRequest. Services take a client through
+ * options.llm (e.g. a mock); otherwise they use getLlmClient().
+ */
+export const LLM_PROVIDERS = {
+  openai: options => createOpenAiLlm({ ...options, provider: 'openai', baseUrl: undefined }),
+  'openai-compatible': options => createOpenAiLlm({ ...options, provider: 'openai-compatible' }),
+  mock: ({ responses }) => createMockLlm({ responses }),
+};
+
+let defaultClient = null;
+
+/**
+ * Client configured by config.llm (created on first use)
+ */
+export function getLlmClient() {
+  if (!defaultClient) defaultClient = createLlmClient();
+  return defaultClient;
+}
+
+/**
+ * Create a client
+ * @param {Object} options - Defaults to config.llm
+ * @param {string} options.provider - 'openai', 'openai-compatible' or 'mock'
+ * @param {string} options.model
+ * @param {string} options.baseUrl - Server URL for 'openai-compatible', e.g. "http://localhost:11434/v1"
+ * @param {string} options.apiKey
+ * @param {number} options.temperature
+ * @param {number} options.timeoutMs
+ */
+export function createLlmClient(options = {}) {
+  const settings = { ...config.llm, ...options };
+  const create = LLM_PROVIDERS[settings.provider];
+  if (!create) {
+    throw new Error(`Unknown LLM provider "${settings.provider}" (expected ${Object.keys(LLM_PROVIDERS).join(', ')})`);
+  }
+  return create(settings);
+}
+
+/**
+ * @typedef {Object} LlmValidation
+ * @property {string} schema - Schema name, e.g. 'scam_analysis'
+ * @property {string} provider
+ * @property {string} model
+ * @property {boolean} valid - The answer (or the repaired answer) passed validation
+ * @property {boolean} repaired - A repair prompt was needed
+ * @property {boolean} fallback - Both answers failed; the value is the schema's typed fallback
+ * @property {Array} issues - Every problem found, first answer then repair: { attempt, field, problem, value }
+ * @property {string|null} error - Set when the LLM could not be called at all
+ */
+
+/**
+ * Ask for a JSON answer and validate it against a schema (see llmSchemas.js).
+ * A fatal answer (not JSON, or a required field unusable) is retried once with a repair
+ * prompt; if that fails too, the schema's typed fallback is returned. Network and API
+ * errors are thrown as from complete().
+ * @param {Object} llm - LLM client
+ * @param {LlmRequest} request
+ * @param {Object} schema
+ * @param {Object} fallbackOverrides - Fields set on the typed fallback
+ * @returns {Promise<{ value: Object, validation: LlmValidation }>}
+ */
+export async function completeJson(llm, request, schema, fallbackOverrides = {}) {
+  const validation = { schema: schema.name, provider: llm.provider, model: llm.model, valid: true, repaired: false, fallback: false, issues: [], error: null };
+  const record = (attempt, issues) => validation.issues.push(...issues.map(({ fatal, ...issue }) => ({ attempt, ...issue })));
+
+  const answer = await llm.complete({ ...request, json: true });
+  const first = validateLlmJson(answer, schema);
+  record(1, first.issues);
+  if (!first.fatal) return { value: first.value, validation };
+
+  console.warn(`⚠️ LLM ${schema.name} answer failed validation, asking for a repair`);
+  validation.repaired = true;
+  const repairedAnswer = await llm.complete({ ...request, prompt: repairPrompt(answer, first.issues, schema), json: true, repair: true });
+  const second = validateLlmJson(repairedAnswer, schema);
+  record(2, second.issues);
+  if (!second.fatal) return { value: second.value, validation };
+
+  console.error(`❌ LLM ${schema.name} answer still invalid after repair, using fallback`);
+  return { value: fallbackValue(schema, fallbackOverrides), validation: { ...validation, valid: false, fallback: true } };
+}
+
+/**
+ * Validation record for a call that failed before any answer arrived (network, API, timeout)
+ * @param {Object} llm - LLM client
+ * @param {Object} schema
+ * @param {Error} error
+ * @returns {LlmValidation}
+ */
+export function llmErrorValidation(llm, schema, error) {
+  return { schema: schema.name, provider: llm.provider, model: llm.model, valid: false, repaired: false, fallback: true, issues: [], error: error.message };
+}
+
+// OpenAI and OpenAI-compatible servers share the SDK; the SDK client is built on first call
+function createOpenAiLlm({ provider, model, baseUrl, apiKey, temperature, timeoutMs }) {
+  let sdk = null;
+
+  return {
+    provider,
+    model,
+
+    isConfigured() {
+      return provider === 'openai' ? Boolean(apiKey) : Boolean(baseUrl);
+    },
+
+    async complete({ system, prompt, temperature: requestTemperature, json = false }) {
+      if (!sdk) {
+        // Local servers usually ignore the key, but the SDK requires one
+        sdk = new OpenAI({ apiKey: apiKey || 'not-needed', baseURL: baseUrl, timeout: timeoutMs });
+      }
+
+      const completion = await sdk.chat.completions.create({
+        model,
+        messages: [
+          ...(system ? [{ role: 'system', content: system }] : []),
+          { role: 'user', content: prompt },
+        ],
+        temperature: requestTemperature ?? temperature,
+        ...(json ? { response_format: { type: 'json_object' } } : {}),
+      });
+
+      const content = completion.choices?.[0]?.message?.content;
+      if (!content) throw new Error(`Empty response from ${provider} model ${model}`);
+      return content;
+    },
+  };
+}
@@ -0,0 +1,63 @@
+/**
+ * Mock LLM
+ * Deterministic stand-in for a language model: answers every request with a canned
+ * response for its task and records the requests, so tests and offline demos run
+ * without an API key. Select it with LLM_PROVIDER=mock or createLlmClient({ provider: 'mock' }).
+ */
+
+// Canned answers per LlmRequest.task, in the shape each service expects
+export const MOCK_RESPONSES = {
+  scam_analysis: {
+    isScam: false,
+    confidence: 0,
+    reason: 'Mock LLM response',
+    keywords: [],
+    urgency_level: 0,
+    threat_level: 0,
+    temptation_level: 0,
+    impersonation_type: null,
+    action_requested: null,
+    grammar_quality: 5,
+    emotion_triggers: [],
+    credibility_score: 5,
+  },
+  explanation: {
+    riskLevel: 'green',
+    riskScore: 0,
+    evidence: ['Mock LLM explanation'],
+    action: {
+      title: 'Mock result',
+      suggestions: ['This report was produced by the mock LLM'],
+    },
+  },
+};
+
+/**
+ * Create a mock client
+ * @param {Object} options
+ * @param {string} options.model - Reported model name, defaults to "mock"
+ * @param {Object} options.responses - Answers per task, replacing MOCK_RESPONSES entries: an object
+ *   (sent as JSON), a string (sent as-is), or a function(request) returning either
+ * @returns {Object} LLM client with a `calls` array of every request received
+ */
+export function createMockLlm({ model = 'mock', responses = {} } = {}) {
+  const answers = { ...MOCK_RESPONSES, ...responses };
+  const calls = [];
+
+  return {
+    provider: 'mock',
+    model,
+    calls,
+
+    isConfigured() {
+      return true;
+    },
+
+    async complete(request) {
+      calls.push(request);
+      const answer = typeof answers[request.task] === 'function' ? answers[request.task](request) : answers[request.task];
+      if (answer === undefined) throw new Error(`Mock LLM has no response for task "${request.task}"`);
+      return typeof answer === 'string' ? answer : JSON.stringify(answer);
+    },
+  };
+}
@@ -0,0 +1,243 @@
+/**
+ * LLM Response Schemas
+ * Strict shapes for the JSON the LLM returns (message analysis and report explanation).
+ * validateLlmJson() coerces what it safely can ("85%" -> 85, "true" -> true), clamps numbers
+ * into range, maps unknown enum values to 'none', and reports every change as an issue.
+ * A required field that cannot be recovered, or an answer that is not JSON, makes the
+ * answer fatal; llmClient.completeJson() then retries once with repairPrompt().
+ */
+
+export const SCAM_ANALYSIS_SCHEMA = {
+  name: 'scam_analysis',
+  fields: {
+    isScam: { type: 'boolean', required: true, default: false },
+    confidence: { type: 'number', required: true, min: 0, max: 100, default: 0, words: { low: 30, medium: 60, high: 90 } },
+    reason: { type: 'string', maxLength: 500, default: '' },
+    keywords: { type: 'array', items: { type: 'string', maxLength: 50 }, maxItems: 20, default: [] },
+    urgency_level: { type: 'integer', min: 0, max: 10, default: 0 },
+    threat_level: { type: 'integer', min: 0, max: 10, default: 0 },
+    temptation_level: { type: 'integer', min: 0, max: 10, default: 0 },
+    impersonation_type: { type: 'enum', values: ['bank', 'government', 'courier', 'company', 'lottery', 'tech_support', 'none'], default: 'none' },
+    action_requested: { type: 'enum', values: ['click_link', 'call_number', 'transfer_money', 'provide_info', 'download', 'reply', 'none'], default: 'none' },
+    grammar_quality: { type: 'integer', min: 0, max: 10, default: 5 },
+    emotion_triggers: { type: 'array', items: { type: 'enum', values: ['fear', 'greed', 'urgency', 'curiosity', 'trust'] }, default: [] },
+    credibility_score: { type: 'integer', min: 0, max: 10, default: 5 },
+  },
+};
+
+export const EXPLANATION_SCHEMA = {
+  name: 'explanation',
+  fields: {
+    riskLevel: { type: 'enum', required: true, values: ['red', 'yellow', 'green'], default: 'yellow' },
+    riskScore: { type: 'integer', required: true, min: 0, max: 100, default: 50 },
+    evidence: { type: 'array', required: true, items: { type: 'string', maxLength: 300 }, minItems: 1, maxItems: 8, default: [] },
+    action: {
+      type: 'object',
+      required: true,
+      fields: {
+        title: { type: 'string', required: true, maxLength: 100, default: '' },
+        suggestions: { type: 'array', items: { type: 'string', maxLength: 200 }, maxItems: 5, default: [] },
+      },
+    },
+  },
+};
+
+/**
+ * Parse and validate an LLM answer
+ * @param {string} text - Raw answer
+ * @param {Object} schema - SCAM_ANALYSIS_SCHEMA or EXPLANATION_SCHEMA
+ * @returns {{ value: Object|null, issues: Array, fatal: boolean }} issues are { field, problem, value }
+ *   where problem is 'not_json', 'missing', 'invalid', 'coerced', 'clamped', 'unknown_enum', 'dropped_items' or 'truncated'
+ */
+export function validateLlmJson(text, schema) {
+  const issues = [];
+  const parsed = parseJson(text, issues);
+  if (parsed === undefined) return { value: null, issues, fatal: true };
+
+  const value = validateObject(parsed, schema.fields, '', issues);
+  return { value, issues, fatal: issues.some(issue => issue.fatal) };
+}
+
+/**
+ * Typed fallback: every field at its default
+ * @param {Object} schema
+ * @param {Object} overrides - Fields to set, e.g. { reason: 'AI analysis failed' }
+ */
+export function fallbackValue(schema, overrides = {}) {
+  return { ...defaultsOf(schema.fields), ...overrides };
+}
+
+/**
+ * Follow-up prompt asking the model to fix an answer that failed validation
+ * @param {string} answer - The rejected answer
+ * @param {Array} issues - From validateLlmJson()
+ * @param {Object} schema
+ */
+export function repairPrompt(answer, issues, schema) {
+  const problems = issues.filter(issue => issue.fatal).map(issue => `- ${issue.field || '(answer)'}: ${issue.problem}`);
+  return `Your previous answer could not be used:
+${problems.join('\n')}
+
+Previous answer:
+"""
+${String(answer).slice(0, 2000)}
+"""
+
+Reply again with ONLY a JSON object with exactly these fields:
+${describeFields(schema.fields, '').join('\n')}`;
+}
+
+function parseJson(text, issues) {
+  if (typeof text !== 'string') {
+    issues.push({ field: '', problem: 'not_json', value: null, fatal: true });
+    return undefined;
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch {
+    // Models sometimes wrap the object in a code fence or add a sentence around it
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start !== -1 && end > start) {
+      try {
+        const parsed = JSON.parse(text.slice(start, end + 1));
+        issues.push({ field: '', problem: 'coerced', value: 'text around JSON object' });
+        return parsed;
+      } catch {
+        // fall through
+      }
+    }
+    issues.push({ field: '', problem: 'not_json', value: text.slice(0, 200), fatal: true });
+    return undefined;
+  }
+}
+
+function validateObject(input, fields, prefix, issues) {
+  const source = input && typeof input === 'object' && !Array.isArray(input) ? input : {};
+  if (source !== input) issues.push({ field: prefix, problem: 'invalid', value: input, fatal: true });
+
+  const result = {};
+  for (const [name, field] of Object.entries(fields)) {
+    result[name] = validateField(source[name], field, prefix ? `${prefix}.${name}` : name, issues);
+  }
+  return result;
+}
+
+function validateField(raw, field, path, issues) {
+  const report = (problem, fatal = false) => issues.push({ field: path, problem, value: raw, ...(fatal ? { fatal } : {}) });
+  const fallback = () => (field.type === 'object' ? defaultsOf(field.fields) : structuredClone(field.default));
+
+  if (raw === undefined || raw === null || raw === '') {
+    if (field.required) report('missing', true);
+    // null is how the prompt says "none" for enums
+    else if (!(field.type === 'enum' && raw === null)) report('missing');
+    return fallback();
+  }
+
+  const { value, problem } = coerce(raw, field, path, issues);
+  if (problem === 'invalid' || problem === 'unknown_enum') {
+    report(problem, field.required);
+    return problem === 'unknown_enum' && !field.required ? 'none' : fallback();
+  }
+  if (problem) report(problem);
+  return value;
+}
+
+function coerce(raw, field, path, issues) {
+  switch (field.type) {
+    case 'boolean': {
+      if (typeof raw === 'boolean') return { value: raw };
+      const text = String(raw).trim().toLowerCase();
+      if (['true', 'yes', '1'].includes(text)) return { value: true, problem: 'coerced' };
+      if (['false', 'no', '0'].includes(text)) return { value: false, problem: 'coerced' };
+      return { problem: 'invalid' };
+    }
+
+    case 'number':
+    case 'integer': {
+      let number = raw;
+      let problem = null;
+      if (typeof raw === 'string') {
+        const text = raw.trim().toLowerCase();
+        const match = text.match(/^(-?\d+(?:\.\d+)?)\s*%?(?:\s*\/\s*\d+)?$/);
+        if (match) number = parseFloat(match[1]);
+        else if (field.words && text in field.words) number = field.words[text];
+        else return { problem: 'invalid' };
+        problem = 'coerced';
+      }
+      if (typeof number !== 'number' || !Number.isFinite(number)) return { problem: 'invalid' };
+      if (field.type === 'integer' && !Number.isInteger(number)) {
+        number = Math.round(number);
+        problem = problem || 'coerced';
+      }
+      if (number < field.min || number > field.max) {
+        return { value: Math.min(field.max, Math.max(field.min, number)), problem: 'clamped' };
+      }
+      return { value: number, problem };
+    }
+
+    case 'string': {
+      if (typeof raw === 'object') return { problem: 'invalid' };
+      const text = String(raw).trim();
+      if (field.maxLength && text.length > field.maxLength) return { value: text.slice(0, field.maxLength), problem: 'truncated' };
+      return { value: text, problem: typeof raw === 'string' ? null : 'coerced' };
+    }
+
+    case 'enum': {
+      if (typeof raw !== 'string') return { problem: 'unknown_enum' };
+      const text = raw.trim().toLowerCase().replace(/[\s-]+/g, '_');
+      if (text === 'null') return { value: 'none' };
+      if (!field.values.includes(text)) return { problem: 'unknown_enum' };
+      return { value: text, problem: text === raw ? null : 'coerced' };
+    }
+
+    case 'array': {
+      let items = raw;
+      let problem = null;
+      if (typeof raw === 'string') {
+        items = raw.split(/[,，、]/).map(item => item.trim()).filter(Boolean);
+        problem = 'coerced';
+      }
+      if (!Array.isArray(items)) return { problem: 'invalid' };
+
+      const valid = items
+        .map(item => coerce(item, field.items, path, issues))
+        .filter(result => result.problem !== 'invalid' && result.problem !== 'unknown_enum')
+        .map(result => result.value);
+      if (valid.length < items.length) problem = 'dropped_items';
+      if (field.minItems && valid.length < field.minItems) return { problem: 'invalid' };
+      if (field.maxItems && valid.length > field.maxItems) return { value: valid.slice(0, field.maxItems), problem: 'truncated' };
+      return { value: valid, problem };
+    }
+
+    case 'object':
+      if (typeof raw !== 'object' || Array.isArray(raw)) return { problem: 'invalid' };
+      return { value: validateObject(raw, field.fields, path, issues) };
+
+    default:
+      return { problem: 'invalid' };
+  }
+}
+
+function defaultsOf(fields) {
+  return Object.fromEntries(Object.entries(fields).map(([name, field]) => [
+    name,
+    field.type === 'object' ? defaultsOf(field.fields) : structuredClone(field.default),
+  ]));
+}
+
+function describeFields(fields, indent) {
+  return Object.entries(fields).flatMap(([name, field]) => {
+    if (field.type === 'object') return [`${indent}"${name}": object with`, ...describeFields(field.fields, `${indent}  `)];
+    const detail = {
+      boolean: 'true or false',
+      number: `number ${field.min}-${field.max}`,
+      integer: `integer ${field.min}-${field.max}`,
+      string: 'string',
+      enum: `one of ${field.values?.join('|')}`,
+      array: `array of ${field.items?.type === 'enum' ? `${field.items.values.join('|')}` : 'strings'}`,
+    }[field.type];
+    return [`${indent}"${name}": ${detail}${field.required ? ' (required)' : ''}`];
+  });
+}
@@ -0,0 +1,250 @@
+/**
+ * Lookalike Domain Detector
+ * Spot domains imitating a brand in the registry (data/brands.js), e.g.
+ * "ctbcbank-login.top", "post-gov-tw.xyz", "esunbamk.com", "ctbcbank.com.tw.verify.cc",
+ * and IDN homographs such as "сtbcbank.com" (Cyrillic с), compared by their skeleton.
+ * Official domains (and their subdomains) are never reported.
+ */
+import fs from 'fs';
+import path from 'path';
+import config from '../config.js';
+import { BRANDS } from '../data/brands.js';
+import { SUSPICIOUS_TLDS } from '../data/suspiciousTlds.js';
+import { getRegistrableDomain, isIPAddress } from './publicSuffix.js';
+import { canonicalizeHost } from './urlCanonicalizer.js';
+import { analyzeHostname } from './hostnameAnalyzer.js';
+
+const MIN_FUZZY_LENGTH = 5;
+
+// Scores from here up are reported as evidence and add to the rule-based risk score
+export const LOOKALIKE_ALERT_SCORE = 0.7;
+
+// Score per technique; a domain's score is its best technique. Keyword stuffing alone stays
+// below the alert score and reaches corroborated_stuffing with another technique or a
+// suspicious TLD ("ctbcbank-login.top")
+const TECHNIQUE_SCORES = {
+  idn_homograph: 0.99,
+  homoglyph: 0.95,
+  brand_on_other_domain: 0.9,
+  one_edit: 0.9,
+  brand_in_subdomain: 0.85,
+  corroborated_stuffing: 0.8,
+  two_edits: 0.75,
+  keyword_stuffing: 0.65,
+};
+
+// Words that turn a brand keyword in someone else's domain into a lure ("ctbc-login", "post-gov-tw")
+const LURE_WORDS = new Set([
+  'login', 'signin', 'verify', 'verification', 'secure', 'security', 'account', 'update', 'confirm',
+  'password', 'banking', 'wallet', 'billing', 'payment', 'pay', 'unlock', 'suspend', 'validate', 'auth',
+  'refund', 'kyc', 'otp', 'service', 'support', 'online', 'member', 'gov', 'tw', 'official',
+  'delivery', 'tracking', 'track', 'parcel', 'bonus', 'reward', 'prize', 'claim',
+]);
+
+// ASCII look-alikes, applied before comparing with brand labels ("c7bcbank", "esunbarnk")
+const ASCII_HOMOGLYPHS = [
+  [/rn/g, 'm'], [/vv/g, 'w'], [/cl/g, 'd'],
+  [/0/g, 'o'], [/1/g, 'l'], [/3/g, 'e'], [/4/g, 'a'], [/5/g, 's'], [/7/g, 't'], [/8/g, 'b'], [/9/g, 'g'],
+];
+
+let registry = null;
+
+/**
+ * @typedef {Object} Lookalike
+ * @property {string} host - Hostname that was checked
+ * @property {Object|null} brand - { id, name, category } of the imitated (or, if official, the owning) brand
+ * @property {boolean} official - Host is one of the brand's own domains
+ * @property {number} score - 0 (no resemblance) to 1
+ * @property {string[]} techniques - 'homoglyph', 'brand_on_other_domain', 'brand_in_subdomain', 'keyword_stuffing', 'suspicious_tld', 'edit_distance', 'idn_homograph'
+ * @property {string|null} matched - Brand label or keyword the host resembles
+ */
+
+/**
+ * Check one URL or hostname against the brand registry
+ * @param {string} urlOrHost
+ * @param {Object} options
+ * @param {Array} options.brands - Registry to use, defaults to data/brands.js plus BRAND_REGISTRY_FILE
+ * @returns {Lookalike}
+ */
+export function detectLookalike(urlOrHost, { brands = getBrandRegistry() } = {}) {
+  const host = toHost(urlOrHost);
+  const none = { host, brand: null, official: false, score: 0, techniques: [], matched: null };
+  if (!host || isIPAddress(host)) return none;
+
+  const registrable = getRegistrableDomain(host);
+  if (!registrable) return none;
+
+  const official = brands.find(brand => brand.domains.some(domain => host === domain || host.endsWith(`.${domain}`)));
+  if (official) {
+    return { ...none, brand: brandSummary(official), official: true };
+  }
+
+  let best = none;
+  for (const brand of brands) {
+    const result = compareWithBrand(host, registrable, brand);
+    if (result.score > best.score) best = { ...none, ...result, brand: brandSummary(brand) };
+  }
+
+  // Internationalized hosts are compared again by their ASCII skeleton ("сtbcbank.com" -> "ctbcbank.com")
+  const { unicode, skeleton } = analyzeHostname(host);
+  if (skeleton && skeleton !== unicode) {
+    const homograph = compareSkeleton(skeleton, brands);
+    if (homograph && homograph.score > best.score) best = { ...none, ...homograph };
+  }
+  return best;
+}
+
+/**
+ * Brand registry in use: data/brands.js, with entries from BRAND_REGISTRY_FILE added
+ * or replacing the built-in entry with the same id
+ */
+export function getBrandRegistry() {
+  if (registry) return registry;
+
+  const byId = new Map(BRANDS.map(brand => [brand.id, brand]));
+  if (config.brandRegistryFile) {
+    try {
+      const extra = JSON.parse(fs.readFileSync(path.resolve(process.cwd(), config.brandRegistryFile), 'utf8'));
+      for (const brand of extra) byId.set(brand.id, brand);
+      console.log(`🗂️ Loaded ${extra.length} brands from ${config.brandRegistryFile}`);
+    } catch (error) {
+      console.error('❌ Failed to load brand registry file:', error.message);
+    }
+  }
+
+  registry = [...byId.values()].map(brand => ({ ...brand, keywords: brand.keywords || [] }));
+  return registry;
+}
+
+// A skeleton equal to an official domain is an exact homograph; one that merely resembles a
+// brand scores at least like an ASCII homoglyph
+function compareSkeleton(skeleton, brands) {
+  for (const brand of brands) {
+    const domain = brand.domains.find(d => skeleton === d || skeleton.endsWith(`.${d}`));
+    if (domain) {
+      return { brand: brandSummary(brand), score: TECHNIQUE_SCORES.idn_homograph, techniques: ['idn_homograph'], matched: domain };
+    }
+  }
+
+  const registrable = getRegistrableDomain(skeleton);
+  if (!registrable) return null;
+
+  let best = null;
+  for (const brand of brands) {
+    const result = compareWithBrand(skeleton, registrable, brand);
+    if (result.score >= LOOKALIKE_ALERT_SCORE && result.score > (best?.score || 0)) {
+      best = {
+        ...result,
+        brand: brandSummary(brand),
+        score: Math.max(result.score, TECHNIQUE_SCORES.homoglyph),
+        techniques: ['idn_homograph', ...result.techniques],
+      };
+    }
+  }
+  return best;
+}
+
+function compareWithBrand(host, registrable, brand) {
+  const label = registrable.split('.')[0];
+  const subdomain = host.slice(0, -(registrable.length + 1));
+  const techniques = [];
+  let score = 0;
+  let matched = null;
+
+  const use = (technique, techniqueScore, what) => {
+    techniques.push(technique);
+    if (techniqueScore > score) {
+      score = techniqueScore;
+      matched = what;
+    }
+  };
+
+  const brandLabels = [...new Set(brand.domains.map(domain => (getRegistrableDomain(domain) || domain).split('.')[0]))];
+  const keywords = [...new Set([
+    ...brand.keywords.map(keyword => keyword.toLowerCase().replace(/-/g, '')),
+    ...brandLabels.filter(l => l.length >= MIN_FUZZY_LENGTH).map(l => l.replace(/-/g, '')),
+  ])];
+
+  for (const brandLabel of brandLabels.filter(l => l.length >= MIN_FUZZY_LENGTH)) {
+    if (label === brandLabel) {
+      use('brand_on_other_domain', TECHNIQUE_SCORES.brand_on_other_domain, brandLabel);
+      continue;
+    }
+    if (replaceHomoglyphs(label) === brandLabel) {
+      use('homoglyph', TECHNIQUE_SCORES.homoglyph, brandLabel);
+      continue;
+    }
+    const distance = editDistance(label, brandLabel);
+    if (distance <= 2 && distance < brandLabel.length / 3) {
+      use('edit_distance', distance === 1 ? TECHNIQUE_SCORES.one_edit : TECHNIQUE_SCORES.two_edits, brandLabel);
+    }
+  }
+
+  if (subdomain) {
+    const inSubdomain = brand.domains.find(domain => subdomain === domain || subdomain.includes(`${domain}.`) || subdomain.endsWith(domain))
+      || keywords.find(keyword => findKeywordSpan(subdomain.split(/[-.]/), keyword));
+    if (inSubdomain) use('brand_in_subdomain', TECHNIQUE_SCORES.brand_in_subdomain, inSubdomain);
+  }
+
+  // A keyword only counts as whole hyphen-separated parts of the label, next to a lure word
+  // ("ctbc-login" but not "hotcat" or "etaxi"); the brand's own subsidiaries are in data/brands.js
+  const tokens = label.split('-');
+  const subdomainTokens = subdomain ? subdomain.split(/[-.]/) : [];
+  for (const keyword of keywords) {
+    const span = findKeywordSpan(tokens, keyword);
+    if (!span || span.end - span.start === tokens.length) continue;
+    const rest = [...tokens.slice(0, span.start), ...tokens.slice(span.end), ...subdomainTokens];
+    if (!rest.some(token => LURE_WORDS.has(token))) continue;
+
+    const suspiciousTld = SUSPICIOUS_TLDS.includes(registrable.split('.').pop());
+    if (suspiciousTld) techniques.push('suspicious_tld');
+    const corroborated = suspiciousTld || techniques.length > 0;
+    use('keyword_stuffing', corroborated ? TECHNIQUE_SCORES.corroborated_stuffing : TECHNIQUE_SCORES.keyword_stuffing, keyword);
+    break;
+  }
+
+  return { score, techniques: [...new Set(techniques)], matched };
+}
+
+// Consecutive tokens that spell the keyword, as is or with ASCII homoglyphs replaced
+function findKeywordSpan(tokens, keyword) {
+  for (let start = 0; start < tokens.length; start++) {
+    let joined = '';
+    for (let end = start + 1; end <= tokens.length && joined.length < keyword.length; end++) {
+      joined += tokens[end - 1];
+      if (joined === keyword || replaceHomoglyphs(joined) === keyword) return { start, end };
+    }
+  }
+  return null;
+}
+
+export function replaceHomoglyphs(label) {
+  return ASCII_HOMOGLYPHS.reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), label);
+}
+
+// Optimal string alignment distance (Levenshtein plus adjacent transpositions)
+export function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+function toHost(urlOrHost) {
+  if (!urlOrHost) return null;
+  const match = urlOrHost.match(/^(?:[a-z][a-z0-9+.-]*:\/\/)?(?:[^@/?#]*@)?([^/?#:]+)/i);
+  return match ? canonicalizeHost(match[1]) : null;
+}
+
+function brandSummary({ id, name, category }) {
+  return { id, name, category };
+}
@@ -0,0 +1,158 @@
+/**
+ * Message Normalizer
+ * Undo the obfuscation scammers use to slip URLs and phone numbers past filters
+ * (hxxp://, bit[.]ly, "www dot example dot com", full-width digits, zero-width spaces,
+ * digits broken up by emoji) before entity extraction.
+ *
+ * Every character of the normalized text remembers the span of the original message
+ * it came from, so matches found in the normalized text can be mapped back.
+ */
+import { BARE_DOMAIN_TLDS } from '../data/bareDomainTlds.js';
+
+// Applied in order; each step sees the output of the previous one
+const STEPS = [
+  {
+    technique: 'fullwidth',
+    // Full-width digits, letters and the symbols that make up URLs/numbers (not CJK punctuation)
+    pattern: /[\uFF10-\uFF19\uFF21-\uFF3A\uFF41-\uFF5A\uFF0B\uFF0D\uFF0E\uFF0F\uFF1A\uFF20]/g,
+    replace: m => String.fromCharCode(m.charCodeAt(0) - 0xFEE0),
+  },
+  {
+    technique: 'zero_width',
+    // Zero-width joiners are only stripped next to ASCII, so emoji sequences stay intact
+    pattern: /[\u200B\u200C\u2060\uFEFF\u00AD]|(?<=[\x21-\x7E])\u200D|\u200D(?=[\x21-\x7E])/g,
+    replace: () => '',
+  },
+  {
+    technique: 'defanged_scheme',
+    pattern: /\bh(?:xx|XX|\*\*|\[tt\])p(s?)\s*(?:\[:\]|\(:\)|:)\s*(?:\/\/|\[\/\/\])/g,
+    replace: (m, s) => `http${s}://`,
+  },
+  {
+    technique: 'defanged_dot',
+    pattern: /\s*(?:\[\.\]|\(\.\)|\{\.\}|\[dot\]|\(dot\)|\{dot\}|\[點\])\s*/gi,
+    replace: () => '.',
+  },
+  {
+    technique: 'defanged_at',
+    pattern: /\s*(?:\[at\]|\(at\)|\{at\}|\[@\])\s*/gi,
+    replace: () => '@',
+  },
+  {
+    technique: 'spelled_out_dot',
+    // "。" only between two words with no space, as in "example。com"; "Done。 me too" is two sentences
+    pattern: /[a-z0-9-]+(?:(?:\s+dot\s+|\s*[點点]\s*|。)[a-z0-9-]+)+/gi,
+    replace: m => {
+      const labels = m.split(/\s+dot\s+|\s*[點点]\s*|。/i);
+      const tld = labels[labels.length - 1].toLowerCase();
+      if (!BARE_DOMAIN_TLDS.includes(tld)) return null;
+      // Next to Chinese punctuation, capitals mean prose ("OK。Info 明天見"); typed domains are lower-case
+      if (/[點点。]/.test(m) && /[A-Z]/.test(m)) return null;
+      return labels.join('.');
+    },
+  },
+  {
+    technique: 'split_digits',
+    pattern: /\d(?:(?:[ \t\-._*~·•]|\p{Extended_Pictographic}|\uFE0F|\u200D){1,4}\d|\d)+/gu,
+    replace: rewriteSplitDigits,
+  },
+];
+
+/**
+ * Normalize a message for entity extraction
+ * @param {string} message - Original message text
+ * @returns {Object} { text, obfuscated, techniques, toOriginalSpan(start, end) }
+ */
+export function normalizeMessage(message) {
+  // from[i]/to[i]: the [from, to) span of the original message that produced character i
+  // (UTF-16 code units, like regex match offsets)
+  const identity = [...Array(message.length).keys()];
+  let state = {
+    text: message,
+    from: identity,
+    to: identity.map(i => i + 1),
+  };
+
+  const techniques = [];
+  for (const step of STEPS) {
+    const { next, changed } = applyStep(state, step);
+    if (changed) {
+      techniques.push(step.technique);
+      state = next;
+    }
+  }
+
+  const { text, from, to } = state;
+
+  return {
+    text,
+    obfuscated: techniques.length > 0,
+    techniques,
+    /**
+     * Map a [start, end) span of the normalized text back to the original message
+     */
+    toOriginalSpan(start, end) {
+      if (end <= start) {
+        const at = start < from.length ? from[start] : message.length;
+        return { start: at, end: at };
+      }
+      return { start: from[start], end: to[end - 1] };
+    },
+  };
+}
+
+function applyStep(state, step) {
+  const text = [];
+  const from = [];
+  const to = [];
+  let cursor = 0;
+  let changed = false;
+
+  const copy = (start, end) => {
+    text.push(state.text.slice(start, end));
+    for (let i = start; i < end; i++) {
+      from.push(state.from[i]);
+      to.push(state.to[i]);
+    }
+  };
+
+  for (const match of state.text.matchAll(step.pattern)) {
+    const start = match.index;
+    const end = start + match[0].length;
+    const replacement = step.replace(...match);
+
+    if (replacement === null || replacement === match[0]) continue;
+
+    copy(cursor, start);
+    text.push(replacement);
+    for (let i = 0; i < replacement.length; i++) {
+      from.push(state.from[start]);
+      to.push(state.to[end - 1]);
+    }
+    cursor = end;
+    changed = true;
+  }
+
+  if (!changed) {
+    return { next: state, changed };
+  }
+
+  copy(cursor, state.text.length);
+  return { next: { text: text.join(''), from, to }, changed };
+}
+
+/**
+ * Collapse a run like "09📞12 345 678" or "0 9 1 2 3 4 5 6 7 8" into its digits.
+ * Ordinary phone formatting (up to three single "-" or " " separators) and dotted
+ * numbers such as IPs and dates are left for the parser.
+ */
+function rewriteSplitDigits(run) {
+  const digits = run.replace(/\D/g, '');
+  if (digits.length < 8 || digits.length > 13) return null;
+
+  const separators = run.match(/\D+/g) || [];
+  const unusual = separators.some(s => /[^\-. ]/.test(s) || s.length > 1);
+  if (!unusual && separators.length <= 3) return null;
+
+  return digits;
+}
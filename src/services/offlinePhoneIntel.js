@@ -0,0 +1,84 @@
+/**
+ * Offline Phone Intelligence
+ * Fallback for Twilio Lookup built on the bundled numbering-plan tables.
+ * Taiwan numbers get carrier / area / special-range details; other countries
+ * get validity and number type from the generic plans.
+ */
+import { TW_SPECIAL_RANGES, TW_MOBILE_CARRIERS, TW_AREA_CODES } from '../data/twPhonePrefixes.js';
+
+// numberingPlans.js number types -> PhoneIntel lineType
+const LINE_TYPES = {
+  mobile: 'mobile',
+  fixed_line: 'landline',
+  fixed_line_or_mobile: 'unknown',
+  toll_free: 'tollFree',
+  premium_rate: 'premium',
+  voip: 'voip',
+};
+
+const CARRIER_BY_PREFIX = Object.fromEntries(
+  Object.entries(TW_MOBILE_CARRIERS).flatMap(([carrier, prefixes]) => prefixes.map(prefix => [prefix, carrier]))
+);
+
+// Longest area codes first so "037" wins over "03"
+const AREA_CODES = Object.keys(TW_AREA_CODES).sort((a, b) => b.length - a.length);
+
+/**
+ * Phone intelligence provider that never makes a network call
+ * Used through phoneIntel.js, which normalizes the result into a PhoneIntel object
+ */
+export const offlineProvider = {
+  name: 'offline',
+
+  isConfigured() {
+    return true;
+  },
+
+  /**
+   * @param {Object} normalized - normalizePhone() result
+   * @returns {Object} { valid, lineType, carrier, area, description }
+   */
+  async lookup(normalized) {
+    if (!normalized.valid) {
+      return { valid: false, lineType: 'unknown', carrier: null, area: null, description: null };
+    }
+
+    if (normalized.country === 'TW') {
+      return lookupTaiwan(`0${normalized.nationalNumber}`);
+    }
+
+    return {
+      valid: true,
+      lineType: LINE_TYPES[normalized.numberType] || 'unknown',
+      carrier: null,
+      area: normalized.countryName,
+      description: null,
+    };
+  },
+};
+
+function lookupTaiwan(nationalFormat) {
+  const special = TW_SPECIAL_RANGES.find(range => nationalFormat.startsWith(range.prefix));
+  if (special) {
+    return { valid: true, lineType: special.lineType, carrier: null, area: null, description: special.description };
+  }
+
+  if (nationalFormat.startsWith('09')) {
+    return {
+      valid: true,
+      lineType: 'mobile',
+      carrier: CARRIER_BY_PREFIX[nationalFormat.slice(0, 4)] || null,
+      area: null,
+      description: null,
+    };
+  }
+
+  const areaCode = AREA_CODES.find(code => nationalFormat.startsWith(code));
+  return {
+    valid: true,
+    lineType: 'landline',
+    carrier: null,
+    area: areaCode ? TW_AREA_CODES[areaCode] : null,
+    description: null,
+  };
+}
@@ -1,28 +1,33 @@
-import OpenAI from 'openai';
-import dotenv from 'dotenv';
-
-dotenv.config();
-
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+import config from '../config.js';
+import { getLlmClient, completeJson, llmErrorValidation } from './llmClient.js';
+import { SCAM_ANALYSIS_SCHEMA, fallbackValue } from './llmSchemas.js';
+import { fenceUntrusted } from './promptGuard.js';
+import { LANGUAGE_NAMES } from './i18n.js';
 
 /**
- * Analyze message content for scam detection using OpenAI
+ * Analyze message content for scam detection with the configured LLM (see llmClient.js)
+ * The answer is validated against SCAM_ANALYSIS_SCHEMA; `validation` on the result
+ * records what was coerced, repaired or replaced by the typed fallback. The message is
+ * fenced with random delimiters (promptGuard.js) so it cannot pass for instructions.
+ * @param {string} content
+ * @param {Object} options
+ * @param {Object} options.llm - LLM client, defaults to getLlmClient()
+ * @param {string} options.lang - Language of `reason` (see i18n.js); keys and enum values stay English
  */
-export async function analyzeWithOpenAI(content) {
+export async function analyzeWithOpenAI(content, { llm = getLlmClient(), lang = 'en' } = {}) {
   try {
-    if (!process.env.OPENAI_API_KEY) {
-      console.warn('⚠️ OpenAI API Key not configured');
-      return { isScam: false, confidence: 0, reason: 'API Key not configured' };
+    if (!llm.isConfigured()) {
+      console.warn(`⚠️ LLM (${llm.provider}) not configured`);
+      return { ...fallbackValue(SCAM_ANALYSIS_SCHEMA, { reason: 'API Key not configured' }), validation: null };
     }
 
+    const message = fenceUntrusted(content);
     const prompt = `You are a professional scam message detection expert. Please analyze the following message content to determine if it's a scam, and respond in JSON format.
 
+${message.notice}
+
 Message content:
-"""
-${content}
-"""
+${message.block}
 
 Please respond in the following JSON format:
 {
@@ -48,33 +53,24 @@ Field explanations:
 - action_requested: Primary action the message wants recipient to take
 - grammar_quality: Quality of grammar and spelling (0=very poor, 10=perfect)
 - emotion_triggers: List of emotions being manipulated
-- credibility_score: How legitimate the message appears (0=obviously fake, 10=highly credible)`;
+- credibility_score: How legitimate the message appears (0=obviously fake, 10=highly credible)
+
+Write "reason" in ${LANGUAGE_NAMES[lang] || LANGUAGE_NAMES.en}. Keep the JSON keys and the enum values above in English, and quote keywords as they appear in the message.`;
 
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
-      messages: [
-        {
-          role: "system",
-          content: "You are a scam message detection expert specializing in identifying common scam tactics in Taiwan (including fake banks, lottery notifications, package scams, etc.). Please respond in English and strictly follow JSON format."
-        },
-        {
-          role: "user",
-          content: prompt
-        }
-      ],
-      temperature: 0.3,
-      response_format: { type: "json_object" }
-    });
+    const { value, validation } = await completeJson(llm, {
+      task: 'scam_analysis',
+      system: "You are a scam message detection expert specializing in identifying common scam tactics in Taiwan (including fake banks, lottery notifications, package scams, etc.). Please strictly follow JSON format.",
+      prompt,
+      temperature: config.llm.temperature,
+    }, SCAM_ANALYSIS_SCHEMA, { reason: 'AI analysis failed' });
 
-    const result = JSON.parse(completion.choices[0].message.content);
-    return result;
+    return { ...value, validation };
   } catch (error) {
-    console.error('❌ OpenAI API error:', error.message);
-    return { 
-      isScam: false, 
-      confidence: 0, 
-      reason: 'AI analysis failed', 
-      error: error.message 
+    console.error(`❌ LLM (${llm.provider}) error:`, error.message);
+    return {
+      ...fallbackValue(SCAM_ANALYSIS_SCHEMA, { reason: 'AI analysis failed' }),
+      error: error.message,
+      validation: llmErrorValidation(llm, SCAM_ANALYSIS_SCHEMA, error),
     };
   }
 }
@@ -0,0 +1,278 @@
+/**
+ * Landing Page Inspector
+ * A brand-new phishing page is usually not on any blocklist yet, so read the page a link
+ * lands on and look for what phishing kits need: password, card and OTP fields, a bank's
+ * or courier's name and logo, forms that post to another domain, and obfuscated scripts.
+ * Pages are fetched with the redirect resolver's SSRF guards and size/time limits;
+ * analyzePageHtml() works on HTML alone, e.g. local fixture pages.
+ */
+import config from '../config.js';
+import { fetchPage } from './redirectResolver.js';
+import { getBrandRegistry } from './lookalikeDetector.js';
+import { getRegistrableDomain } from './publicSuffix.js';
+import { t, joinList } from './i18n.js';
+
+// Scores from here up are reported as evidence and add to the rule-based risk score
+export const PAGE_RISK_ALERT_SCORE = 0.5;
+
+// A page's score is the sum of its signals' weights, capped at 1
+const SIGNAL_WEIGHTS = {
+  credit_card_field: 0.4,
+  password_field: 0.3,
+  brand_impersonation: 0.3,
+  cross_domain_form: 0.3,
+  otp_field: 0.2,
+  obfuscated_script: 0.2,
+};
+
+const CARD_FIELD = /cc-?(?:number|num|exp|csc|name)|card.?(?:number|num|no\b)|cardno|cvv|cvc|cvn|security.?code|expir|信用卡|卡號|安全碼|有效期|末三碼|背面三碼/i;
+const OTP_FIELD = /\botp\b|one-time-code|sms.?code|verif\w*.?code|驗證碼|簡訊碼|認證碼/i;
+
+const OBFUSCATION_PATTERNS = {
+  packer: /eval\(function\(p,a,c,k,e,[rd]\)/,
+  eval: /\beval\s*\(/,
+  atob: /\batob\s*\(/,
+  from_char_code: /String\.fromCharCode\s*\(\s*\d+\s*(?:,\s*\d+\s*){9,}/,
+  unescape: /\bunescape\s*\(/,
+  hex_escapes: /(?:\\x[0-9a-f]{2}){20,}|(?:\\u[0-9a-f]{4}){20,}/i,
+  long_encoded_string: /["'`][A-Za-z0-9+/=]{400,}["'`]/,
+};
+
+// Identifiers like _0x3f2a left by javascript-obfuscator; a few can be chance
+const OBFUSCATOR_NAME = /\b_0x[0-9a-f]{4,}\b/g;
+const MIN_OBFUSCATOR_NAMES = 10;
+
+/**
+ * @typedef {Object} PageInspection
+ * @property {string} url - Page that was inspected (the link's final URL)
+ * @property {boolean} fetched - The page was downloaded
+ * @property {number|null} status - HTTP status
+ * @property {string|null} title - Page title
+ * @property {number} score - 0 (nothing found) to 1
+ * @property {string[]} signals - 'password_field', 'credit_card_field', 'otp_field', 'brand_impersonation',
+ *   'cross_domain_form', 'obfuscated_script'
+ * @property {number} passwordFields
+ * @property {string[]} cardFields - Names of card-number / expiry / CVV inputs
+ * @property {string[]} otpFields - Names of one-time-code inputs
+ * @property {Array} brands - Brands named on a page outside their official domains: { id, name, where: ['title', 'text', 'logo'] }
+ * @property {Array} forms - { action, method, targetHost, crossDomain }
+ * @property {string[]} obfuscation - Script obfuscation techniques found, e.g. 'packer', 'atob'
+ * @property {string|null} error - Why the page could not be inspected
+ */
+
+/**
+ * Inspect the landing page of every link (its final URL after redirects)
+ * Allowlisted links are skipped, as are links past maxPages.
+ * @param {Array} urlResults - UrlIntel verdicts (see urlIntel.js)
+ * @param {Object} options
+ * @param {boolean} options.enabled - Defaults to config.pageInspection.enabled
+ * @param {number} options.maxPages - Defaults to config.pageInspection.maxPages
+ * @param {Object} options.fetchOptions - Passed to fetchPage (e.g. allowPrivateNetworks for local fixture servers)
+ * @returns {Promise<Array>} One PageInspection (or null when not inspected) per entry in urlResults
+ */
+export async function inspectLandingPages(urlResults, {
+  enabled = config.pageInspection.enabled,
+  maxPages = config.pageInspection.maxPages,
+  fetchOptions,
+} = {}) {
+  if (!enabled) return urlResults.map(() => null);
+
+  let remaining = maxPages;
+  return Promise.all(urlResults.map(urlResult => {
+    if (!urlResult || urlResult.allowlisted || remaining <= 0) return null;
+    remaining--;
+    return inspectPage(urlResult.redirect?.finalUrl || urlResult.url, fetchOptions);
+  }));
+}
+
+/**
+ * Fetch one page and inspect it
+ * @param {string} url
+ * @param {Object} fetchOptions - timeoutMs, maxBodyBytes, allowPrivateNetworks
+ * @returns {Promise<PageInspection>}
+ */
+export async function inspectPage(url, fetchOptions = {}) {
+  const pageUrl = /^[a-z][a-z0-9+.-]*:\/\//i.test(url) ? url : `http://${url}`;
+
+  try {
+    const page = await fetchPage(pageUrl, {
+      timeoutMs: config.pageInspection.timeoutMs,
+      maxBodyBytes: config.pageInspection.maxBodyBytes,
+      ...fetchOptions,
+    });
+    const isHtml = /html/i.test(page.headers['content-type'] || '') || /^\s*</.test(page.body);
+    const inspection = isHtml ? analyzePageHtml(page.body, page.url) : analyzePageHtml('', page.url);
+    return { ...inspection, fetched: true, status: page.status };
+  } catch (error) {
+    console.error(`❌ Page inspection error (${pageUrl}):`, error.message);
+    return { ...analyzePageHtml('', pageUrl), fetched: false, error: error.message };
+  }
+}
+
+/**
+ * Inspect page HTML without fetching anything
+ * @param {string} html
+ * @param {string} pageUrl - Where the page was served from (for cross-domain forms and official brand domains)
+ * @param {Object} options
+ * @param {Array} options.brands - Brand registry, defaults to the lookalike detector's
+ * @returns {PageInspection}
+ */
+export function analyzePageHtml(html, pageUrl, { brands = getBrandRegistry() } = {}) {
+  const pageHost = hostOf(pageUrl);
+  const pageDomain = pageHost ? getRegistrableDomain(pageHost) : null;
+
+  const inputs = (html.match(/<input\b[^>]*>/gi) || [])
+    .map(tag => ({ tag, type: attribute(tag, 'type')?.toLowerCase() || 'text' }))
+    .filter(({ type }) => type !== 'hidden');
+  const fieldName = tag => attribute(tag, 'name') || attribute(tag, 'id') || attribute(tag, 'placeholder') || 'unnamed';
+  const describesField = (tag, pattern) => ['name', 'id', 'placeholder', 'autocomplete', 'aria-label']
+    .some(name => pattern.test(attribute(tag, name) || ''));
+
+  const passwordFields = inputs.filter(({ type }) => type === 'password').length;
+  const cardFields = inputs.filter(({ tag }) => describesField(tag, CARD_FIELD)).map(({ tag }) => fieldName(tag));
+  const otpFields = inputs.filter(({ tag }) => describesField(tag, OTP_FIELD)).map(({ tag }) => fieldName(tag));
+
+  const forms = (html.match(/<form\b[^>]*>/gi) || []).map(tag => {
+    const action = attribute(tag, 'action') || '';
+    const target = resolveUrl(action, pageUrl);
+    const targetHost = target ? (target.protocol.startsWith('http') ? target.hostname : target.protocol.replace(':', '')) : null;
+    const targetDomain = target?.protocol.startsWith('http') ? getRegistrableDomain(target.hostname) : targetHost;
+    return {
+      action,
+      method: (attribute(tag, 'method') || 'get').toLowerCase(),
+      targetHost,
+      crossDomain: Boolean(action && targetDomain && pageDomain && targetDomain !== pageDomain),
+    };
+  });
+
+  const scripts = (html.match(/<script\b[^>]*>[\s\S]*?<\/script>/gi) || []).join('\n');
+  const obfuscation = Object.entries(OBFUSCATION_PATTERNS)
+    .filter(([, pattern]) => pattern.test(scripts))
+    .map(([technique]) => technique);
+  if ((scripts.match(OBFUSCATOR_NAME) || []).length >= MIN_OBFUSCATOR_NAMES) obfuscation.push('obfuscator_names');
+
+  const title = decodeEntities(html.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1] || '').trim() || null;
+  const text = decodeEntities(html
+    .replace(/<(script|style|noscript)\b[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]+>/g, ' '))
+    .replace(/\s+/g, ' ');
+  const images = (html.match(/<(?:img|link)\b[^>]*>/gi) || []).filter(tag => /^<img/i.test(tag) || /icon/i.test(attribute(tag, 'rel') || ''));
+  const brandsFound = findBrands({ title, text, images }, pageHost, brands);
+
+  const signals = [];
+  if (passwordFields > 0) signals.push('password_field');
+  if (cardFields.length > 0) signals.push('credit_card_field');
+  if (otpFields.length > 0) signals.push('otp_field');
+  if (brandsFound.length > 0) signals.push('brand_impersonation');
+  if (forms.some(form => form.crossDomain)) signals.push('cross_domain_form');
+  if (obfuscation.length > 0) signals.push('obfuscated_script');
+
+  return {
+    url: pageUrl,
+    fetched: true,
+    status: null,
+    title,
+    score: parseFloat(Math.min(1, signals.reduce((sum, signal) => sum + SIGNAL_WEIGHTS[signal], 0)).toFixed(2)),
+    signals,
+    passwordFields,
+    cardFields,
+    otpFields,
+    brands: brandsFound,
+    forms,
+    obfuscation,
+    error: null,
+  };
+}
+
+/**
+ * One-line description of a risky page for reports, e.g. "Landing page secure-ctbc.top asks
+ * for a password and card details, shows CTBC Bank (中國信託) branding, sends the form to evil.cc"
+ * @param {PageInspection} page
+ * @param {string} lang - Catalog language (see i18n.js)
+ * @returns {string|null} null if nothing was found
+ */
+export function describePageRisk(page, lang = 'en') {
+  if (!page || page.signals.length === 0) return null;
+
+  const asksFor = [
+    page.passwordFields > 0 && t(lang, 'page.password'),
+    page.cardFields.length > 0 && t(lang, 'page.card'),
+    page.otpFields.length > 0 && t(lang, 'page.otp'),
+  ].filter(Boolean);
+  const separator = t(lang, 'list.separator');
+  const parts = [];
+  if (asksFor.length > 0) parts.push(t(lang, 'page.asks_for', { items: joinList(asksFor, lang) }));
+  if (page.brands.length > 0) parts.push(t(lang, 'page.branding', { brands: page.brands.map(brand => brand.name).join(separator) }));
+  const crossDomain = page.forms.filter(form => form.crossDomain).map(form => form.targetHost);
+  if (crossDomain.length > 0) parts.push(t(lang, 'page.form_target', { hosts: [...new Set(crossDomain)].join(separator) }));
+  if (page.obfuscation.length > 0) parts.push(t(lang, 'page.obfuscated', { techniques: page.obfuscation.join(', ') }));
+
+  return t(lang, 'page.summary', { host: hostOf(page.url) || page.url, parts: parts.join(t(lang, 'list.clauses')) });
+}
+
+// Brands named in the title or text, or in an image / icon, of a page outside the brand's own domains
+function findBrands({ title, text, images }, pageHost, brands) {
+  const found = [];
+  for (const brand of brands) {
+    if (pageHost && brand.domains.some(domain => pageHost === domain || pageHost.endsWith(`.${domain}`))) continue;
+
+    const terms = brandTerms(brand);
+    const where = [];
+    if (title && terms.some(term => mentions(title, term))) where.push('title');
+    if (terms.some(term => mentions(text, term))) where.push('text');
+    if (images.some(tag => terms.some(term => mentions(
+      [attribute(tag, 'src'), attribute(tag, 'href'), attribute(tag, 'alt')].filter(Boolean).join(' '),
+      term,
+    )))) where.push('logo');
+
+    if (where.length > 0) found.push({ id: brand.id, name: brand.name, where });
+  }
+  return found;
+}
+
+// "CTBC Bank (中國信託)" -> "ctbc bank", "中國信託", plus keywords and official domains
+function brandTerms(brand) {
+  const nameParts = brand.name.split(/[()/]/).map(part => part.trim()).filter(part => part.length >= 2 && /\p{L}/u.test(part));
+  return [...new Set([...nameParts, ...brand.keywords.filter(k => k.length >= 4), ...brand.domains].map(term => term.toLowerCase()))];
+}
+
+// CJK terms match anywhere; Latin terms only as whole words
+function mentions(haystack, term) {
+  const lower = haystack.toLowerCase();
+  if (/[^\x00-\x7f]/.test(term)) return lower.includes(term);
+  const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^a-z0-9])${escaped}($|[^a-z0-9])`).test(lower);
+}
+
+function attribute(tag, name) {
+  const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+  return match ? decodeEntities(match[1] ?? match[2] ?? match[3]) : null;
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (m, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (m, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+function resolveUrl(action, base) {
+  try {
+    return new URL(action, base);
+  } catch {
+    return null;
+  }
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname;
+  } catch {
+    return null;
+  }
+}
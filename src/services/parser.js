@@ -1,18 +1,216 @@
+import { normalizeMessage } from './normalizer.js';
+import { detectPromptInjection } from './promptGuard.js';
+import { extractPaymentInstructions } from './paymentExtractor.js';
+import { BARE_DOMAIN_TLDS } from '../data/bareDomainTlds.js';
+
 /**
- * Extract URL, phone number, and content from message using Regex
+ * Extract URLs, phone numbers, emails, LINE IDs, bank accounts and content from message using Regex
+ *
+ * The message is de-obfuscated first (see normalizer.js), so "hxxp://bit[.]ly/x" or
+ * "０９１２-３４５-６７８" are found too.
+ *
+ * Every match is returned as an entity: { type, value, raw, start, end, obfuscated }
+ * - value: canonical form used for lookups (de-obfuscated, scheme added to URLs, separators stripped from numbers)
+ * - raw: text exactly as it appears in the original message
+ * - start/end: character offsets of raw in the original message
+ * - obfuscated: whether raw had to be de-obfuscated to find the entity
+ * The urls/phones/... arrays hold the distinct values, in message order
+ * payment holds the payment instructions (see paymentExtractor.js), with start/end/raw
+ * likewise in the original message
  */
+
+// Entity types, in the order overlapping matches are resolved (earlier wins)
+export const ENTITY_TYPES = ['email', 'url', 'bank_account', 'line_id', 'phone'];
+
+// Hostnames may use Latin, Greek, Cyrillic and Armenian letters, so IDN homographs such as
+// "сtbcbank.com" (Cyrillic с) are kept whole; paths are ASCII so trailing Chinese text is not swallowed
+const HOST_CHARS = "\\p{Script=Latin}\\p{Script=Greek}\\p{Script=Cyrillic}\\p{Script=Armenian}\\p{M}0-9\\-";
+// After "http://" or "www." a host may also be Chinese, Japanese or Korean ("https://例子.tw");
+// bare domains stay non-CJK, or the Chinese text in front of one would join its host
+const CJK_CHARS = "\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}\\p{Script=Hangul}";
+const IDN_HOST_CHARS = HOST_CHARS + CJK_CHARS;
+const URL_PATH_CHARS = "a-zA-Z0-9\\-._~:/?#[\\]@!$&'()*+,;=%";
+
+const PATTERNS = {
+  email: /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9-]+(?:\.[a-zA-Z0-9-]+)*\.[a-zA-Z]{2,}/g,
+  url: new RegExp(
+    `(https?:\\/\\/[${IDN_HOST_CHARS}._~%@:!$&'()*+,;=]+(?:[/?#][${URL_PATH_CHARS}]*)?)`
+    + `|(www\\.[${IDN_HOST_CHARS}._~%:]+(?:[/?#][${URL_PATH_CHARS}]*)?)`
+    + `|([${HOST_CHARS}]+(?:\\.[${HOST_CHARS}]+)*\\.(?:${BARE_DOMAIN_TLDS.join('|')})(?![${HOST_CHARS}])[${URL_PATH_CHARS}]*)`,
+    'giu'
+  ),
+  // Account numbers are only trusted next to a keyword, optionally after a 3-digit bank code
+  // set off by brackets or a separator ("(822)", "822-"), so "0012345678901" stays whole
+  bank_account: /(?:帳號|帳戶|账号|账户|戶頭|account(?:\s*(?:no\.?|number|#))?|acct\.?)\s*[:：]?\s*(?:[(（](\d{3})[)）][-\s]?|(\d{3})[-\s])?(\d(?:[-\s]?\d){9,15})(?!\d)/dgi,
+  line_id: /(?:line\s*(?:id)?|賴)\s*[:：]\s*(@?[a-zA-Z0-9._-]{3,20})|(?:加|\+)\s*line\s*[:：]?\s*(@?[a-zA-Z0-9._-]{3,20})/dgi,
+  // Any country with an international prefix (+ or 00), then Taiwan numbers: mobile, toll-free
+  // 0800, premium 020x, VoIP 070, and landlines with a 2-4 digit area code, written "(02) 2345-6789"
+  // or "037-123456". Taiwan numbers must not touch other digits, so "20240101123456" is no phone
+  phone: new RegExp(
+    '(?<![\\d+])(?:\\+|00)[1-9]\\d{0,2}(?:[-\\s.]?\\(?\\d{1,6}\\)?){1,3}'
+    + '|(?<![\\d+])(?:'
+    + '(?:\\+?886[-\\s]?)?0?9\\d{2}[-\\s]?\\d{3}[-\\s]?\\d{3}'
+    + '|0800[-\\s]?\\d{3}[-\\s]?\\d{3}'
+    + '|020\\d[-\\s]?\\d{3}[-\\s]?\\d{3}'
+    + '|070[-\\s]?\\d{4}[-\\s]?\\d{4}'
+    + '|(?:\\+?886[-\\s]?)?(?:\\(0?\\d{1,3}\\)|0\\d{1,3})[-\\s]?\\d{3,4}[-\\s]?\\d{3,4}'
+    + ')(?!\\d)',
+    'g'
+  ),
+};
+
+// Punctuation that ends a sentence rather than a URL
+const URL_TRAILING_PUNCTUATION = /[.,;:!?'")\]]+$/;
+
+// Chinese text right after a Latin top-level label ("https://example.com請點擊") is the
+// sentence, not the host
+const CJK_AFTER_HOST = new RegExp(`^((?:https?:\\/\\/|www\\.)[^/?#]*\\.[a-z0-9-]+)[${CJK_CHARS}]`, 'iu');
+
 export function parseMessage(message) {
-  // URL regex pattern
-  const urlRegex = /(https?:\/\/[^\s]+)|(www\.[^\s]+)|([a-zA-Z0-9-]+\.(com|net|org|tw|io|gov)[^\s]*)/gi;
-  const urlMatch = message.match(urlRegex);
-  
-  // Phone regex pattern (Taiwan mobile, landline, international format)
-  const phoneRegex = /(\+?886[-\s]?)?0?9\d{2}[-\s]?\d{3}[-\s]?\d{3}|(\+?886[-\s]?)?0\d[-\s]?\d{3,4}[-\s]?\d{4}/g;
-  const phoneMatch = message.match(phoneRegex);
-  
+  const normalized = normalizeMessage(message);
+  const text = normalized.text;
+
+  const candidates = [
+    ...matchEmails(text),
+    ...matchUrls(text),
+    ...matchBankAccounts(text),
+    ...matchLineIds(text),
+    ...matchPhones(text),
+  ];
+
+  const resolved = resolveOverlaps(candidates);
+  const entities = resolved.map(entity => {
+    const { start, end } = normalized.toOriginalSpan(entity.start, entity.end);
+    const raw = message.slice(start, end);
+    return { ...entity, raw, start, end, obfuscated: raw !== entity.raw };
+  });
+  const valuesOf = type => [...new Set(entities.filter(e => e.type === type).map(e => e.value))];
+
+  const urls = valuesOf('url');
+  const phones = valuesOf('phone');
+
   return {
-    url: urlMatch ? urlMatch[0] : null,
-    phone: phoneMatch ? phoneMatch[0].replace(/[-\s]/g, '') : null,
+    url: urls[0] || null,
+    phone: phones[0] || null,
+    urls,
+    phones,
+    emails: valuesOf('email'),
+    lineIds: valuesOf('line_id'),
+    bankAccounts: valuesOf('bank_account'),
+    entities,
+    obfuscation: {
+      detected: normalized.obfuscated,
+      techniques: normalized.techniques,
+    },
+    // Text aimed at AI filters ("ignore previous instructions..."), see promptGuard.js
+    promptInjection: detectPromptInjection(text),
+    // Amounts, bank transfers, store codes, gift cards and crypto wallets
+    payment: mapPaymentSpans(
+      extractPaymentInstructions(text, { bankAccounts: resolved.filter(e => e.type === 'bank_account') }),
+      normalized,
+      message
+    ),
     content: message,
   };
 }
+
+function matchEmails(text) {
+  return [...text.matchAll(PATTERNS.email)].map(m => ({
+    type: 'email',
+    value: m[0].toLowerCase(),
+    raw: m[0],
+    start: m.index,
+    end: m.index + m[0].length,
+  }));
+}
+
+function matchUrls(text) {
+  return [...text.matchAll(PATTERNS.url)].map(m => {
+    const raw = (m[0].match(CJK_AFTER_HOST)?.[1] ?? m[0]).replace(URL_TRAILING_PUNCTUATION, '');
+    return {
+      type: 'url',
+      value: /^https?:\/\//i.test(raw) ? raw : `http://${raw}`,
+      raw,
+      start: m.index,
+      end: m.index + raw.length,
+    };
+  }).filter(e => e.raw.length > 0);
+}
+
+function matchBankAccounts(text) {
+  return [...text.matchAll(PATTERNS.bank_account)].map(m => {
+    const [start, end] = m.indices[3];
+    return {
+      type: 'bank_account',
+      value: m[3].replace(/[-\s]/g, ''),
+      raw: m[3],
+      bankCode: m[1] || m[2] || null,
+      start,
+      end,
+    };
+  });
+}
+
+function matchLineIds(text) {
+  return [...text.matchAll(PATTERNS.line_id)].map(m => {
+    const group = m[1] !== undefined ? 1 : 2;
+    const [start, end] = m.indices[group];
+    return {
+      type: 'line_id',
+      value: m[group].toLowerCase(),
+      raw: m[group],
+      start,
+      end,
+    };
+  });
+}
+
+function matchPhones(text) {
+  return [...text.matchAll(PATTERNS.phone)].map(m => ({
+    type: 'phone',
+    value: m[0].replace(/[-\s.()]/g, '').replace(/^00/, '+'),
+    raw: m[0],
+    start: m.index,
+    end: m.index + m[0].length,
+  })).filter(e => {
+    // E.164 numbers have at most 15 digits; shorter runs are prices or codes, not phones
+    const digits = e.value.replace(/\D/g, '').length;
+    return digits >= 8 && digits <= 15;
+  });
+}
+
+// Spans found in the normalized text, mapped back to the original message
+function mapPaymentSpans(payment, normalized, message) {
+  const mapSpan = item => {
+    const { start, end } = normalized.toOriginalSpan(item.start, item.end);
+    return { ...item, raw: message.slice(start, end), start, end };
+  };
+  return {
+    ...payment,
+    amounts: payment.amounts.map(mapSpan),
+    bankTransfers: payment.bankTransfers.map(mapSpan),
+    storeCodes: payment.storeCodes.map(mapSpan),
+    giftCards: payment.giftCards.map(mapSpan),
+    cryptoWallets: payment.cryptoWallets.map(mapSpan),
+  };
+}
+
+/**
+ * Drop matches that overlap a higher-priority entity (e.g. the domain inside an email),
+ * then return the rest in message order
+ */
+function resolveOverlaps(candidates) {
+  const accepted = [];
+  const byPriority = [...candidates].sort((a, b) =>
+    ENTITY_TYPES.indexOf(a.type) - ENTITY_TYPES.indexOf(b.type) || a.start - b.start
+  );
+
+  for (const entity of byPriority) {
+    const overlaps = accepted.some(e => entity.start < e.end && e.start < entity.end);
+    if (!overlaps) {
+      accepted.push(entity);
+    }
+  }
+
+  return accepted.sort((a, b) => a.start - b.start);
+}
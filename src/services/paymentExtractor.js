@@ -0,0 +1,221 @@
+/**
+ * Payment Extractor
+ * Finds how a message asks to be paid: money amounts (NT$, 元, USD, ...), Taiwanese bank
+ * codes with account numbers, convenience-store payment codes, requests to buy gift or
+ * game point cards, and crypto wallet addresses (checksums verified, see cryptoAddress.js).
+ * Runs on the de-obfuscated text inside parseMessage (parser.js), which maps the spans
+ * back to the original message.
+ */
+import { TW_BANK_CODES } from '../data/twBankCodes.js';
+import { validateCryptoAddress } from './cryptoAddress.js';
+import { t, joinList } from './i18n.js';
+
+const NUMBER = '\\d{1,3}(?:,\\d{3})+(?:\\.\\d+)?|\\d+(?:\\.\\d+)?';
+const PREFIX_CURRENCY = 'NT\\$|NTD|TWD|US\\$|USD|RMB|CNY|新台幣|新臺幣|台幣|臺幣|美金|人民幣|\\$|¥|￥';
+const SUFFIX_CURRENCY = '元|塊|圓|NTD|TWD|USD|RMB|美金|美元|人民幣|dollars?';
+
+// "NT$ 5,000", "新台幣3萬元", "5000元", "100 USD"
+const AMOUNT = new RegExp(
+  `(?<![A-Za-z])(${PREFIX_CURRENCY})\\s*(${NUMBER})\\s*(萬|千|k)?\\s*(元|塊)?`
+  + `|(?<![\\d.,])(${NUMBER})\\s*(萬|千|k)?\\s*(${SUFFIX_CURRENCY})(?![A-Za-z])`,
+  'gi'
+);
+const MULTIPLIERS = { 萬: 10000, 千: 1000, k: 1000 };
+
+const CURRENCIES = [
+  { currency: 'TWD', pattern: /^(?:NT\$|NTD|TWD|新台幣|新臺幣|台幣|臺幣|元|塊|圓)$/i },
+  { currency: 'USD', pattern: /^(?:US\$|USD|美金|美元|dollars?)$/i },
+  { currency: 'CNY', pattern: /^(?:RMB|CNY|人民幣)$/i },
+];
+const CURRENCY_SYMBOLS = { TWD: 'NT$', USD: 'US$', CNY: 'CN¥' };
+
+// A bank code written before an account number: "銀行代碼 822", "bank code: 822", "(822)"
+const BANK_CODE_BEFORE = /(?:代[碼號码号]|bank\s*code|[(（])\s*[:：]?\s*(\d{3})(?!\d)/gi;
+const BANK_CODE_WINDOW = 40;
+
+// ibon / FamiPort / Life-ET payment codes follow a keyword
+const STORE_CODE = /(?:(?:超商|繳費|缴费|付款|代收|ibon|famiport|life-?et)\s*(?:代[碼號码号]|條碼|条码|序號|pin\s*碼?)|payment\s*code|pin\s*code)\s*[:：]?\s*([A-Z0-9]{8,20})(?![A-Za-z0-9])/dgi;
+const STORES = [
+  { id: '7-eleven', pattern: /7-?11|7-?eleven|統一超商|统一超商|ibon/i },
+  { id: 'familymart', pattern: /全家|familymart|famiport/i },
+  { id: 'hilife', pattern: /萊爾富|莱尔富|hi-?life|life-?et/i },
+  { id: 'okmart', pattern: /ok\s*(?:超商|mart)/i },
+];
+
+const GIFT_CARDS = [
+  { brand: 'google_play', pattern: /google\s*play\s*(?:gift\s*)?(?:cards?|禮品卡|禮物卡|点数|點數|卡)/gi },
+  { brand: 'apple', pattern: /(?:apple|itunes|app\s*store)\s*(?:gift\s*)?(?:cards?|禮品卡|禮物卡|礼品卡|點數|点数|卡)/gi },
+  { brand: 'steam', pattern: /steam\s*(?:wallet\s*)?(?:cards?|禮品卡|點數|点数|卡)/gi },
+  { brand: 'amazon', pattern: /amazon\s*(?:gift\s*)?cards?/gi },
+  { brand: 'gash', pattern: /(?<![A-Za-z])gash(?![A-Za-z])(?:\s*(?:點數|点数|卡))?/gi },
+  { brand: 'mycard', pattern: /(?<![A-Za-z])mycard(?![A-Za-z])/gi },
+  { brand: 'generic', pattern: /遊戲點數|游戏点数|點數卡|点数卡|禮品卡|禮物卡|礼品卡|儲值卡|储值卡|(?:gift|game|prepaid)\s*cards?/gi },
+];
+// Buying, scratching or handing over a card; looked for in the clause that names the card
+const CARD_REQUEST = /買|購買|购买|購入|儲值|储值|刮開|刮开|拍照|提供|傳給|传给|序號|序号|buy|purchase|send|scratch|redeem|provide|code/i;
+const CLAUSE_END = /[.!?;。！？；\n]/;
+
+// Address-shaped strings; validateCryptoAddress decides what they are
+const CRYPTO_ADDRESS = /(?<![A-Za-z0-9])(?:0x[0-9a-fA-F]{40}|bc1[02-9ac-hj-np-z]{11,71}|BC1[02-9AC-HJ-NP-Z]{11,71}|[13][1-9A-HJ-NP-Za-km-z]{25,34}|T[1-9A-HJ-NP-Za-km-z]{33})(?![A-Za-z0-9])/g;
+
+/**
+ * @typedef {Object} PaymentInstructions
+ * @property {Array<{value: number, currency: string|null, raw: string, start: number, end: number}>} amounts -
+ *   currency is 'TWD', 'USD', 'CNY' or null (a bare "$" or "¥")
+ * @property {Array<{account: string, bankCode: string|null, bank: Object|null, start: number, end: number}>} bankTransfers -
+ *   bank is the TW_BANK_CODES entry for bankCode
+ * @property {Array<{code: string, store: string|null, start: number, end: number}>} storeCodes
+ * @property {Array<{brand: string, requested: boolean, raw: string, start: number, end: number}>} giftCards -
+ *   requested: the clause asks to buy or hand over the card
+ * @property {Array<{address: string, chain: string, valid: boolean, format: string|null, start: number, end: number}>} cryptoWallets
+ * @property {string[]} methods - What the message asks to pay with: 'bank_transfer', 'store_code',
+ *   'gift_card' (requested cards only) and 'crypto' (valid addresses only)
+ */
+
+/**
+ * Extract payment instructions from (de-obfuscated) message text
+ * @param {string} text
+ * @param {Object} options
+ * @param {Array} options.bankAccounts - The parser's bank_account entities, with spans in text
+ * @returns {PaymentInstructions}
+ */
+export function extractPaymentInstructions(text, { bankAccounts = [] } = {}) {
+  const amounts = matchAmounts(text);
+  const bankTransfers = bankAccounts.map(entity => {
+    const bankCode = entity.bankCode || findBankCodeBefore(text, entity.start) || findBankNameCode(text);
+    return {
+      account: entity.value,
+      bankCode: bankCode || null,
+      bank: TW_BANK_CODES[bankCode] || null,
+      start: entity.start,
+      end: entity.end,
+    };
+  });
+  const storeCodes = matchStoreCodes(text);
+  const giftCards = matchGiftCards(text);
+  const cryptoWallets = matchCryptoWallets(text);
+
+  const methods = [
+    bankTransfers.length > 0 && 'bank_transfer',
+    storeCodes.length > 0 && 'store_code',
+    giftCards.some(card => card.requested) && 'gift_card',
+    cryptoWallets.some(wallet => wallet.valid) && 'crypto',
+  ].filter(Boolean);
+
+  return { amounts, bankTransfers, storeCodes, giftCards, cryptoWallets, methods };
+}
+
+/**
+ * One-line description of the payment instructions for reports, e.g.
+ * "The message gives payment instructions: transfer to 822 CTBC Bank account 1234567890123 (NT$30,000)"
+ * @param {PaymentInstructions} payment
+ * @param {string} lang - Catalog language (see i18n.js)
+ * @param {Object} options
+ * @param {Function} options.formatAccount - Turns an account number into the text to show
+ *   (the LLM prompt passes the redaction placeholder)
+ * @returns {string|null} null if the message asks for no payment
+ */
+export function describePaymentInstructions(payment, lang = 'en', { formatAccount = account => account } = {}) {
+  if (!payment?.methods.length) return null;
+  const localized = lang.startsWith('zh');
+  const parts = [];
+
+  if (payment.bankTransfers.length > 0) {
+    const accounts = payment.bankTransfers.map(({ account, bankCode, bank }) => {
+      const bankName = bank ? `${bankCode} ${localized ? bank.localName : bank.name}` : bankCode;
+      return t(lang, bankName ? 'payment.account_at' : 'payment.account', { bank: bankName, account: formatAccount(account) });
+    });
+    parts.push(t(lang, 'payment.bank_transfer', { accounts: joinList(accounts, lang) }));
+  }
+  if (payment.storeCodes.length > 0) {
+    const codes = payment.storeCodes.map(({ code, store }) => (store ? `${t(lang, `store.${store}`)} ${code}` : code));
+    parts.push(t(lang, 'payment.store_code', { codes: joinList(codes, lang) }));
+  }
+  const cards = [...new Set(payment.giftCards.filter(card => card.requested).map(card => card.brand))];
+  if (cards.length > 0) {
+    parts.push(t(lang, 'payment.gift_card', { cards: joinList(cards.map(brand => t(lang, `card.${brand}`)), lang) }));
+  }
+  const wallets = payment.cryptoWallets.filter(wallet => wallet.valid);
+  if (wallets.length > 0) {
+    parts.push(t(lang, 'payment.crypto', { wallets: joinList(wallets.map(({ chain, address }) => `${chain} ${address}`), lang) }));
+  }
+
+  const description = t(lang, 'payment.summary', { parts: parts.join(t(lang, 'list.clauses')) });
+  if (payment.amounts.length === 0) return description;
+  return t(lang, 'payment.with_amounts', { description, amounts: joinList(payment.amounts.map(formatAmount), lang) });
+}
+
+function matchAmounts(text) {
+  return [...text.matchAll(AMOUNT)].map(m => {
+    const prefixed = m[1] !== undefined;
+    const number = parseFloat((prefixed ? m[2] : m[5]).replace(/,/g, ''));
+    const multiplier = MULTIPLIERS[(prefixed ? m[3] : m[6])?.toLowerCase()] || 1;
+    const unit = prefixed ? m[1] : m[7];
+    const raw = m[0].trimEnd();
+    return {
+      value: number * multiplier,
+      currency: CURRENCIES.find(({ pattern }) => pattern.test(unit))?.currency || null,
+      raw,
+      start: m.index,
+      end: m.index + raw.length,
+    };
+  }).filter(amount => amount.value > 0);
+}
+
+function formatAmount({ value, currency, raw }) {
+  return currency ? `${CURRENCY_SYMBOLS[currency]}${value.toLocaleString('en-US')}` : raw;
+}
+
+function findBankCodeBefore(text, start) {
+  const window = text.slice(Math.max(0, start - BANK_CODE_WINDOW), start);
+  const codes = [...window.matchAll(BANK_CODE_BEFORE)].map(m => m[1]);
+  return codes[codes.length - 1] || null;
+}
+
+// A bank named anywhere in the message ("中國信託", "CTBC Bank")
+function findBankNameCode(text) {
+  const lower = text.toLowerCase();
+  return Object.entries(TW_BANK_CODES)
+    .find(([, bank]) => text.includes(bank.localName) || lower.includes(bank.name.toLowerCase()))?.[0] || null;
+}
+
+function matchStoreCodes(text) {
+  const store = STORES.find(({ pattern }) => pattern.test(text))?.id || null;
+  return [...text.matchAll(STORE_CODE)]
+    .filter(m => /\d/.test(m[1]))
+    .map(m => {
+      const [start, end] = m.indices[1];
+      return { code: m[1].toUpperCase(), store, start, end };
+    });
+}
+
+function matchGiftCards(text) {
+  const found = GIFT_CARDS.flatMap(({ brand, pattern }) => [...text.matchAll(pattern)].map(m => ({
+    brand,
+    requested: CARD_REQUEST.test(clauseAround(text, m.index, m.index + m[0].length)),
+    raw: m[0],
+    start: m.index,
+    end: m.index + m[0].length,
+  })));
+  // "Google Play 禮品卡" is one card, not a Google Play card and a generic one
+  return found
+    .filter(card => !found.some(other => other !== card && other.brand !== 'generic' && card.brand === 'generic'
+      && card.start < other.end && other.start < card.end))
+    .sort((a, b) => a.start - b.start);
+}
+
+function clauseAround(text, start, end) {
+  let from = start;
+  while (from > 0 && !CLAUSE_END.test(text[from - 1])) from--;
+  let to = end;
+  while (to < text.length && !CLAUSE_END.test(text[to])) to++;
+  return text.slice(from, to);
+}
+
+function matchCryptoWallets(text) {
+  return [...text.matchAll(CRYPTO_ADDRESS)]
+    // Long digit runs fit the Base58 pattern too
+    .filter(m => /[A-Za-z]/.test(m[0].slice(1)))
+    .map(m => ({ address: m[0], ...validateCryptoAddress(m[0]), start: m.index, end: m.index + m[0].length }))
+    .filter(wallet => wallet.chain);
+}
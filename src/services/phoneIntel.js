@@ -0,0 +1,90 @@
+/**
+ * Phone Intelligence Service
+ * Provider-agnostic phone lookup. Providers (Twilio, offline tables, mocks in tests)
+ * answer in their own format; this layer always returns one PhoneIntel object.
+ */
+import config from '../config.js';
+import { normalizePhone } from './phoneNormalizer.js';
+import { twilioProvider } from './twilioLookup.js';
+import { offlineProvider } from './offlinePhoneIntel.js';
+
+/**
+ * @typedef {Object} PhoneIntel
+ * @property {string} phone - Number as found in the message
+ * @property {string|null} e164 - E.164 form, e.g. "+886912345678"
+ * @property {string|null} country - ISO 3166 alpha-2 country of the number
+ * @property {boolean} isForeign - Country differs from the user's region
+ * @property {boolean} valid - Number exists / is dialable according to the provider
+ * @property {'mobile'|'landline'|'voip'|'tollFree'|'premium'|'unknown'} lineType
+ * @property {string|null} carrier - Carrier name (original allocation for offline lookups)
+ * @property {string|null} area - Landline area or country name
+ * @property {string|null} description - Note on special ranges, e.g. "Premium-rate information service (0204)"
+ * @property {string} source - Provider that answered: 'twilio', 'offline', ...
+ * @property {string|null} error - Why an earlier provider was skipped or failed, if any
+ */
+
+/**
+ * A provider is { name, isConfigured(), lookup(normalized, options) } where lookup
+ * resolves to { valid, lineType, carrier, area, description } (lineType already mapped to the
+ * PhoneIntel values). Pass a custom list, e.g. a mock, through options.providers.
+ */
+export const PHONE_PROVIDERS = {
+  twilio: twilioProvider,
+  offline: offlineProvider,
+};
+
+export const LINE_TYPES = ['mobile', 'landline', 'voip', 'tollFree', 'premium', 'unknown'];
+
+/**
+ * Look up a phone number with the first configured provider, falling back to the next on failure
+ * @param {string} phone - Phone number as found in the message
+ * @param {Object} options
+ * @param {string} options.region - User's region (ISO 3166 alpha-2), defaults to config.defaultRegion
+ * @param {Array} options.providers - Providers to try in order, defaults to config.phoneIntelProviders
+ * @returns {Promise<PhoneIntel|null>}
+ */
+export async function lookupPhone(phone, { region, providers = defaultProviders() } = {}) {
+  if (!phone) return null;
+
+  const normalized = normalizePhone(phone, { region });
+  const errors = [];
+
+  for (const provider of providers) {
+    if (!provider.isConfigured()) {
+      errors.push(`${provider.name}: not configured`);
+      continue;
+    }
+
+    try {
+      const result = await provider.lookup(normalized, { region });
+      return toPhoneIntel(phone, normalized, result, provider.name, errors);
+    } catch (error) {
+      console.error(`❌ Phone lookup (${provider.name}) error:`, error.message);
+      errors.push(`${provider.name}: ${error.message}`);
+    }
+  }
+
+  return toPhoneIntel(phone, normalized, { valid: false }, 'none', errors);
+}
+
+function defaultProviders() {
+  return config.phoneIntelProviders
+    .map(name => PHONE_PROVIDERS[name])
+    .filter(Boolean);
+}
+
+function toPhoneIntel(phone, normalized, result, source, errors) {
+  return {
+    phone,
+    e164: normalized.e164,
+    country: normalized.country,
+    isForeign: normalized.isForeign,
+    valid: Boolean(result.valid),
+    lineType: LINE_TYPES.includes(result.lineType) ? result.lineType : 'unknown',
+    carrier: result.carrier || null,
+    area: result.area || null,
+    description: result.description || null,
+    source,
+    error: errors.length > 0 ? errors.join('; ') : null,
+  };
+}
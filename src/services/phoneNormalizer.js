@@ -0,0 +1,100 @@
+/**
+ * Phone Normalizer
+ * Parse and validate phone numbers from many countries into E.164 using the
+ * bundled offline numbering-plan table (no network calls)
+ */
+import config from '../config.js';
+import { NUMBERING_PLANS } from '../data/numberingPlans.js';
+
+// Calling code -> region, longest codes first so "852" wins over "85..." prefixes
+const REGIONS_BY_CALLING_CODE = Object.entries(NUMBERING_PLANS)
+  .map(([region, plan]) => [plan.callingCode, region])
+  .sort((a, b) => b[0].length - a[0].length);
+
+/**
+ * Normalize a phone number to E.164
+ * @param {string} phone - Phone number as written (separators allowed)
+ * @param {Object} options
+ * @param {string} options.region - User's region (ISO 3166 alpha-2), used for numbers without a country code
+ * @returns {Object} { input, e164, valid, country, countryName, callingCode, nationalNumber, numberType, isForeign }
+ */
+export function normalizePhone(phone, { region = config.defaultRegion } = {}) {
+  const userRegion = (region || 'TW').toUpperCase();
+  const result = {
+    input: phone,
+    e164: null,
+    valid: false,
+    country: null,
+    countryName: null,
+    callingCode: null,
+    nationalNumber: null,
+    numberType: 'unknown',
+    isForeign: false,
+  };
+
+  if (!phone) return result;
+
+  const compact = String(phone).replace(/[\s\-.()\/]/g, '');
+  if (!/^(?:\+|00)?\d+$/.test(compact)) return result;
+
+  let candidates;
+  let fallback;
+  if (compact.startsWith('+') || compact.startsWith('00')) {
+    candidates = internationalCandidates(compact.replace(/^(?:\+|00)/, ''));
+    fallback = candidates[0];
+  } else {
+    // National format for the user's region first, then digits that already carry a country code (e.g. "886912...")
+    const national = nationalCandidates(compact, userRegion);
+    candidates = [...national, ...internationalCandidates(compact)];
+    fallback = national[0];
+  }
+
+  const classified = candidates.map(c => ({ ...c, numberType: classify(c.region, c.nationalNumber) }));
+  // An unrecognized number keeps the country it was written for, but is reported invalid
+  const match = classified.find(c => c.numberType) || fallback;
+
+  if (!match) return result;
+
+  const plan = NUMBERING_PLANS[match.region];
+  return {
+    ...result,
+    e164: `+${plan.callingCode}${match.nationalNumber}`,
+    valid: Boolean(match.numberType),
+    country: match.region,
+    countryName: plan.name,
+    callingCode: plan.callingCode,
+    nationalNumber: match.nationalNumber,
+    numberType: match.numberType || 'unknown',
+    isForeign: match.region !== userRegion,
+  };
+}
+
+function nationalCandidates(digits, region) {
+  const plan = NUMBERING_PLANS[region];
+  if (!plan) return [];
+
+  if (plan.trunkPrefix) {
+    if (!digits.startsWith(plan.trunkPrefix)) return [];
+    return [{ region, nationalNumber: digits.slice(plan.trunkPrefix.length) }];
+  }
+  return [{ region, nationalNumber: digits }];
+}
+
+function internationalCandidates(digits) {
+  return REGIONS_BY_CALLING_CODE
+    .filter(([callingCode]) => digits.startsWith(callingCode))
+    .map(([callingCode, region]) => {
+      let nationalNumber = digits.slice(callingCode.length);
+      // People often keep the trunk prefix after the country code: +886 0912...
+      const { trunkPrefix } = NUMBERING_PLANS[region];
+      if (trunkPrefix === '0' && nationalNumber.startsWith('0')) {
+        nationalNumber = nationalNumber.slice(1);
+      }
+      return { region, nationalNumber };
+    });
+}
+
+function classify(region, nationalNumber) {
+  const entry = NUMBERING_PLANS[region].types.find(([, pattern]) => pattern.test(nationalNumber));
+  return entry ? entry[0] : null;
+}
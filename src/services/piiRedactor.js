@@ -0,0 +1,177 @@
+/**
+ * PII Redactor
+ * Users paste messages that contain their own ID numbers, card numbers, accounts, emails
+ * and addresses. Before message text goes to a third-party LLM, each of these is replaced
+ * by a typed placeholder ("[CARD_1]"); the mapping stays on this server so placeholders
+ * the LLM echoes back can be restored in the response to the user.
+ *
+ * URLs and phone numbers are left alone: they are what the analysis is about.
+ */
+import config from '../config.js';
+
+// Entity types the parser already finds with offsets (see parser.js), and their placeholder names
+const PARSED_TYPES = { email: 'EMAIL', bank_account: 'ACCOUNT' };
+
+// Taiwan National ID / new-format ARC: a letter, 1/2 (citizen) or 8/9 (resident), 8 digits
+const TW_ID_PATTERN = /(?<![A-Za-z0-9])[A-Z][1289]\d{8}(?!\d)/g;
+// Letter values for the ID checksum (A=10 ... Z=33, not alphabetical after H)
+const TW_ID_LETTERS = 'ABCDEFGHJKLMNPQRSTUVXYWZIO';
+
+// 13-19 digits, optionally grouped with spaces or hyphens; must also pass Luhn
+const CARD_PATTERN = /(?<![\d-])[2-6]\d{3}(?:[ -]?\d){9,15}(?![\d-])/g;
+
+const TW_CITIES = '(?:台北|臺北|新北|桃園|台中|臺中|台南|臺南|高雄|基隆|新竹|嘉義|苗栗|彰化|南投|雲林|屏東|宜蘭|花蓮|台東|臺東|澎湖|金門|連江)[市縣]';
+const ADDRESS_PATTERNS = [
+  // 台北市信義區信義路五段7號3樓
+  new RegExp(`${TW_CITIES}(?:[\\u4e00-\\u9fff]{1,3}[區鄉鎮市])?(?:[\\u4e00-\\u9fff]{1,3}[村里])?(?:\\d+鄰)?[\\u4e00-\\u9fff\\d]{1,8}?(?:路|街|大道)(?:[一二三四五六七八九十\\d]段)?(?:\\d+巷)?(?:\\d+弄)?\\d+(?:之\\d+)?號(?:\\d+樓(?:之\\d+)?)?`, 'g'),
+  // No. 7, Sec. 5, Xinyi Rd., Xinyi Dist., Taipei City
+  /\bNo\.\s?\d+(?:-\d+)?,\s*(?:(?:Ln|Lane|Aly|Alley|Sec|Section)\.?\s*\d+,\s*)*[A-Z][A-Za-z ]{1,30}?\s(?:Rd|Road|St|Street|Blvd|Boulevard|Ave|Avenue)\b\.?(?:,\s*[A-Z][A-Za-z]+\s(?:Dist|District|City|County)\.?)*/g,
+];
+
+// Only names introduced by a label are recognized; bare names are not guessed
+const NAME_PATTERN = /(?:姓名|收件人|持卡人|戶名|\b(?:Name|Recipient|Cardholder))\s*[:：]\s*([\u4e00-\u9fff]{2,4}|[A-Z][a-z]+(?: [A-Z][a-z]+){1,2})/gd;
+
+// Earlier types win when matches overlap
+const TYPE_ORDER = ['TW_ID', 'CARD', 'ACCOUNT', 'EMAIL', 'ADDRESS', 'NAME'];
+
+/**
+ * @typedef {Object} Redaction
+ * @property {string} text - Message with every detected item replaced by its placeholder
+ * @property {boolean} applied - At least one item was redacted
+ * @property {Array<{type: string, placeholder: string, start: number, end: number}>} redactions -
+ *   What was replaced, with offsets into the original message
+ * @property {Object<string, string>} mapping - placeholder -> original text (keep it local)
+ */
+
+/**
+ * Replace personal data in a message with typed placeholders
+ * @param {string} message
+ * @param {Object} parsed - parseMessage() result for the same message (emails, bank accounts, URL spans)
+ * @param {Object} options
+ * @param {boolean} options.enabled - Defaults to config.redaction.enabled
+ * @returns {Redaction}
+ */
+export function redactPII(message = '', parsed = {}, { enabled = config.redaction.enabled } = {}) {
+  if (!enabled) return { text: message, applied: false, redactions: [], mapping: {} };
+
+  const entities = parsed.entities || [];
+  const candidates = [
+    ...entities.filter(e => PARSED_TYPES[e.type]).map(e => ({ type: PARSED_TYPES[e.type], start: e.start, end: e.end })),
+    ...matchAll(message, TW_ID_PATTERN, 'TW_ID', isValidTaiwanId),
+    ...matchAll(message, CARD_PATTERN, 'CARD', text => passesLuhn(text.replace(/\D/g, ''))),
+    ...ADDRESS_PATTERNS.flatMap(pattern => matchAll(message, pattern, 'ADDRESS')),
+    ...[...message.matchAll(NAME_PATTERN)].map(m => ({ type: 'NAME', start: m.indices[1][0], end: m.indices[1][1] })),
+  ];
+
+  // Never redact inside a URL: the link has to reach the URL checks and the LLM intact
+  const urlSpans = entities.filter(e => e.type === 'url');
+  const accepted = [];
+  candidates
+    .filter(c => !urlSpans.some(u => overlaps(u, c)))
+    .sort((a, b) => TYPE_ORDER.indexOf(a.type) - TYPE_ORDER.indexOf(b.type) || a.start - b.start)
+    .forEach(candidate => {
+      if (!accepted.some(a => overlaps(a, candidate))) accepted.push(candidate);
+    });
+  accepted.sort((a, b) => a.start - b.start);
+
+  // The same value gets the same placeholder wherever it appears
+  const mapping = {};
+  const placeholders = new Map();
+  const counters = {};
+  const redactions = accepted.map(({ type, start, end }) => {
+    const original = message.slice(start, end);
+    const key = `${type}:${original}`;
+    if (!placeholders.has(key)) {
+      counters[type] = (counters[type] || 0) + 1;
+      const placeholder = `[${type}_${counters[type]}]`;
+      placeholders.set(key, placeholder);
+      mapping[placeholder] = original;
+    }
+    return { type, placeholder: placeholders.get(key), start, end };
+  });
+
+  let text = '';
+  let cursor = 0;
+  for (const { placeholder, start, end } of redactions) {
+    text += message.slice(cursor, start) + placeholder;
+    cursor = end;
+  }
+  text += message.slice(cursor);
+
+  return { text, applied: redactions.length > 0, redactions, mapping };
+}
+
+/**
+ * Redact a value shown to the LLM outside the message text, e.g. an entry of parsed.emails
+ * or parsed.bankAccounts (matched with and without separators)
+ * @param {string} value
+ * @param {Redaction} redaction
+ */
+export function redactValue(value, redaction) {
+  if (!value || !redaction?.applied) return value;
+  const compact = text => text.replace(/[-\s]/g, '').toLowerCase();
+  const found = Object.entries(redaction.mapping).find(([, original]) => original === value || compact(original) === compact(value));
+  return found ? found[0] : value;
+}
+
+/**
+ * Put the originals back into placeholders found in LLM output (strings, arrays and objects)
+ * @param {*} value
+ * @param {Redaction} redaction
+ */
+export function restorePII(value, redaction) {
+  if (!redaction?.applied) return value;
+  if (typeof value === 'string') {
+    return value.replace(/\[(?:TW_ID|CARD|ACCOUNT|EMAIL|ADDRESS|NAME)_\d+\]/g, placeholder => redaction.mapping[placeholder] ?? placeholder);
+  }
+  if (Array.isArray(value)) return value.map(item => restorePII(item, redaction));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, restorePII(item, redaction)]));
+  }
+  return value;
+}
+
+/**
+ * What was redacted, without the originals, for response metadata
+ * @param {Redaction} redaction
+ */
+export function summarizeRedaction(redaction) {
+  const counts = {};
+  for (const { type } of redaction.redactions) counts[type] = (counts[type] || 0) + 1;
+  return {
+    applied: redaction.applied,
+    counts,
+    redactions: redaction.redactions,
+  };
+}
+
+function matchAll(text, pattern, type, isValid = () => true) {
+  return [...text.matchAll(pattern)]
+    .filter(m => isValid(m[0]))
+    .map(m => ({ type, start: m.index, end: m.index + m[0].length }));
+}
+
+function overlaps(a, b) {
+  return a.start < b.end && b.start < a.end;
+}
+
+function isValidTaiwanId(id) {
+  const letterValue = TW_ID_LETTERS.indexOf(id[0]) + 10;
+  const digits = [Math.floor(letterValue / 10), letterValue % 10, ...id.slice(1).split('').map(Number)];
+  const weights = [1, 9, 8, 7, 6, 5, 4, 3, 2, 1, 1];
+  return digits.reduce((sum, digit, i) => sum + digit * weights[i], 0) % 10 === 0;
+}
+
+function passesLuhn(digits) {
+  if (digits.length < 13 || digits.length > 19) return false;
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
@@ -0,0 +1,138 @@
+/**
+ * Privacy Mode
+ * Chooses the providers for one analysis. In 'local' mode message content never leaves
+ * this server: URLs are judged by the local block/allowlists, lookalike and homograph
+ * checks only (no Safe Browsing, no short-link expansion, no landing-page fetches), phone
+ * numbers by the offline numbering plan (no Twilio), and the content by a local model
+ * (PRIVACY_LOCAL_LLM=on) or the heuristic analyzer, with the rule-based report.
+ * The ML model receives the full feature vector when it runs in-process or on this machine;
+ * a model service on another host gets no message text or analysis text (the text it would
+ * turn into TF-IDF features itself, see featureRegistry.js). Where it ran is only known
+ * after the prediction (see withModelSignal).
+ */
+import config from '../config.js';
+import { URL_PROVIDERS } from './urlIntel.js';
+import { PHONE_PROVIDERS } from './phoneIntel.js';
+import { getLlmClient } from './llmClient.js';
+import { analyzeWithOpenAI } from './openaiCheck.js';
+import { analyzeHeuristically } from './heuristicAnalyzer.js';
+import { isModelServiceLocal } from './xgboostService.js';
+
+export const PRIVACY_MODES = ['standard', 'local'];
+
+// Computed on this server in every mode
+const ALWAYS_LOCAL = ['entity_parsing', 'url_lists', 'brand_lookalike', 'idn_homograph', 'url_lexical', 'prompt_injection'];
+
+/**
+ * Mode for one request: PRIVACY_MODE=local applies to every request, otherwise the
+ * request's own `privacy` value decides
+ * @param {string} requested - 'standard', 'local' or empty
+ * @returns {'standard'|'local'|null} null when the requested value is not a mode
+ */
+export function resolvePrivacyMode(requested) {
+  if (requested && !PRIVACY_MODES.includes(requested)) return null;
+  return config.privacy.mode === 'local' || requested === 'local' ? 'local' : 'standard';
+}
+
+/**
+ * @typedef {Object} AnalysisPipeline
+ * @property {'standard'|'local'} mode
+ * @property {Object} urlOptions - Options for checkUrls()
+ * @property {Object} phoneOptions - Options for lookupPhone()
+ * @property {Object} pageOptions - Options for inspectLandingPages()
+ * @property {Object} modelOptions - Options for predictScamProbability()
+ * @property {Object|null|undefined} llm - LLM for generateExplainedReport(); null means the rule-based report
+ * @property {Function} analyzeContent - (content, { lang }) => Promise of the content analysis (analyzeWithOpenAI() shape)
+ * @property {{ mode: string, local: string[], external: string[], skipped: string[] }} signals -
+ *   Which signals are computed on this server, which call an outside service, and which are not computed
+ */
+
+/**
+ * Providers for a privacy mode
+ * @param {'standard'|'local'} mode
+ * @returns {AnalysisPipeline}
+ */
+export function createPipeline(mode) {
+  if (mode !== 'local') {
+    return {
+      mode,
+      urlOptions: {},
+      phoneOptions: {},
+      pageOptions: {},
+      modelOptions: {},
+      llm: undefined,
+      analyzeContent: (content, { lang } = {}) => analyzeWithOpenAI(content, { lang }),
+      signals: describeStandardSignals(),
+    };
+  }
+
+  const llm = localLlm();
+  return {
+    mode,
+    urlOptions: {
+      providers: config.urlIntel.providers.map(name => URL_PROVIDERS[name]).filter(provider => provider && provider.kind !== 'reputation'),
+      redirectMode: 'off',
+    },
+    phoneOptions: { providers: [PHONE_PROVIDERS.offline] },
+    pageOptions: { enabled: false },
+    modelOptions: { shareText: false },
+    llm,
+    analyzeContent: llm
+      ? (content, { lang } = {}) => analyzeWithOpenAI(content, { llm, lang })
+      : async (content, { lang } = {}) => analyzeHeuristically(content, { lang }),
+    signals: {
+      mode,
+      local: [
+        ...ALWAYS_LOCAL,
+        'phone_numbering_plan',
+        ...(llm ? ['llm_content_analysis', 'llm_explanation'] : ['heuristic_content_analysis', 'rule_based_explanation']),
+      ],
+      external: [],
+      skipped: ['safe_browsing', 'short_link_expansion', 'landing_page_inspection', 'twilio_lookup', ...(llm ? [] : ['llm_content_analysis', 'llm_explanation'])],
+    },
+  };
+}
+
+/**
+ * Add the ML model to a pipeline's signals once the prediction says where it ran: in-process
+ * or a model service on this machine is local, a model service on another host is external,
+ * and no prediction is skipped
+ * @param {Object} signals - AnalysisPipeline.signals
+ * @param {Object} mlResult - From predictScamProbability(); engine is 'local' or 'remote'
+ * @returns {Object} New signals object
+ */
+export function withModelSignal(signals, mlResult) {
+  const list = !mlResult?.available ? 'skipped' : mlResult.engine === 'local' || isModelServiceLocal() ? 'local' : 'external';
+  return { ...signals, [list]: [...signals[list], 'ml_model'] };
+}
+
+
+// The configured LLM counts as local only when the operator says so and it is not OpenAI's API
+function localLlm() {
+  if (!config.privacy.localLlm) return null;
+  if (!['openai-compatible', 'mock'].includes(config.llm.provider)) {
+    console.warn(`⚠️ PRIVACY_LOCAL_LLM=on ignored: LLM provider "${config.llm.provider}" is not a local model`);
+    return null;
+  }
+  return getLlmClient();
+}
+
+function describeStandardSignals() {
+  const local = [...ALWAYS_LOCAL];
+  const external = [];
+  const skipped = [];
+  const add = (signal, enabled, list = external) => (enabled ? list : skipped).push(signal);
+
+  add('safe_browsing', config.urlIntel.providers.includes('safebrowsing') && URL_PROVIDERS.safebrowsing.isConfigured());
+  add('short_link_expansion', config.redirects.mode !== 'off');
+  add('landing_page_inspection', config.pageInspection.enabled);
+  add('twilio_lookup', config.phoneIntelProviders.includes('twilio') && PHONE_PROVIDERS.twilio.isConfigured());
+  add('phone_numbering_plan', config.phoneIntelProviders.includes('offline'), local);
+
+  const llmConfigured = getLlmClient().isConfigured();
+  add('llm_content_analysis', llmConfigured);
+  add('llm_explanation', llmConfigured);
+  if (!llmConfigured) local.push('rule_based_explanation');
+
+  return { mode: 'standard', local, external, skipped };
+}
@@ -0,0 +1,66 @@
+/**
+ * Public Suffix Lookup
+ * Split a hostname into public suffix and registrable domain, e.g.
+ * "login.bank.com.tw" -> suffix "com.tw", registrable domain "bank.com.tw"
+ */
+import { ICANN_SUFFIXES, PRIVATE_SUFFIXES } from '../data/publicSuffixes.js';
+import { canonicalizeHost } from './urlCanonicalizer.js';
+
+const SUFFIXES = new Set([...ICANN_SUFFIXES, ...PRIVATE_SUFFIXES]);
+
+/**
+ * Longest public suffix of a hostname (single-label TLDs are always suffixes)
+ * @param {string} hostname
+ * @returns {string|null} e.g. "com.tw"; null for IP addresses
+ */
+export function getPublicSuffix(hostname) {
+  const host = canonicalizeHost(hostname || '');
+  if (!host || isIPAddress(host)) return null;
+
+  const labels = host.split('.');
+  for (let i = 0; i < labels.length - 1; i++) {
+    const candidate = labels.slice(i).join('.');
+    if (SUFFIXES.has(candidate)) return candidate;
+  }
+  return labels[labels.length - 1];
+}
+
+/**
+ * Registrable domain: the public suffix plus one label
+ * @param {string} hostname
+ * @returns {string|null} e.g. "bank.com.tw"; the address itself for IPs; null if the host is a public suffix
+ */
+export function getRegistrableDomain(hostname) {
+  const host = canonicalizeHost(hostname || '');
+  if (!host) return null;
+  if (isIPAddress(host)) return host;
+
+  const suffix = getPublicSuffix(host);
+  if (host === suffix) return null;
+
+  const labels = host.slice(0, -(suffix.length + 1)).split('.');
+  return `${labels[labels.length - 1]}.${suffix}`;
+}
+
+/**
+ * Hostname suffixes from the full host down to its registrable domain
+ * e.g. "a.b.bank.com.tw" -> ["a.b.bank.com.tw", "b.bank.com.tw", "bank.com.tw"]
+ */
+export function getDomainCandidates(hostname) {
+  const host = canonicalizeHost(hostname || '');
+  const registrable = getRegistrableDomain(host);
+  if (!registrable) return [];
+  if (isIPAddress(host)) return [host];
+
+  const labels = host.split('.');
+  const depth = registrable.split('.').length;
+  const candidates = [];
+  for (let i = 0; i <= labels.length - depth; i++) {
+    candidates.push(labels.slice(i).join('.'));
+  }
+  return candidates;
+}
+
+export function isIPAddress(host) {
+  return /^\d{1,3}(\.\d{1,3}){3}$/.test(host) || host.includes(':');
+}
@@ -0,0 +1,326 @@
+/**
+ * Redirect Resolver
+ * Follow a link the way a victim's phone would (HTTP redirects, meta refresh,
+ * JavaScript location changes) and record every hop, so the reputation checks
+ * see where a short link really goes.
+ *
+ * SSRF guards: only http/https, every hop's host must resolve to public addresses
+ * only, and the connection goes to the address that was checked (no DNS rebinding).
+ * Every hop has a timeout and only the first bytes of a page are read.
+ */
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import config from '../config.js';
+import { URL_SHORTENERS } from '../data/urlShorteners.js';
+
+const USER_AGENT = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1';
+
+/**
+ * @typedef {Object} RedirectChain
+ * @property {string} url - URL as found in the message
+ * @property {string} finalUrl - Last URL reached
+ * @property {Array} hops - Every URL visited, in order: { url, status, method, type, error }
+ *   where type is how the NEXT hop was reached: 'http' (3xx Location), 'meta-refresh', 'javascript', or null for the last hop
+ * @property {string[]} hosts - Distinct hosts along the chain, in order
+ * @property {boolean} redirected - finalUrl differs from url
+ * @property {string|null} stoppedReason - Why resolution ended early: 'max_hops', 'loop', 'blocked_scheme',
+ *   'blocked_address', 'timeout', 'error'; null when the chain reached a page that does not redirect
+ */
+
+/**
+ * Should this URL be expanded? Depends on config.redirects.mode:
+ * 'shortlinks' (default) only known shortener hosts, 'all' every URL, 'off' none
+ */
+export function shouldResolve(url, mode = config.redirects.mode) {
+  if (mode === 'all') return true;
+  if (mode !== 'shortlinks') return false;
+  return isShortenerUrl(url);
+}
+
+export function isShortenerUrl(url) {
+  try {
+    const hostname = new URL(url).hostname.toLowerCase();
+    return URL_SHORTENERS.some(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Follow redirects from a URL
+ * @param {string} url
+ * @param {Object} options
+ * @param {number} options.maxHops - Maximum redirects to follow
+ * @param {number} options.timeoutMs - Timeout per request
+ * @param {number} options.maxBodyBytes - Bytes of a page read when looking for meta refresh / JS redirects
+ * @param {boolean} options.allowPrivateNetworks - Allow loopback / private addresses (local test servers only)
+ * @returns {Promise<RedirectChain>}
+ */
+export async function resolveRedirects(url, {
+  maxHops = config.redirects.maxHops,
+  timeoutMs = config.redirects.timeoutMs,
+  maxBodyBytes = config.redirects.maxBodyBytes,
+  allowPrivateNetworks = false,
+} = {}) {
+  const hops = [];
+  let current = url;
+  let stoppedReason = null;
+
+  while (true) {
+    let target;
+    try {
+      target = new URL(current);
+    } catch {
+      hops.push({ url: current, status: null, method: null, type: null, error: 'Invalid URL' });
+      stoppedReason = 'error';
+      break;
+    }
+
+    if (!['http:', 'https:'].includes(target.protocol)) {
+      hops.push({ url: current, status: null, method: null, type: null, error: `Scheme ${target.protocol} not followed` });
+      stoppedReason = 'blocked_scheme';
+      break;
+    }
+
+    let response;
+    try {
+      const address = await resolvePublicAddress(target.hostname, allowPrivateNetworks);
+      response = await fetchHop(target, address, { timeoutMs, maxBodyBytes });
+    } catch (error) {
+      hops.push({ url: current, status: null, method: null, type: null, error: error.message });
+      stoppedReason = error.code === 'BLOCKED_ADDRESS' ? 'blocked_address' : error.code === 'TIMEOUT' ? 'timeout' : 'error';
+      break;
+    }
+
+    const next = findNextHop(response, target);
+    hops.push({ url: current, status: response.status, method: response.method, type: next?.type || null, error: null });
+    if (!next) break;
+
+    if (hops.length > maxHops) {
+      stoppedReason = 'max_hops';
+      break;
+    }
+    if (hops.some(hop => hop.url === next.url)) {
+      stoppedReason = 'loop';
+      break;
+    }
+    current = next.url;
+  }
+
+  const finalUrl = hops[hops.length - 1].url;
+  return {
+    url,
+    finalUrl,
+    hops,
+    hosts: [...new Set(hops.map(hop => hostOf(hop.url)).filter(Boolean))],
+    redirected: finalUrl !== url,
+    stoppedReason,
+  };
+}
+
+/**
+ * GET one page under the same SSRF guards, time limit and size limit as redirect hops
+ * Redirects are not followed; pass the chain's finalUrl to read a landing page.
+ * @param {string} url
+ * @param {Object} options - timeoutMs, maxBodyBytes, allowPrivateNetworks (see resolveRedirects)
+ * @returns {Promise<Object>} { url, status, headers, body }; rejects on blocked schemes or addresses, timeouts and network errors
+ */
+export async function fetchPage(url, {
+  timeoutMs = config.redirects.timeoutMs,
+  maxBodyBytes = config.redirects.maxBodyBytes,
+  allowPrivateNetworks = false,
+} = {}) {
+  const target = new URL(url);
+  if (!['http:', 'https:'].includes(target.protocol)) {
+    const error = new Error(`Scheme ${target.protocol} not followed`);
+    error.code = 'BLOCKED_SCHEME';
+    throw error;
+  }
+
+  const address = await resolvePublicAddress(target.hostname, allowPrivateNetworks);
+  const response = await request('GET', target, address, { timeoutMs, maxBodyBytes });
+  return { url: target.href, status: response.status, headers: response.headers, body: response.body };
+}
+
+// Addresses we must never connect to. IPv6 forms that embed an IPv4 address (mapped,
+// compatible, NAT64, 6to4, Teredo) are blocked whole: URL parsing rewrites
+// [::ffff:127.0.0.1] to [::ffff:7f00:1], and a NAT64 or 6to4 gateway would forward
+// to whatever IPv4 address is inside. One list per family: a BlockList also matches IPv4
+// addresses against the IPv4-mapped IPv6 range.
+const BLOCKED_IPV4 = new net.BlockList();
+const BLOCKED_IPV6 = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.88.99.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([network, prefix]) => BLOCKED_IPV4.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 96], // unspecified, loopback and IPv4-compatible
+  ['::ffff:0:0', 96], // IPv4-mapped
+  ['64:ff9b::', 96], // NAT64
+  ['64:ff9b:1::', 48], // local-use NAT64
+  ['2001::', 32], // Teredo
+  ['2001:db8::', 32], // documentation
+  ['2002::', 16], // 6to4
+  ['fc00::', 7], // unique local
+  ['fe80::', 10], // link-local
+  ['ff00::', 8], // multicast
+].forEach(([network, prefix]) => BLOCKED_IPV6.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Is this an address we must never connect to? (loopback, private, link-local, CGNAT,
+ * multicast, reserved, and IPv6 forms that embed an IPv4 address)
+ */
+export function isBlockedAddress(address) {
+  const host = address.replace(/^\[|\]$/g, '').replace(/%.*$/, '');
+  const family = net.isIP(host);
+  if (family === 4) return BLOCKED_IPV4.check(host, 'ipv4');
+  return family === 6 && BLOCKED_IPV6.check(host, 'ipv6');
+}
+
+async function resolvePublicAddress(hostname, allowPrivateNetworks) {
+  const host = hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(host)
+    ? [{ address: host, family: net.isIP(host) }]
+    : await dns.promises.lookup(host, { all: true });
+
+  if (!allowPrivateNetworks) {
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+    if (blocked) {
+      const error = new Error(`${hostname} resolves to a non-public address (${blocked.address})`);
+      error.code = 'BLOCKED_ADDRESS';
+      throw error;
+    }
+  }
+  return addresses[0];
+}
+
+// HEAD first; GET when HEAD is refused or the page itself may redirect (HTML with 200)
+async function fetchHop(target, address, options) {
+  let response;
+  try {
+    response = await request('HEAD', target, address, options);
+  } catch (error) {
+    if (error.code === 'TIMEOUT') throw error;
+  }
+
+  const headRedirect = response && response.status >= 300 && response.status < 400 && response.headers.location;
+  if (headRedirect) return response;
+
+  const mayRedirectInPage = !response || response.status >= 400 || /html/i.test(response.headers['content-type'] || '');
+  if (!mayRedirectInPage) return response;
+
+  return request('GET', target, address, options);
+}
+
+function request(method, target, address, { timeoutMs, maxBodyBytes }) {
+  const client = target.protocol === 'https:' ? https : http;
+
+  return new Promise((resolve, reject) => {
+    // The socket timeout below only fires when the server goes quiet; a server dripping one
+    // byte at a time would hold the hop open, so the whole request has a deadline too
+    const timeout = () => {
+      const error = new Error(`Timed out after ${timeoutMs}ms`);
+      error.code = 'TIMEOUT';
+      fail(error);
+      req.destroy(error);
+    };
+    const deadline = setTimeout(timeout, timeoutMs);
+    const succeed = response => {
+      clearTimeout(deadline);
+      resolve(response);
+    };
+    const fail = error => {
+      clearTimeout(deadline);
+      reject(error);
+    };
+
+    const req = client.request(target, {
+      method,
+      headers: { 'User-Agent': USER_AGENT, Accept: 'text/html,*/*' },
+      // Connect to the address that passed the SSRF check, not whatever DNS says now
+      lookup: (hostname, opts, callback) => {
+        if (opts?.all) callback(null, [address]);
+        else callback(null, address.address, address.family);
+      },
+      // Only headers and the start of the page are read; scam hosts often have broken certificates
+      rejectUnauthorized: false,
+      timeout: timeoutMs,
+    }, res => {
+      const chunks = [];
+      let size = 0;
+      const finish = () => succeed({
+        method,
+        status: res.statusCode,
+        headers: res.headers,
+        body: Buffer.concat(chunks).toString('utf8'),
+      });
+
+      if (method === 'HEAD') {
+        res.resume();
+        finish();
+        return;
+      }
+
+      res.on('data', chunk => {
+        chunks.push(chunk);
+        size += chunk.length;
+        if (size >= maxBodyBytes) {
+          res.destroy();
+          finish();
+        }
+      });
+      res.on('end', finish);
+      res.on('error', fail);
+    });
+
+    req.on('timeout', timeout);
+    req.on('error', fail);
+    req.end();
+  });
+}
+
+function findNextHop(response, base) {
+  if (response.status >= 300 && response.status < 400 && response.headers.location) {
+    return toHop(response.headers.location, base, 'http');
+  }
+
+  if (!response.body || response.status >= 400) return null;
+
+  const metaRefresh = findMetaRefresh(response.body);
+  if (metaRefresh) return toHop(metaRefresh, base, 'meta-refresh');
+
+  const jsLocation = response.body.match(/(?:window\.|document\.|top\.|self\.)?location(?:\.href)?\s*=\s*["'`]([^"'`]+)["'`]/)
+    || response.body.match(/location\.(?:replace|assign)\(\s*["'`]([^"'`]+)["'`]\s*\)/);
+  if (jsLocation) return toHop(jsLocation[1], base, 'javascript');
+
+  return null;
+}
+
+function findMetaRefresh(html) {
+  for (const tag of html.match(/<meta\b[^>]*>/gi) || []) {
+    if (!/http-equiv\s*=\s*["']?refresh/i.test(tag)) continue;
+    const content = tag.match(/content\s*=\s*(["'])(.*?)\1/i)?.[2] || tag.match(/content\s*=\s*([^\s>]+)/i)?.[1];
+    const target = content?.match(/url\s*=\s*['"]?([^'"]+)/i);
+    if (target) return target[1].trim();
+  }
+  return null;
+}
+
+function toHop(location, base, type) {
+  try {
+    return { url: new URL(location.trim(), base).href, type };
+  } catch {
+    return null;
+  }
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname;
+  } catch {
+    return null;
+  }
+}
@@ -1,45 +1,172 @@
 import axios from 'axios';
 import config from '../config.js';
+import { canonicalizeUrl } from './urlCanonicalizer.js';
+import { getCachedVerdict, setCachedVerdict } from './urlCache.js';
+import { checkUrlWithUpdateApi, parseDuration, SAFE_BROWSING_CLIENT, THREAT_TYPES } from './safeBrowsingUpdate.js';
+
+// threatMatches:find accepts at most 500 threat entries per request
+const MAX_ENTRIES_PER_REQUEST = 500;
+
+/**
+ * @typedef {Object} UrlVerdict
+ * @property {string} url - URL as passed in
+ * @property {boolean} isSafe - false only when Safe Browsing matched the URL
+ * @property {string|null} threatType - First match, e.g. "SOCIAL_ENGINEERING", "MALWARE"
+ * @property {string|null} platformType - Platform of the first match, e.g. "ANY_PLATFORM"
+ * @property {number|null} cacheDuration - Seconds the match may be cached (unsafe verdicts only)
+ * @property {Array} threats - Every match: { threatType, platformType, threatEntryType, threat: { url }, cacheDuration }
+ * @property {string} source - 'lookup' or 'update' (SAFE_BROWSING_MODE)
+ * @property {boolean} [cached] - Served from the local verdict cache (lookup mode)
+ * @property {string} [error] - Why the URL could not be checked; isSafe is then true (unknown)
+ */
 
 /**
- * Check URL safety using Google Safe Browsing Lookup API v4
+ * Check URL safety using Google Safe Browsing v4
+ * SAFE_BROWSING_MODE=lookup (default) sends the URL to the Lookup API, with verdicts
+ * cached locally (see urlCache.js; cached results carry cached: true).
+ * SAFE_BROWSING_MODE=update checks a local hash-prefix database instead (see safeBrowsingUpdate.js).
+ * @returns {Promise<UrlVerdict|null>}
  */
 export async function checkUrlSafety(url) {
   if (!url) return null;
 
-  try {
-    const apiKey = config.googleSafeBrowsingApiKey;
-    
-    if (!apiKey) {
-      console.warn('⚠️ Google Safe Browsing API Key not configured');
-      return { isSafe: true, threatType: null, error: 'API Key not configured' };
+  const [verdict] = await checkUrlsSafety([url]);
+  return verdict;
+}
+
+/**
+ * Check several URLs (e.g. every URL in a message) at once. In lookup mode all URLs
+ * missing from the cache go out in a single threatMatches:find request.
+ * @param {string[]} urls
+ * @returns {Promise<UrlVerdict[]>} One verdict per URL, in the same order
+ */
+export async function checkUrlsSafety(urls) {
+  if (!urls || urls.length === 0) return [];
+
+  const apiKey = config.googleSafeBrowsingApiKey;
+
+  if (!apiKey) {
+    console.warn('⚠️ Google Safe Browsing API Key not configured');
+    return urls.map(url => unknownVerdict(url, 'API Key not configured'));
+  }
+
+  if (config.safeBrowsing.mode === 'update') {
+    return Promise.all(urls.map(async url => {
+      try {
+        return await checkUrlWithUpdateApi(url);
+      } catch (error) {
+        console.error('❌ Safe Browsing update-mode error:', error.message);
+        return unknownVerdict(url, error.message, 'update');
+      }
+    }));
+  }
+
+  const verdicts = new Array(urls.length);
+  const pending = new Map(); // canonical URL -> indices of urls still to look up
+
+  urls.forEach((url, index) => {
+    const cached = getCachedVerdict(url);
+    if (cached) {
+      verdicts[index] = { ...cached, url };
+      return;
     }
+    const key = canonicalizeUrl(url) || url;
+    if (!pending.has(key)) pending.set(key, []);
+    pending.get(key).push(index);
+  });
+
+  const keys = [...pending.keys()];
+  for (let i = 0; i < keys.length; i += MAX_ENTRIES_PER_REQUEST) {
+    const batch = keys.slice(i, i + MAX_ENTRIES_PER_REQUEST);
+    const results = await lookupUrls(batch.map(key => urls[pending.get(key)[0]]), apiKey);
+
+    batch.forEach((key, j) => {
+      const result = results[j];
+      setCachedVerdict(result.url, result, result.cacheDuration ?? undefined);
+      for (const index of pending.get(key)) {
+        verdicts[index] = { ...result, url: urls[index] };
+      }
+    });
+  }
+
+  return verdicts;
+}
+
+/**
+ * Call the Lookup API once for a batch of URLs and split the matches back per URL
+ */
+async function lookupUrls(urls, apiKey) {
+  try {
+    const endpoint = `${config.safeBrowsing.apiBaseUrl}/threatMatches:find?key=${apiKey}`;
 
-    const endpoint = `https://safebrowsing.googleapis.com/v4/threatMatches:find?key=${apiKey}`;
-    
     const requestBody = {
-      client: {
-        clientId: "hackthesource",
-        clientVersion: "1.0.0"
-      },
+      client: SAFE_BROWSING_CLIENT,
       threatInfo: {
-        threatTypes: ["MALWARE", "SOCIAL_ENGINEERING", "UNWANTED_SOFTWARE", "POTENTIALLY_HARMFUL_APPLICATION"],
+        threatTypes: THREAT_TYPES,
         platformTypes: ["ANY_PLATFORM"],
         threatEntryTypes: ["URL"],
-        threatEntries: [{ url }]
+        threatEntries: urls.map(url => ({ url }))
       }
     };
 
-    const response = await axios.post(endpoint, requestBody);
+    const response = await axios.post(endpoint, requestBody, { timeout: config.safeBrowsing.timeoutMs });
+    const matches = response.data.matches || [];
+
+    return urls.map(url => {
+      const threats = matches
+        .filter(match => match.threat?.url === url)
+        .map(match => ({ ...match, cacheDuration: parseDuration(match.cacheDuration) }));
+
+      if (threats.length === 0) {
+        return { url, isSafe: true, threatType: null, platformType: null, cacheDuration: null, threats, source: 'lookup' };
+      }
+
+      return {
+        url,
+        isSafe: false,
+        threatType: threats[0].threatType,
+        platformType: threats[0].platformType,
+        cacheDuration: shortestDuration(threats),
+        threats,
+        source: 'lookup',
+      };
+    });
 
-    return {
-      raw: response.data,
-      isSafe: !response.data.matches || response.data.matches.length === 0,
-      threats: response.data.matches || []
-    };
-    
   } catch (error) {
     console.error('❌ Safe Browsing API error:', error.message);
-    return { isSafe: true, threatType: null, error: error.message };
+    return urls.map(url => unknownVerdict(url, error.message));
   }
 }
+
+function shortestDuration(threats) {
+  const durations = threats.map(threat => threat.cacheDuration).filter(duration => duration !== null);
+  return durations.length > 0 ? Math.min(...durations) : null;
+}
+
+function unknownVerdict(url, error, source = 'lookup') {
+  return { url, isSafe: true, threatType: null, platformType: null, cacheDuration: null, threats: [], source, error };
+}
+
+/**
+ * URL-intel provider backed by Safe Browsing
+ * Used through urlIntel.js, which merges it with the local lists into one verdict
+ */
+export const safeBrowsingProvider = {
+  name: 'safebrowsing',
+  kind: 'reputation',
+
+  isConfigured() {
+    return Boolean(config.googleSafeBrowsingApiKey);
+  },
+
+  async check(urls) {
+    const verdicts = await checkUrlsSafety(urls);
+    return verdicts.map(verdict => ({
+      verdict: verdict.error ? 'unknown' : verdict.isSafe ? 'clean' : 'malicious',
+      threatType: verdict.threatType,
+      detail: verdict.isSafe ? null : `Google Safe Browsing: ${verdict.threatType}`,
+      error: verdict.error || null,
+      safeBrowsing: verdict,
+    }));
+  },
+};
@@ -0,0 +1,376 @@
+/**
+ * Safe Browsing Update API (v4) backend
+ * Keeps a local database of SHA-256 hash prefixes of unsafe URL expressions, so most
+ * URLs are checked without leaving the machine. Google only sees a 4-byte prefix,
+ * and only when it matches the local database (to confirm with full hashes).
+ *
+ * The API base URL is configurable (SAFE_BROWSING_API_URL) so a local stand-in
+ * server can play Google's part in tests.
+ */
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import axios from 'axios';
+import config from '../config.js';
+import { canonicalizeUrl, getUrlExpressions } from './urlCanonicalizer.js';
+
+export const SAFE_BROWSING_CLIENT = {
+  clientId: 'hackthesource',
+  clientVersion: '1.0.0',
+};
+
+export const THREAT_TYPES = ['MALWARE', 'SOCIAL_ENGINEERING', 'UNWANTED_SOFTWARE', 'POTENTIALLY_HARMFUL_APPLICATION'];
+
+const PLATFORM_TYPE = 'ANY_PLATFORM';
+const THREAT_ENTRY_TYPE = 'URL';
+const DEFAULT_WAIT_SECONDS = 1800;
+const MAX_BACKOFF_SECONDS = 24 * 3600;
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * Create a hash-prefix database
+ * @param {Object} options
+ * @param {string} options.apiKey - Safe Browsing API key
+ * @param {string} options.apiBaseUrl - e.g. "https://safebrowsing.googleapis.com/v4" or a local stand-in
+ * @param {string|null} options.databaseFile - JSON file to persist lists in (null keeps them in memory)
+ * @param {string[]} options.threatTypes - Lists to keep, one per threat type
+ * @returns {Object} { check(url), update(), ensureFresh(), getStats() }
+ */
+export function createHashPrefixDatabase({
+  apiKey,
+  apiBaseUrl,
+  databaseFile = null,
+  threatTypes = THREAT_TYPES,
+} = {}) {
+  const lists = new Map(); // "THREAT/PLATFORM/ENTRY" -> { threatType, platformType, threatEntryType, state, prefixes }
+  const prefixIndex = new Map(); // hex prefix -> list keys containing it
+  const prefixLengths = new Set();
+  const fullHashCache = new Map(); // hex full hash -> { threatType, platformType, threatEntryType, expiresAt }
+  const negativeCache = new Map(); // hex prefix -> expiresAt
+  const stats = { updates: 0, updateErrors: 0, checks: 0, prefixHits: 0, fullHashRequests: 0, lastUpdateAt: null };
+
+  let nextUpdateAt = 0;
+  let backoffSeconds = 0;
+  let updating = null;
+
+  for (const threatType of threatTypes) {
+    const list = { threatType, platformType: PLATFORM_TYPE, threatEntryType: THREAT_ENTRY_TYPE, state: '', prefixes: [] };
+    lists.set(listKey(list), list);
+  }
+  loadDatabase();
+
+  /**
+   * Check one URL against the local database, confirming prefix hits with fullHashes:find
+   * @returns {Promise<UrlVerdict>} With prefixMatch: whether the local database matched at all
+   */
+  async function check(url) {
+    stats.checks++;
+    const canonical = canonicalizeUrl(url);
+    if (!canonical) {
+      return { ...safeVerdict(url), prefixMatch: false, error: 'Unparseable URL' };
+    }
+
+    const hashes = getUrlExpressions(canonical).map(expression => ({ expression, hash: sha256Hex(expression) }));
+    const hits = [];
+    for (const { expression, hash } of hashes) {
+      for (const length of prefixLengths) {
+        const prefix = hash.slice(0, length * 2);
+        if (prefixIndex.has(prefix)) hits.push({ expression, hash, prefix });
+      }
+    }
+
+    if (hits.length === 0) {
+      return { ...safeVerdict(url), prefixMatch: false };
+    }
+    stats.prefixHits++;
+
+    const now = Date.now();
+    const unresolved = [...new Set(hits
+      .filter(hit => !fresh(fullHashCache.get(hit.hash), now) && !(negativeCache.get(hit.prefix) > now))
+      .map(hit => hit.prefix))];
+
+    let error;
+    if (unresolved.length > 0) {
+      try {
+        await findFullHashes(unresolved);
+      } catch (err) {
+        console.error('❌ Safe Browsing fullHashes:find error:', err.message);
+        error = err.message;
+      }
+    }
+
+    const threats = [];
+    const checkedAt = Date.now();
+    for (const hit of hits) {
+      const match = fullHashCache.get(hit.hash);
+      if (fresh(match, checkedAt)) {
+        threats.push({
+          threatType: match.threatType,
+          platformType: match.platformType,
+          threatEntryType: match.threatEntryType,
+          threat: { url: hit.expression },
+          cacheDuration: Math.round((match.expiresAt - checkedAt) / 1000),
+        });
+      }
+    }
+
+    if (threats.length === 0) {
+      // A prefix hit alone is not proof; if it could not be confirmed, say so rather than flag the URL
+      return { ...safeVerdict(url), prefixMatch: true, ...(error ? { error } : {}) };
+    }
+
+    return {
+      url,
+      isSafe: false,
+      threatType: threats[0].threatType,
+      platformType: threats[0].platformType,
+      cacheDuration: Math.min(...threats.map(threat => threat.cacheDuration)),
+      threats,
+      prefixMatch: true,
+      source: 'update',
+    };
+  }
+
+  /**
+   * Fetch list updates (threatListUpdates:fetch) and apply them
+   * @returns {Promise<Object>} { updated: number of lists changed, nextUpdateAt }
+   */
+  async function update() {
+    if (updating) return updating;
+
+    updating = (async () => {
+      try {
+        const response = await axios.post(`${apiBaseUrl}/threatListUpdates:fetch?key=${apiKey}`, {
+          client: SAFE_BROWSING_CLIENT,
+          listUpdateRequests: [...lists.values()].map(list => ({
+            threatType: list.threatType,
+            platformType: list.platformType,
+            threatEntryType: list.threatEntryType,
+            state: list.state,
+            constraints: { supportedCompressions: ['RAW'] },
+          })),
+        }, { timeout: REQUEST_TIMEOUT_MS });
+
+        let updated = 0;
+        for (const listUpdate of response.data.listUpdateResponses || []) {
+          if (applyListUpdate(listUpdate)) updated++;
+        }
+
+        stats.updates++;
+        stats.lastUpdateAt = new Date().toISOString();
+        backoffSeconds = 0;
+        nextUpdateAt = Date.now() + (parseDuration(response.data.minimumWaitDuration) ?? DEFAULT_WAIT_SECONDS) * 1000;
+        rebuildIndex();
+        saveDatabase();
+        return { updated, nextUpdateAt: new Date(nextUpdateAt).toISOString() };
+      } catch (error) {
+        // Exponential back-off: 15 min, 30 min, 1 h, ... up to 24 h, as the API asks
+        stats.updateErrors++;
+        backoffSeconds = Math.min(backoffSeconds ? backoffSeconds * 2 : 900, MAX_BACKOFF_SECONDS);
+        nextUpdateAt = Date.now() + backoffSeconds * 1000;
+        throw error;
+      } finally {
+        updating = null;
+      }
+    })();
+
+    return updating;
+  }
+
+  /**
+   * Update the lists if the wait period has passed. The first update is awaited; later
+   * ones run in the background so a slow or failing network never delays a check.
+   */
+  async function ensureFresh() {
+    if (Date.now() < nextUpdateAt) return;
+
+    const pending = update().catch(error => {
+      console.error('❌ Safe Browsing list update failed, using local database:', error.message);
+    });
+    if (prefixIndex.size === 0 && !stats.lastUpdateAt) await pending;
+  }
+
+  function getStats() {
+    return {
+      ...stats,
+      nextUpdateAt: nextUpdateAt ? new Date(nextUpdateAt).toISOString() : null,
+      lists: [...lists.values()].map(list => ({ threatType: list.threatType, prefixes: list.prefixes.length })),
+      cachedFullHashes: fullHashCache.size,
+    };
+  }
+
+  // Removals (indices into the sorted list) go first, then additions; the result must match the checksum
+  function applyListUpdate(listUpdate) {
+    const list = lists.get(listKey(listUpdate));
+    if (!list) return false;
+
+    let prefixes = listUpdate.responseType === 'FULL_UPDATE' ? [] : list.prefixes;
+
+    const removed = new Set((listUpdate.removals || []).flatMap(removal => removal.rawIndices?.indices || []));
+    if (removed.size > 0) prefixes = prefixes.filter((prefix, index) => !removed.has(index));
+
+    for (const addition of listUpdate.additions || []) {
+      prefixes = prefixes.concat(splitRawHashes(addition.rawHashes));
+    }
+    prefixes = [...new Set(prefixes)].sort();
+
+    const expected = listUpdate.checksum?.sha256;
+    if (expected && checksum(prefixes) !== expected) {
+      // Out of sync with the server: drop the list so the next update is a full one
+      console.warn(`⚠️ Safe Browsing checksum mismatch for ${list.threatType}, resetting list`);
+      list.prefixes = [];
+      list.state = '';
+      return true;
+    }
+
+    list.prefixes = prefixes;
+    list.state = listUpdate.newClientState || list.state;
+    return true;
+  }
+
+  async function findFullHashes(prefixes) {
+    stats.fullHashRequests++;
+    const response = await axios.post(`${apiBaseUrl}/fullHashes:find?key=${apiKey}`, {
+      client: SAFE_BROWSING_CLIENT,
+      clientStates: [...lists.values()].map(list => list.state).filter(Boolean),
+      threatInfo: {
+        threatTypes: [...new Set([...lists.values()].map(list => list.threatType))],
+        platformTypes: [PLATFORM_TYPE],
+        threatEntryTypes: [THREAT_ENTRY_TYPE],
+        threatEntries: prefixes.map(prefix => ({ hash: Buffer.from(prefix, 'hex').toString('base64') })),
+      },
+    }, { timeout: REQUEST_TIMEOUT_MS });
+
+    const now = Date.now();
+    for (const match of response.data.matches || []) {
+      const hash = Buffer.from(match.threat.hash, 'base64').toString('hex');
+      fullHashCache.set(hash, {
+        threatType: match.threatType,
+        platformType: match.platformType,
+        threatEntryType: match.threatEntryType,
+        expiresAt: now + (parseDuration(match.cacheDuration) ?? 300) * 1000,
+      });
+    }
+
+    const negativeExpiresAt = now + (parseDuration(response.data.negativeCacheDuration) ?? 300) * 1000;
+    for (const prefix of prefixes) {
+      negativeCache.set(prefix, negativeExpiresAt);
+    }
+  }
+
+  function rebuildIndex() {
+    prefixIndex.clear();
+    prefixLengths.clear();
+    for (const [key, list] of lists) {
+      for (const prefix of list.prefixes) {
+        if (!prefixIndex.has(prefix)) prefixIndex.set(prefix, []);
+        prefixIndex.get(prefix).push(key);
+        prefixLengths.add(prefix.length / 2);
+      }
+    }
+    // Cached full hashes may belong to prefixes that were just removed
+    fullHashCache.clear();
+    negativeCache.clear();
+  }
+
+  function databasePath() {
+    return databaseFile ? path.resolve(process.cwd(), databaseFile) : null;
+  }
+
+  function loadDatabase() {
+    const file = databasePath();
+    try {
+      if (file && fs.existsSync(file)) {
+        const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+        for (const savedList of saved.lists || []) {
+          const list = lists.get(listKey(savedList));
+          if (list) {
+            list.state = savedList.state || '';
+            list.prefixes = savedList.prefixes || [];
+          }
+        }
+        nextUpdateAt = saved.nextUpdateAt || 0;
+        stats.lastUpdateAt = saved.lastUpdateAt || null;
+        rebuildIndex();
+        console.log(`🗂️ Loaded ${prefixIndex.size} Safe Browsing hash prefixes`);
+      }
+    } catch (error) {
+      console.error('❌ Failed to load Safe Browsing database, starting empty:', error.message);
+    }
+  }
+
+  function saveDatabase() {
+    const file = databasePath();
+    if (!file) return;
+    try {
+      fs.writeFileSync(`${file}.tmp`, JSON.stringify({
+        lists: [...lists.values()],
+        nextUpdateAt,
+        lastUpdateAt: stats.lastUpdateAt,
+      }), 'utf8');
+      fs.renameSync(`${file}.tmp`, file);
+    } catch (error) {
+      console.error('❌ Failed to save Safe Browsing database:', error.message);
+    }
+  }
+
+  return { check, update, ensureFresh, getStats };
+}
+
+let defaultDatabase = null;
+
+/**
+ * Check a URL with the shared database configured from config.safeBrowsing
+ */
+export async function checkUrlWithUpdateApi(url) {
+  if (!defaultDatabase) {
+    defaultDatabase = createHashPrefixDatabase({
+      apiKey: config.googleSafeBrowsingApiKey,
+      apiBaseUrl: config.safeBrowsing.apiBaseUrl,
+      databaseFile: config.safeBrowsing.databaseFile,
+    });
+  }
+
+  await defaultDatabase.ensureFresh();
+  return defaultDatabase.check(url);
+}
+
+function listKey({ threatType, platformType, threatEntryType }) {
+  return `${threatType}/${platformType}/${threatEntryType}`;
+}
+
+function sha256Hex(text) {
+  return crypto.createHash('sha256').update(text, 'utf8').digest('hex');
+}
+
+// Hex strings sort in the same order as the raw bytes, so the checksum is over the sorted bytes
+function checksum(prefixes) {
+  return crypto.createHash('sha256').update(Buffer.from(prefixes.join(''), 'hex')).digest('base64');
+}
+
+function splitRawHashes({ prefixSize, rawHashes } = {}) {
+  if (!prefixSize || !rawHashes) return [];
+  const hex = Buffer.from(rawHashes, 'base64').toString('hex');
+  const prefixes = [];
+  for (let i = 0; i + prefixSize * 2 <= hex.length; i += prefixSize * 2) {
+    prefixes.push(hex.slice(i, i + prefixSize * 2));
+  }
+  return prefixes;
+}
+
+/**
+ * Parse a protobuf Duration string, e.g. "593.44s" -> 593.44
+ * @returns {number|null} Seconds
+ */
+export function parseDuration(duration) {
+  const seconds = parseFloat(duration);
+  return Number.isFinite(seconds) ? seconds : null;
+}
+
+function safeVerdict(url) {
+  return { url, isSafe: true, threatType: null, platformType: null, cacheDuration: null, threats: [], source: 'update' };
+}
+
+function fresh(entry, now) {
+  return Boolean(entry && entry.expiresAt > now);
+}
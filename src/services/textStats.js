@@ -0,0 +1,127 @@
+/**
+ * Text Statistics
+ * Words, sentences and script of a message, for the text features in featureExtractor.js.
+ * Chinese is written without spaces, so splitting on whitespace makes a whole Chinese
+ * message one "word". Runs of Chinese characters are instead segmented into the fewest
+ * words of a bundled dictionary (data/zhDictionary.js), and sentences also end at
+ * full-width punctuation (。！？；…).
+ */
+import { ZH_WORDS } from '../data/zhDictionary.js';
+
+const HAN = /\p{Script=Han}/u;
+
+// A link (one word), a run of Chinese characters, or a word in any other script (with its digits)
+const TOKEN = /https?:\/\/[^\s\u3000-\u303F\uFF01-\uFF5E]+|\p{Script=Han}+|(?:(?!\p{Script=Han})[\p{L}\p{M}\p{N}])+(?:['’.-](?:(?!\p{Script=Han})[\p{L}\p{M}\p{N}])+)*/gu;
+
+// Full-width stops always end a sentence; ASCII ones only before a space or the end, so
+// links and decimals stay whole
+const SENTENCE_END = /[。！？；;…\n]+|[.!?]+(?=\s|$)/u;
+
+const DICTIONARY = new Set(ZH_WORDS.filter(word => word.length > 1 && [...word].every(char => HAN.test(char))));
+
+const MAX_WORD_LENGTH = Math.max(...[...DICTIONARY].map(word => word.length));
+
+/**
+ * @typedef {Object} TextStats
+ * @property {string[]} words - Links, Chinese words and other-script words, without punctuation
+ * @property {string[]} sentences
+ * @property {'han'|'latin'|'mixed'|'none'} script - From chineseRatio: han >= 0.7, latin <= 0.3
+ * @property {number} chineseRatio - Chinese characters / (Chinese characters + Latin letters),
+ *   links excluded; 0 when there are neither
+ * @property {number} hanCount
+ * @property {number} latinCount
+ */
+
+/**
+ * Words, sentences and script of a message
+ * @param {string} text
+ * @returns {TextStats}
+ */
+export function analyzeText(text) {
+  const words = segmentWords(text);
+  const { hanCount, latinCount, chineseRatio } = countScripts(words);
+  return {
+    words,
+    sentences: splitSentences(text),
+    script: scriptOf(hanCount, latinCount, chineseRatio),
+    chineseRatio,
+    hanCount,
+    latinCount,
+  };
+}
+
+/**
+ * Split text into words: Chinese runs by dictionary, everything else at spaces and punctuation
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function segmentWords(text) {
+  return (text.match(TOKEN) || []).flatMap(token => {
+    if (HAN.test(token[0])) return segmentHan(token);
+    // Punctuation after a link ends the sentence, not the link
+    return [token.startsWith('http') ? token.replace(/[.,;:!?)\]]+$/, '') : token];
+  });
+}
+
+/**
+ * Split text into sentences at ASCII and full-width sentence punctuation and line breaks
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function splitSentences(text) {
+  return text
+    .split(new RegExp(SENTENCE_END.source, 'gu'))
+    .map(sentence => sentence.trim())
+    .filter(sentence => /[\p{L}\p{N}]/u.test(sentence));
+}
+
+/**
+ * Main script of a text
+ * @param {string} text
+ * @returns {'han'|'latin'|'mixed'|'none'}
+ */
+export function detectScript(text) {
+  const { hanCount, latinCount, chineseRatio } = countScripts(segmentWords(text));
+  return scriptOf(hanCount, latinCount, chineseRatio);
+}
+
+// Fewest dictionary words covering the run (unknown characters count as one-character
+// words); on a tie the longer first word wins
+function segmentHan(run) {
+  const chars = [...run];
+  const best = new Array(chars.length + 1).fill(null);
+  best[chars.length] = { count: 0, next: chars.length };
+
+  for (let start = chars.length - 1; start >= 0; start--) {
+    for (let length = Math.min(MAX_WORD_LENGTH, chars.length - start); length >= 1; length--) {
+      if (length > 1 && !DICTIONARY.has(chars.slice(start, start + length).join(''))) continue;
+      const count = best[start + length].count + 1;
+      if (!best[start] || count < best[start].count) best[start] = { count, next: start + length };
+    }
+  }
+
+  const words = [];
+  for (let start = 0; start < chars.length; start = best[start].next) {
+    words.push(chars.slice(start, best[start].next).join(''));
+  }
+  return words;
+}
+
+function countScripts(words) {
+  let hanCount = 0;
+  let latinCount = 0;
+  for (const word of words) {
+    if (/^https?:\/\//.test(word)) continue;
+    hanCount += (word.match(/\p{Script=Han}/gu) || []).length;
+    latinCount += (word.match(/\p{Script=Latin}/gu) || []).length;
+  }
+  const total = hanCount + latinCount;
+  return { hanCount, latinCount, chineseRatio: total > 0 ? parseFloat((hanCount / total).toFixed(3)) : 0 };
+}
+
+function scriptOf(hanCount, latinCount, chineseRatio) {
+  if (hanCount + latinCount === 0) return 'none';
+  if (chineseRatio >= 0.7) return 'han';
+  if (chineseRatio <= 0.3) return 'latin';
+  return 'mixed';
+}
@@ -1,25 +1,36 @@
 import axios from 'axios';
 import config from '../config.js';
 
+// Twilio line_type_intelligence.type -> PhoneIntel lineType
+const LINE_TYPES = {
+  mobile: 'mobile',
+  landline: 'landline',
+  fixedVoip: 'voip',
+  nonFixedVoip: 'voip',
+  tollFree: 'tollFree',
+  premium: 'premium',
+};
+
 /**
- * Lookup phone information using Twilio Lookup v2 API
+ * Phone intelligence provider backed by Twilio Lookup v2 API
+ * Used through phoneIntel.js, which normalizes the result into a PhoneIntel object
  */
-export async function lookupPhone(phone) {
-  if (!phone) return null;
+export const twilioProvider = {
+  name: 'twilio',
 
-  try {
+  isConfigured() {
     const { accountSid, authToken } = config.twilio;
-    
-    if (!accountSid || !authToken) {
-      console.warn('⚠️ Twilio credentials not configured');
-      return { valid: true, carrier: null, error: 'Twilio credentials not configured' };
+    return Boolean(accountSid && authToken);
+  },
+
+  async lookup(normalized) {
+    if (!normalized.e164) {
+      throw new Error('Unrecognized phone number format');
     }
 
-    // Format phone number (add country code if needed)
-    const formattedPhone = phone.startsWith('+') ? phone : `+886${phone.substring(1)}`;
-    
-    const url = `https://lookups.twilio.com/v2/PhoneNumbers/${encodeURIComponent(formattedPhone)}?Fields=line_type_intelligence`;
-    
+    const { accountSid, authToken } = config.twilio;
+    const url = `https://lookups.twilio.com/v2/PhoneNumbers/${encodeURIComponent(normalized.e164)}?Fields=line_type_intelligence`;
+
     const response = await axios.get(url, {
       auth: {
         username: accountSid,
@@ -27,9 +38,13 @@ export async function lookupPhone(phone) {
       },
     });
 
-    return response.data;
-  } catch (error) {
-    console.error('❌ Twilio Lookup API error:', error.message);
-    return { valid: false, carrier: null, error: error.message };
-  }
-}
+    const lineTypeIntelligence = response.data.line_type_intelligence || {};
+    return {
+      valid: response.data.valid,
+      lineType: LINE_TYPES[lineTypeIntelligence.type] || 'unknown',
+      carrier: lineTypeIntelligence.carrier_name || null,
+      area: null,
+      description: null,
+    };
+  },
+};
@@ -0,0 +1,165 @@
+/**
+ * URL Reputation Cache
+ * Persistent local cache of URL verdicts, keyed by canonical URL, so a scam link
+ * that arrives thousands of times in a campaign is only checked once per TTL.
+ *
+ * Safe and unsafe verdicts have separate TTLs; failed lookups are negative-cached
+ * for a short time so an outage does not turn into a retry storm.
+ */
+import fs from 'fs';
+import path from 'path';
+import config from '../config.js';
+import { canonicalizeUrl } from './urlCanonicalizer.js';
+
+const SAVE_DELAY_MS = 1000;
+
+let entries = null; // canonical URL -> { verdict, kind, cachedAt, expiresAt }
+let saveTimer = null;
+const stats = {
+  hits: 0,
+  misses: 0,
+  negativeHits: 0,
+  writes: 0,
+  expired: 0,
+  evicted: 0,
+};
+
+/**
+ * Get a cached verdict
+ * @param {string} url - URL as found in the message
+ * @returns {Object|null} Cached verdict (with cached: true), or null on miss
+ */
+export function getCachedVerdict(url) {
+  const key = canonicalizeUrl(url);
+  const cache = load();
+  const entry = key ? cache.get(key) : undefined;
+
+  if (!entry) {
+    stats.misses++;
+    return null;
+  }
+
+  if (entry.expiresAt <= Date.now()) {
+    cache.delete(key);
+    stats.expired++;
+    stats.misses++;
+    scheduleSave();
+    return null;
+  }
+
+  stats.hits++;
+  if (entry.kind === 'error') stats.negativeHits++;
+  return { ...entry.verdict, cached: true };
+}
+
+/**
+ * Store a verdict; the TTL is chosen from its kind (safe, unsafe, or error)
+ * @param {string} url - URL as found in the message
+ * @param {Object} verdict - checkUrlSafety result
+ * @param {number} ttlSeconds - Optional override, e.g. the cacheDuration Safe Browsing returned
+ */
+export function setCachedVerdict(url, verdict, ttlSeconds) {
+  const key = canonicalizeUrl(url);
+  if (!key) return;
+
+  const kind = verdict.error ? 'error' : verdict.isSafe ? 'safe' : 'unsafe';
+  const ttl = ttlSeconds ?? config.urlCache.ttlSeconds[kind];
+  const now = Date.now();
+
+  const cache = load();
+  cache.delete(key); // re-insert so Map order stays oldest-first
+  cache.set(key, { verdict, kind, cachedAt: now, expiresAt: now + ttl * 1000 });
+  stats.writes++;
+
+  while (cache.size > config.urlCache.maxEntries) {
+    cache.delete(cache.keys().next().value);
+    stats.evicted++;
+  }
+
+  scheduleSave();
+}
+
+/**
+ * Remove cache entries
+ * @param {Object} filter
+ * @param {string} filter.url - Only this URL (any spelling that canonicalizes the same)
+ * @param {string} filter.kind - Only 'safe', 'unsafe', or 'error' entries
+ * @param {boolean} filter.expiredOnly - Only entries whose TTL has passed
+ * @returns {number} Number of entries removed
+ */
+export function purgeCache({ url, kind, expiredOnly = false } = {}) {
+  const cache = load();
+  const key = url ? canonicalizeUrl(url) : null;
+  const now = Date.now();
+  let removed = 0;
+
+  for (const [entryKey, entry] of cache) {
+    if (key && entryKey !== key) continue;
+    if (kind && entry.kind !== kind) continue;
+    if (expiredOnly && entry.expiresAt > now) continue;
+    cache.delete(entryKey);
+    removed++;
+  }
+
+  if (removed > 0) scheduleSave();
+  return removed;
+}
+
+/**
+ * Hit/miss statistics and current size by kind
+ */
+export function getCacheStats() {
+  const cache = load();
+  const byKind = { safe: 0, unsafe: 0, error: 0 };
+  for (const entry of cache.values()) {
+    byKind[entry.kind]++;
+  }
+
+  const lookups = stats.hits + stats.misses;
+  return {
+    ...stats,
+    hitRate: lookups > 0 ? parseFloat((stats.hits / lookups).toFixed(3)) : 0,
+    size: cache.size,
+    byKind,
+    file: cacheFile(),
+  };
+}
+
+function cacheFile() {
+  return path.resolve(process.cwd(), config.urlCache.file);
+}
+
+function load() {
+  if (entries) return entries;
+
+  entries = new Map();
+  try {
+    if (fs.existsSync(cacheFile())) {
+      const saved = JSON.parse(fs.readFileSync(cacheFile(), 'utf8'));
+      const now = Date.now();
+      for (const [key, entry] of Object.entries(saved)) {
+        if (entry.expiresAt > now) entries.set(key, entry);
+      }
+      console.log(`🗂️ Loaded ${entries.size} cached URL verdicts`);
+    }
+  } catch (error) {
+    console.error('❌ Failed to load URL cache, starting empty:', error.message);
+  }
+  return entries;
+}
+
+// Writes are batched: many verdicts in one request cost one file write
+function scheduleSave() {
+  if (saveTimer) return;
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    try {
+      const tmpFile = `${cacheFile()}.tmp`;
+      fs.writeFileSync(tmpFile, JSON.stringify(Object.fromEntries(entries)), 'utf8');
+      fs.renameSync(tmpFile, cacheFile());
+    } catch (error) {
+      console.error('❌ Failed to save URL cache:', error.message);
+    }
+  }, SAVE_DELAY_MS);
+  saveTimer.unref();
+}
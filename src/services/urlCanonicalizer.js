@@ -0,0 +1,170 @@
+/**
+ * URL Canonicalizer
+ * Reduce equivalent spellings of a URL to one canonical form, following the
+ * Google Safe Browsing canonicalization rules, so caches and lookups agree
+ */
+import { domainToASCII } from 'url';
+
+/**
+ * Canonicalize a URL
+ * @param {string} url - URL as found in a message (scheme optional)
+ * @returns {string|null} Canonical URL, or null if it cannot be parsed
+ */
+export function canonicalizeUrl(url) {
+  if (!url) return null;
+
+  // Remove tab, CR, LF and surrounding spaces; drop the fragment; unescape fully
+  let cleaned = url.replace(/[\t\r\n]/g, '').trim();
+  const hashIndex = cleaned.indexOf('#');
+  if (hashIndex !== -1) cleaned = cleaned.slice(0, hashIndex);
+  cleaned = fullyUnescape(cleaned);
+
+  // Split by hand: new URL() rejects or rewrites many of the hosts scammers use
+  const schemeMatch = cleaned.match(/^([a-z][a-z0-9+.-]*):\/\//i);
+  const scheme = schemeMatch ? schemeMatch[1].toLowerCase() : 'http';
+  const rest = schemeMatch ? cleaned.slice(schemeMatch[0].length) : cleaned;
+
+  const authorityEnd = rest.search(/[/?]/);
+  const authority = authorityEnd === -1 ? rest : rest.slice(0, authorityEnd);
+  const pathAndQuery = authorityEnd === -1 ? '/' : rest.slice(authorityEnd);
+
+  const hostAndPort = authority.slice(authority.lastIndexOf('@') + 1);
+  const portMatch = hostAndPort.match(/:(\d*)$/);
+  const host = canonicalizeHost(portMatch ? hostAndPort.slice(0, portMatch.index) : hostAndPort);
+  if (!host) return null;
+  const port = portMatch && portMatch[1] ? `:${portMatch[1]}` : '';
+
+  const queryIndex = pathAndQuery.indexOf('?');
+  const path = canonicalizePath(queryIndex === -1 ? pathAndQuery : pathAndQuery.slice(0, queryIndex));
+  const query = queryIndex === -1 ? '' : pathAndQuery.slice(queryIndex);
+
+  return escapeUnsafe(`${scheme}://${host}${port}${path}${query}`);
+}
+
+/**
+ * Canonicalize a hostname: lowercase, no leading/trailing dots, no repeated dots,
+ * internationalized names in punycode ("xn--"), and integer/hex/octal IPv4 forms
+ * rewritten as dotted decimal
+ */
+export function canonicalizeHost(hostname) {
+  let host = hostname.toLowerCase().replace(/^\.+|\.+$/g, '').replace(/\.{2,}/g, '.');
+  if (!host) return null;
+  if (/[^\x00-\x7f]/.test(host)) host = domainToASCII(host) || host;
+
+  const ip = parseIPv4(host);
+  if (ip) host = ip;
+
+  return host;
+}
+
+function canonicalizePath(pathname) {
+  const segments = [];
+  for (const segment of pathname.replace(/\/{2,}/g, '/').split('/')) {
+    if (segment === '..') {
+      segments.pop();
+    } else if (segment !== '.') {
+      segments.push(segment);
+    }
+  }
+
+  let path = segments.join('/');
+  if (!path.startsWith('/')) path = `/${path}`;
+  // Keep a trailing slash if the original path had one ("/a/." also ends with a directory)
+  if (/\/\.{0,2}$/.test(pathname) && !path.endsWith('/')) path = `${path}/`;
+  return path;
+}
+
+function parseIPv4(host) {
+  const parts = host.split('.');
+  if (parts.length > 4 || !parts.every(p => /^(0x[0-9a-f]*|\d+)$/i.test(p))) return null;
+
+  const numbers = parts.map(p => (/^0x/i.test(p) ? parseInt(p.slice(2) || '0', 16) : /^0\d/.test(p) ? parseInt(p, 8) : parseInt(p, 10)));
+  if (numbers.some(n => Number.isNaN(n))) return null;
+
+  // The last part fills the remaining bytes: "1.2.772" -> 1.2.3.4
+  let value = 0;
+  for (let i = 0; i < numbers.length - 1; i++) {
+    if (numbers[i] > 255) return null;
+    value = value * 256 + numbers[i];
+  }
+  const remainingBytes = 5 - numbers.length;
+  const last = numbers[numbers.length - 1];
+  if (last >= 256 ** remainingBytes) return null;
+  value = value * 256 ** remainingBytes + last;
+
+  return [24, 16, 8, 0].map(shift => Math.floor(value / 2 ** shift) % 256).join('.');
+}
+
+// Repeatedly percent-unescape, so %2525 and %25 end up the same
+function fullyUnescape(text) {
+  let previous;
+  let current = text;
+  do {
+    previous = current;
+    current = current.replace(/%([0-9a-f]{2})/gi, (m, hex) => String.fromCharCode(parseInt(hex, 16)));
+  } while (current !== previous);
+  return current;
+}
+
+// Escape characters <= ASCII 32, >= 127, "#" and "%". Unescaped bytes (< 256) are
+// escaped as-is; other characters as their UTF-8 bytes
+function escapeUnsafe(text) {
+  const encoder = new TextEncoder();
+  return Array.from(text, char => {
+    const bytes = char.charCodeAt(0) < 256 && char.length === 1 ? [char.charCodeAt(0)] : Array.from(encoder.encode(char));
+    return bytes.map(byte => {
+      if (byte <= 32 || byte >= 127 || byte === 0x23 || byte === 0x25) {
+        return `%${byte.toString(16).toUpperCase().padStart(2, '0')}`;
+      }
+      return String.fromCharCode(byte);
+    }).join('');
+  }).join('');
+}
+
+/**
+ * Host-suffix / path-prefix expressions to hash for a Safe Browsing lookup
+ * e.g. "http://a.b.c/1/2.html?param=1" ->
+ *   a.b.c/1/2.html?param=1, a.b.c/1/2.html, a.b.c/, a.b.c/1/, b.c/1/2.html?param=1, ...
+ * @param {string} canonicalUrl - Output of canonicalizeUrl()
+ * @returns {string[]} Up to 30 expressions, without scheme or port
+ */
+export function getUrlExpressions(canonicalUrl) {
+  const match = canonicalUrl.match(/^[a-z][a-z0-9+.-]*:\/\/([^/?]*)([^?]*)(\?.*)?$/i);
+  if (!match) return [];
+
+  const host = match[1].replace(/:\d*$/, '');
+  const path = match[2] || '/';
+  const query = match[3] || '';
+
+  return unique(getHostSuffixes(host).flatMap(h => getPathPrefixes(path, query).map(p => `${h}${p}`)));
+}
+
+// Exact host, plus up to 4 suffixes from the last 5 components (TLD alone is skipped)
+function getHostSuffixes(host) {
+  if (parseIPv4(host) === host) return [host];
+
+  const components = host.split('.');
+  const suffixes = [host];
+  for (let i = Math.max(1, components.length - 5); i < components.length - 1; i++) {
+    suffixes.push(components.slice(i).join('.'));
+  }
+  return unique(suffixes);
+}
+
+// Exact path with and without query, plus up to 4 directory prefixes from the root
+function getPathPrefixes(path, query) {
+  const prefixes = query ? [`${path}${query}`, path] : [path];
+  const directories = path.split('/').slice(1, -1);
+
+  let prefix = '/';
+  prefixes.push(prefix);
+  for (const directory of directories.slice(0, 3)) {
+    prefix += `${directory}/`;
+    prefixes.push(prefix);
+  }
+  return unique(prefixes);
+}
+
+function unique(items) {
+  return [...new Set(items)];
+}
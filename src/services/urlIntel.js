@@ -0,0 +1,161 @@
+/**
+ * URL Intelligence Service
+ * Provider-agnostic URL reputation. Each provider (Safe Browsing, local blocklists and
+ * allowlists, mocks in tests) answers per URL; this layer merges the answers into one
+ * UrlIntel verdict per URL for the scorer, the explainer and both feature extractors.
+ */
+import config from '../config.js';
+import { safeBrowsingProvider } from './safeBrowsing.js';
+import { createListProvider } from './urlLists.js';
+import { resolveRedirects, shouldResolve } from './redirectResolver.js';
+import { detectLookalike } from './lookalikeDetector.js';
+import { analyzeHostname } from './hostnameAnalyzer.js';
+
+/**
+ * @typedef {Object} UrlIntel
+ * @property {string} url - URL as found in the message
+ * @property {'malicious'|'trusted'|'clean'|'unknown'} verdict - Merged verdict
+ * @property {boolean} isSafe - false only when the merged verdict is 'malicious'
+ * @property {string|null} threatType - Threat type from the provider that decided, e.g. "SOCIAL_ENGINEERING"
+ * @property {string|null} matchedBy - Provider that decided the verdict ('blocklist', 'allowlist', 'safebrowsing', ...)
+ * @property {boolean} blocklisted - Matched a local blocklist
+ * @property {boolean} allowlisted - Matched a local allowlist
+ * @property {Array} providers - Every provider's answer: { provider, kind, verdict, threatType, detail, error }
+ * @property {Object|null} safeBrowsing - Safe Browsing UrlVerdict (see safeBrowsing.js), if it was checked
+ * @property {Object|null} redirect - RedirectChain (see redirectResolver.js) if the URL was expanded
+ * @property {Array} hops - Verdict for every later URL in the chain: { url, verdict, threatType, matchedBy }
+ * @property {Object} lookalike - Strongest brand resemblance along the chain (see lookalikeDetector.js)
+ * @property {Object} hostname - HostnameAnalysis (see hostnameAnalyzer.js) of the first suspicious host along the chain, else of the URL's own host
+ * @property {string|null} error - Set when no provider could check the URL
+ */
+
+/**
+ * A provider is { name, kind, isConfigured(), check(urls) } where kind is 'blocklist',
+ * 'allowlist' or 'reputation', and check resolves to one { verdict, threatType, detail }
+ * per URL, verdict being 'malicious', 'trusted', 'clean' or 'unknown'.
+ * Pass a custom list, e.g. a mock, through options.providers.
+ */
+export const URL_PROVIDERS = {
+  safebrowsing: safeBrowsingProvider,
+  blocklist: createListProvider({ name: 'blocklist', kind: 'blocklist', files: config.urlIntel.blocklistFiles }),
+  allowlist: createListProvider({ name: 'allowlist', kind: 'allowlist', files: config.urlIntel.allowlistFiles }),
+};
+
+/**
+ * Check every URL with all configured providers and merge the answers.
+ * Precedence: a local blocklist match is always malicious; otherwise an allowlist match
+ * is trusted (it overrides reputation feeds); otherwise any reputation hit is malicious.
+ * Short links are expanded first, and a link is malicious if any URL it redirects through is.
+ * @param {string[]} urls
+ * @param {Object} options
+ * @param {Array} options.providers - Providers to ask, defaults to config.urlIntel.providers
+ * @param {string} options.redirectMode - 'shortlinks', 'all' or 'off', defaults to config.redirects.mode
+ * @param {Object} options.redirectOptions - Passed to resolveRedirects (e.g. allowPrivateNetworks in tests)
+ * @returns {Promise<UrlIntel[]>} One verdict per URL, in the same order
+ */
+export async function checkUrls(urls, { providers = defaultProviders(), redirectMode, redirectOptions } = {}) {
+  if (!urls || urls.length === 0) return [];
+
+  const redirects = await Promise.all(urls.map(url => (
+    shouldResolve(url, redirectMode) ? resolveRedirects(url, redirectOptions) : null
+  )));
+
+  // Every URL after the first in a chain is checked in the same batch
+  const hopUrls = redirects.map(chain => (chain ? chain.hops.slice(1).map(hop => hop.url) : []));
+  const allUrls = [...new Set([...urls, ...hopUrls.flat()])];
+  const verdicts = new Map();
+  (await checkEach(allUrls, providers)).forEach((verdict, index) => verdicts.set(allUrls[index], verdict));
+
+  return urls.map((url, index) => withRedirects(verdicts.get(url), redirects[index], hopUrls[index].map(hopUrl => verdicts.get(hopUrl))));
+}
+
+async function checkEach(urls, providers) {
+  const answers = await Promise.all(providers.map(async provider => {
+    if (!provider.isConfigured()) {
+      return urls.map(() => providerAnswer(provider, { verdict: 'unknown', error: 'not configured' }));
+    }
+
+    try {
+      const results = await provider.check(urls);
+      return results.map(result => providerAnswer(provider, result));
+    } catch (error) {
+      console.error(`❌ URL intel (${provider.name}) error:`, error.message);
+      return urls.map(() => providerAnswer(provider, { verdict: 'unknown', error: error.message }));
+    }
+  }));
+
+  return urls.map((url, index) => mergeAnswers(url, answers.map(providerAnswers => providerAnswers[index])));
+}
+
+function defaultProviders() {
+  return config.urlIntel.providers
+    .map(name => URL_PROVIDERS[name])
+    .filter(Boolean);
+}
+
+// A link that passes through a malicious URL is malicious, even if the link itself is allowlisted
+function withRedirects(verdict, redirect, hopVerdicts) {
+  const hops = hopVerdicts.map(hop => ({ url: hop.url, verdict: hop.verdict, threatType: hop.threatType, matchedBy: hop.matchedBy }));
+  const flaggedHop = hops.find(hop => hop.verdict === 'malicious');
+  const lookalikes = [verdict.url, ...hops.map(hop => hop.url)].map(url => detectLookalike(url));
+  const lookalike = lookalikes.reduce((best, current) => (current.score > best.score ? current : best));
+  const hostnames = lookalikes.map(({ host }) => analyzeHostname(host));
+  const hostname = hostnames.find(analysis => analysis.suspicious) || hostnames[0];
+
+  if (verdict.isSafe && flaggedHop) {
+    return {
+      ...verdict,
+      verdict: 'malicious',
+      isSafe: false,
+      threatType: flaggedHop.threatType,
+      matchedBy: flaggedHop.matchedBy,
+      blocklisted: hopVerdicts.some(hop => hop.blocklisted),
+      redirect,
+      hops,
+      lookalike,
+      hostname,
+    };
+  }
+
+  return { ...verdict, redirect, hops, lookalike, hostname };
+}
+
+function providerAnswer(provider, result) {
+  return {
+    provider: provider.name,
+    kind: provider.kind,
+    verdict: result.verdict,
+    threatType: result.threatType || null,
+    detail: result.detail || null,
+    error: result.error || null,
+    safeBrowsing: result.safeBrowsing,
+  };
+}
+
+function mergeAnswers(url, answers) {
+  const blocked = answers.find(a => a.kind === 'blocklist' && a.verdict === 'malicious');
+  const trusted = answers.find(a => a.verdict === 'trusted');
+  const flagged = answers.find(a => a.kind !== 'blocklist' && a.verdict === 'malicious');
+  const decidedBy = blocked || trusted || flagged || null;
+
+  let verdict = 'unknown';
+  if (blocked) verdict = 'malicious';
+  else if (trusted) verdict = 'trusted';
+  else if (flagged) verdict = 'malicious';
+  else if (answers.some(a => a.verdict === 'clean')) verdict = 'clean';
+
+  const errors = answers.filter(a => a.error).map(a => `${a.provider}: ${a.error}`);
+
+  return {
+    url,
+    verdict,
+    isSafe: verdict !== 'malicious',
+    threatType: verdict === 'malicious' ? decidedBy.threatType : null,
+    matchedBy: decidedBy?.provider || null,
+    blocklisted: Boolean(blocked),
+    allowlisted: Boolean(trusted),
+    providers: answers.map(({ safeBrowsing, ...answer }) => answer),
+    safeBrowsing: answers.find(a => a.safeBrowsing)?.safeBrowsing || null,
+    error: verdict === 'unknown' && errors.length > 0 ? errors.join('; ') : null,
+  };
+}
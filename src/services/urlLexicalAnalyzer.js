@@ -0,0 +1,162 @@
+/**
+ * URL Lexical Analyzer
+ * Features read from the URL string alone, without any network lookup: how the host is
+ * built (registrable domain vs. subdomains, randomness, digits, hyphens), sensitive words,
+ * embedded credentials, ports, file downloads and query size.
+ *
+ * The message-level features form the versioned "url_lexical" feature group, registered in
+ * featureRegistry.js and extracted by featureExtractor.js for inference and training alike.
+ * Bump the version (and FEATURE_REGISTRY.version) whenever a feature's meaning changes, so
+ * training rows built by different versions are not mixed. IP hosts and subdomain depth
+ * keep their older feature names (url_has_ip, subdomain_count).
+ */
+import { getPublicSuffix, getRegistrableDomain, isIPAddress } from './publicSuffix.js';
+
+export const URL_LEXICAL_FEATURE_GROUP = {
+  name: 'url_lexical',
+  version: 1,
+  features: [
+    'url_host_length',
+    'url_host_entropy',
+    'url_host_digit_ratio',
+    'url_host_hyphen_ratio',
+    'url_sensitive_word_count',
+    'url_has_credentials',
+    'url_has_nonstandard_port',
+    'url_has_file_download',
+    'url_query_param_count',
+  ],
+};
+
+const SENSITIVE_WORDS = [
+  'login', 'log-in', 'signin', 'sign-in', 'verify', 'verification', 'secure', 'account', 'update',
+  'confirm', 'password', 'banking', 'wallet', 'billing', 'payment', 'unlock', 'suspend', 'validate',
+  'auth', 'refund', 'webscr', 'kyc', 'otp',
+];
+
+// Extensions that install or run something when opened on a phone or PC
+const DOWNLOAD_EXTENSIONS = [
+  'apk', 'xapk', 'apks', 'ipa', 'exe', 'msi', 'bat', 'cmd', 'scr', 'ps1', 'vbs', 'jar',
+  'dmg', 'pkg', 'zip', 'rar', '7z',
+];
+
+/**
+ * @typedef {Object} UrlLexical
+ * @property {string} url
+ * @property {string} host - Hostname (punycode for internationalized names)
+ * @property {string|null} publicSuffix - e.g. "com.tw"; null for IPs
+ * @property {string|null} registrableDomain - e.g. "bank.com.tw"
+ * @property {string} subdomain - Labels in front of the registrable domain, e.g. "login.secure"
+ * @property {number} subdomainDepth - Number of those labels
+ * @property {boolean} isIP - Host is an IP address (any IPv4 spelling, or IPv6)
+ * @property {number} hostLength - Length of the host without the public suffix
+ * @property {number} hostEntropy - Shannon entropy (bits per character) of the host without the public suffix
+ * @property {number} hostDigitRatio
+ * @property {number} hostHyphenRatio
+ * @property {string[]} sensitiveWords - Sensitive words found in the host, path or query
+ * @property {boolean} hasCredentials - URL has a user name or password before "@"
+ * @property {number|null} port - Explicit port other than the scheme's default
+ * @property {string|null} fileExtension - Extension of the last path segment, e.g. "apk"
+ * @property {boolean} isFileDownload - fileExtension is an installer or archive
+ * @property {number} pathDepth
+ * @property {number} queryParamCount
+ */
+
+/**
+ * Analyze one URL
+ * @param {string} url - URL as found in the message (scheme optional)
+ * @returns {UrlLexical|null} null if the URL cannot be parsed
+ */
+export function analyzeUrlLexical(url) {
+  let parsed;
+  try {
+    parsed = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(url) ? url : `http://${url}`);
+  } catch {
+    return null;
+  }
+
+  const host = parsed.hostname.toLowerCase();
+  const isIP = isIPAddress(host);
+  const publicSuffix = isIP ? null : getPublicSuffix(host);
+  const registrableDomain = getRegistrableDomain(host);
+  const subdomain = !isIP && registrableDomain && host !== registrableDomain
+    ? host.slice(0, -(registrableDomain.length + 1))
+    : '';
+  const name = isIP || !publicSuffix || host === publicSuffix ? host : host.slice(0, -(publicSuffix.length + 1));
+  const label = name.replace(/\./g, '');
+
+  const segments = parsed.pathname.split('/').filter(Boolean);
+  const lastSegment = segments[segments.length - 1] || '';
+  const extensionMatch = lastSegment.match(/\.(\d?[a-z][a-z0-9]{0,4})$/i);
+  const fileExtension = extensionMatch ? extensionMatch[1].toLowerCase() : null;
+
+  const searchable = decodeSafely(`${host}${parsed.pathname}${parsed.search}`).toLowerCase();
+
+  return {
+    url,
+    host,
+    publicSuffix,
+    registrableDomain,
+    subdomain,
+    subdomainDepth: subdomain ? subdomain.split('.').length : 0,
+    isIP,
+    hostLength: name.length,
+    hostEntropy: isIP ? 0 : shannonEntropy(label),
+    hostDigitRatio: isIP ? 0 : ratio(label, /\d/g),
+    hostHyphenRatio: isIP ? 0 : ratio(label, /-/g),
+    sensitiveWords: SENSITIVE_WORDS.filter(word => searchable.includes(word)),
+    hasCredentials: Boolean(parsed.username || parsed.password),
+    port: parsed.port ? Number(parsed.port) : null,
+    fileExtension,
+    isFileDownload: DOWNLOAD_EXTENSIONS.includes(fileExtension),
+    pathDepth: segments.length,
+    queryParamCount: [...parsed.searchParams.keys()].length,
+  };
+}
+
+/**
+ * The url_lexical feature group for a message: the riskiest value over all its URLs
+ * @param {string[]} urls
+ * @returns {Object} One numeric value per name in URL_LEXICAL_FEATURE_GROUP.features
+ */
+export function extractUrlLexicalFeatures(urls = []) {
+  const analyses = urls.map(analyzeUrlLexical).filter(Boolean);
+  const max = pick => Math.max(0, ...analyses.map(pick));
+  const any = test => (analyses.some(test) ? 1 : 0);
+
+  return {
+    url_host_length: max(a => a.hostLength),
+    url_host_entropy: max(a => a.hostEntropy),
+    url_host_digit_ratio: max(a => a.hostDigitRatio),
+    url_host_hyphen_ratio: max(a => a.hostHyphenRatio),
+    url_sensitive_word_count: max(a => a.sensitiveWords.length),
+    url_has_credentials: any(a => a.hasCredentials),
+    url_has_nonstandard_port: any(a => a.port !== null),
+    url_has_file_download: any(a => a.isFileDownload),
+    url_query_param_count: max(a => a.queryParamCount),
+  };
+}
+
+function shannonEntropy(text) {
+  if (text.length === 0) return 0;
+  const counts = {};
+  for (const char of text) counts[char] = (counts[char] || 0) + 1;
+  const entropy = Object.values(counts).reduce((sum, count) => {
+    const p = count / text.length;
+    return sum - p * Math.log2(p);
+  }, 0);
+  return parseFloat(entropy.toFixed(3));
+}
+
+function ratio(text, pattern) {
+  if (text.length === 0) return 0;
+  return parseFloat(((text.match(pattern) || []).length / text.length).toFixed(3));
+}
+
+function decodeSafely(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch {
+    return text;
+  }
+}
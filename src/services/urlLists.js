@@ -0,0 +1,188 @@
+/**
+ * Local URL Lists
+ * URL-intel providers backed by blocklist / allowlist files kept by the team.
+ *
+ * Supported file formats:
+ * - Plain lists (.txt): one entry per line, "#" starts a comment
+ *     example.com       the domain and every subdomain
+ *     *.gov.tw          wildcard; "*." covers any number of labels, "*" inside a label any characters
+ *     http://x.top/a    one exact URL (compared after canonicalization)
+ * - CSV dumps (.csv) such as PhishTank's verified_online.csv: every value in the "url"
+ *   column is an exact URL; rows with verified=no are skipped
+ * OpenPhish's feed.txt is a plain list of URLs.
+ *
+ * Domains are matched on the host's suffixes down to its registrable domain, so an
+ * entry for "bank.com.tw" covers "www.bank.com.tw" but an entry for "com.tw" covers nothing.
+ * Files are re-read when they change on disk.
+ */
+import fs from 'fs';
+import path from 'path';
+import { canonicalizeUrl, canonicalizeHost } from './urlCanonicalizer.js';
+import { getDomainCandidates, getRegistrableDomain } from './publicSuffix.js';
+
+/**
+ * Create a provider from list files
+ * @param {Object} options
+ * @param {string} options.name - Provider name, e.g. 'blocklist'
+ * @param {'blocklist'|'allowlist'} options.kind - Matches are 'malicious' or 'trusted'
+ * @param {string[]} options.files - List files, absolute or relative to the working directory
+ * @param {string} options.threatType - Threat type reported for blocklist matches
+ */
+export function createListProvider({ name, kind, files, threatType = 'SOCIAL_ENGINEERING' }) {
+  const loaded = new Map(); // file -> { mtimeMs, entries }
+
+  function getEntries() {
+    return files.map(file => {
+      const fullPath = path.resolve(process.cwd(), file);
+      try {
+        const { mtimeMs } = fs.statSync(fullPath);
+        const cached = loaded.get(fullPath);
+        if (cached && cached.mtimeMs === mtimeMs) return cached.entries;
+
+        const entries = parseListFile(fs.readFileSync(fullPath, 'utf8'), fullPath);
+        loaded.set(fullPath, { mtimeMs, entries });
+        console.log(`🗂️ Loaded ${name} ${path.basename(fullPath)}: ${entries.domains.size} domains, ${entries.wildcards.length} wildcards, ${entries.urls.size} URLs`);
+        return entries;
+      } catch (error) {
+        if (!loaded.has(fullPath)) console.warn(`⚠️ ${name} file not loaded (${file}): ${error.message}`);
+        loaded.set(fullPath, { mtimeMs: null, entries: null });
+        return null;
+      }
+    }).filter(Boolean);
+  }
+
+  return {
+    name,
+    kind,
+
+    isConfigured() {
+      return files.length > 0;
+    },
+
+    /**
+     * @param {string[]} urls
+     * @returns {Promise<Array>} One { verdict, threatType, detail } per URL
+     */
+    async check(urls) {
+      const lists = getEntries();
+
+      return urls.map(url => {
+        const match = lists.map(entries => matchEntries(entries, url)).find(Boolean);
+        if (!match) {
+          return { verdict: 'clean', threatType: null, detail: null };
+        }
+        return {
+          verdict: kind === 'allowlist' ? 'trusted' : 'malicious',
+          threatType: kind === 'allowlist' ? null : threatType,
+          detail: match,
+        };
+      });
+    },
+  };
+}
+
+function matchEntries(entries, url) {
+  const canonical = canonicalizeUrl(url);
+  if (!canonical) return null;
+
+  if (entries.urls.has(canonical)) {
+    return `URL listed in ${entries.file}`;
+  }
+
+  const host = canonical.match(/^[a-z][a-z0-9+.-]*:\/\/([^/:?]*)/i)?.[1];
+  const domain = getDomainCandidates(host).find(candidate => entries.domains.has(candidate));
+  if (domain) {
+    return `${domain} listed in ${entries.file}`;
+  }
+
+  const wildcard = entries.wildcards.find(w => w.regex.test(host));
+  if (wildcard) {
+    return `${wildcard.pattern} listed in ${entries.file}`;
+  }
+
+  return null;
+}
+
+function parseListFile(content, file) {
+  const entries = { file: path.basename(file), domains: new Set(), wildcards: [], urls: new Set() };
+
+  const values = file.toLowerCase().endsWith('.csv')
+    ? parseCsvUrls(content)
+    : content.split(/\r?\n/).map(line => line.replace(/#.*$/, '').trim());
+
+  for (const value of values) {
+    if (!value) continue;
+
+    if (/^[a-z][a-z0-9+.-]*:\/\//i.test(value) || value.includes('/')) {
+      const canonical = canonicalizeUrl(value);
+      if (canonical) entries.urls.add(canonical);
+    } else if (value.includes('*')) {
+      entries.wildcards.push({ pattern: value, regex: wildcardToRegex(value.toLowerCase()) });
+    } else {
+      const host = canonicalizeHost(value);
+      if (host && getRegistrableDomain(host)) {
+        entries.domains.add(host);
+      } else {
+        console.warn(`⚠️ Ignoring list entry "${value}" in ${entries.file}: public suffix (use a wildcard such as *.${value})`);
+      }
+    }
+  }
+
+  return entries;
+}
+
+// "*.gov.tw" -> any subdomain of gov.tw; "ctbc*.top" -> ctbc-login.top
+function wildcardToRegex(pattern) {
+  const source = pattern
+    .split(/(\*\.|\*)/)
+    .map(part => (part === '*.' ? '(?:[^.]+\\.)+' : part === '*' ? '[^.]*' : part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')))
+    .join('');
+  return new RegExp(`^${source}$`);
+}
+
+// Values of the "url" column; PhishTank marks unconfirmed submissions verified=no
+function parseCsvUrls(content) {
+  const rows = content.split(/\r?\n/).filter(line => line.trim()).map(parseCsvLine);
+  if (rows.length === 0) return [];
+
+  const header = rows[0].map(column => column.trim().toLowerCase());
+  const urlColumn = header.indexOf('url');
+  const verifiedColumn = header.indexOf('verified');
+  if (urlColumn === -1) {
+    // No header: assume the first column holds URLs
+    return rows.map(row => row[0]);
+  }
+
+  return rows.slice(1)
+    .filter(row => verifiedColumn === -1 || row[verifiedColumn] !== 'no')
+    .map(row => row[urlColumn]);
+}
+
+function parseCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields;
+}
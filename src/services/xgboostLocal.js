@@ -0,0 +1,375 @@
+/**
+ * In-process XGBoost Inference
+ * Scores messages without the Python model service (lumos_XGBoost/api_server.py), from the
+ * JSON bundle lumos_XGBoost/export_model.py writes: the booster, the StandardScaler, both
+ * TF-IDF vectorizers and the feature importances. Features go through the same steps as
+ * ScamPredictor.prepare_features / _extract_text_features in predict.py, and the trees are
+ * walked with XGBoost's float32 arithmetic, so results match the Python service;
+ * training/scripts/test-model-parity.js checks that against predictions the export saved.
+ * The bundle is re-read when it changes on disk, so a re-export needs no restart.
+ */
+import fs from 'fs';
+import path from 'path';
+import config from '../config.js';
+
+const BUNDLE_FORMAT = 1;
+
+// One-hot columns built from the LLM's answer (predict.py, steps 6 and 7)
+const COMMON_ACTIONS = ['click_link', 'reply', 'call_number', 'provide_info'];
+const COMMON_IMPERSONATIONS = ['company', 'bank', 'government', 'courier'];
+
+const TEXT_COLUMNS = [
+  'message_text',
+  'openai_reason',
+  'openai_keywords',
+  'openai_emotion_triggers',
+  'openai_action_requested',
+  'openai_impersonation_type',
+];
+
+// Python's Unicode \w (str.isalnum() or "_"), for the vectorizers' token patterns
+const WORD_CHARS = '\\p{L}\\p{N}_';
+const PYTHON_ESCAPES = {
+  w: `[${WORD_CHARS}]`,
+  W: `[^${WORD_CHARS}]`,
+  d: '\\p{Nd}',
+  D: '\\P{Nd}',
+  b: `(?:(?<=[${WORD_CHARS}])(?![${WORD_CHARS}])|(?<![${WORD_CHARS}])(?=[${WORD_CHARS}]))`,
+  B: `(?:(?<=[${WORD_CHARS}])(?=[${WORD_CHARS}])|(?<![${WORD_CHARS}])(?![${WORD_CHARS}]))`,
+};
+const PYTHON_CLASS_ESCAPES = { w: WORD_CHARS, d: '\\p{Nd}' };
+
+/**
+ * @typedef {Object} LocalPrediction - Same fields as POST /predict's result in api_server.py
+ * @property {boolean} is_scam
+ * @property {number} scam_probability
+ * @property {number} normal_probability
+ * @property {'High'|'Medium'|'Low'} confidence
+ * @property {'Scam'|'Normal'} prediction_label
+ * @property {Array<{feature: string, value: number, importance: number, contribution_score: number}>} top_scam_factors
+ */
+
+let defaultModel = null;
+
+/**
+ * Model loaded from config.xgboostModelFile (created on first use)
+ */
+export function getLocalModel() {
+  if (!defaultModel) defaultModel = createLocalModel();
+  return defaultModel;
+}
+
+/**
+ * Create a model backed by an exported bundle
+ * @param {Object} options
+ * @param {string} options.file - Absolute, or relative to the working directory; defaults to config.xgboostModelFile
+ */
+export function createLocalModel({ file = config.xgboostModelFile } = {}) {
+  const fullPath = path.resolve(process.cwd(), file);
+  let compiled = null;
+  let loadedMtimeMs = null;
+  let warnedError = null;
+
+  // Compiled bundle, re-read when the file changes
+  function getCompiled() {
+    let mtimeMs;
+    try {
+      mtimeMs = fs.statSync(fullPath).mtimeMs;
+    } catch {
+      throw loadError(`Model bundle not found (${file}); run python export_model.py in lumos_XGBoost`);
+    }
+    if (compiled && mtimeMs === loadedMtimeMs) return compiled;
+
+    try {
+      compiled = compileBundle(JSON.parse(fs.readFileSync(fullPath, 'utf8')));
+    } catch (error) {
+      compiled = null;
+      throw loadError(`Model bundle ${file} not loaded: ${error.message}`);
+    }
+    loadedMtimeMs = mtimeMs;
+    warnedError = null;
+    console.log(`📦 Loaded model bundle ${file}: ${compiled.featureColumns.length} features, ${compiled.trees.length} trees`);
+    return compiled;
+  }
+
+  // Warn once per distinct problem instead of on every message
+  function loadError(message) {
+    if (warnedError !== message) console.warn(`⚠️ ${message}`);
+    warnedError = message;
+    return new Error(message);
+  }
+
+  return {
+    file,
+
+    /**
+     * Feature columns, as GET /model/info reports them
+     * @returns {{feature_count: number, features: string[]}}
+     * @throws {Error} When the bundle cannot be loaded
+     */
+    info() {
+      const { featureColumns } = getCompiled();
+      return { feature_count: featureColumns.length, features: [...featureColumns] };
+    },
+
+    /**
+     * Predict one message, like ScamPredictor.predict() in predict.py
+     * @param {Object} features - Feature name -> value, as sent to POST /predict
+     * @returns {LocalPrediction}
+     * @throws {Error} When the bundle cannot be loaded or a feature is infinite
+     */
+    predict(features) {
+      return predictWith(getCompiled(), features);
+    },
+  };
+}
+
+function compileBundle(bundle) {
+  if (bundle.format !== BUNDLE_FORMAT) {
+    throw new Error(`unsupported bundle format ${bundle.format} (expected ${BUNDLE_FORMAT})`);
+  }
+  const featureColumns = bundle.feature_columns;
+  const { mean, scale } = bundle.scaler;
+  if (mean.length !== featureColumns.length || scale.length !== featureColumns.length
+    || bundle.feature_importances.length !== featureColumns.length) {
+    throw new Error('scaler or feature importances do not match the feature columns');
+  }
+
+  return {
+    featureColumns,
+    useTextFeatures: bundle.use_text_features,
+    mean,
+    scale,
+    importances: bundle.feature_importances,
+    tfidf: bundle.tfidf_vectorizer && compileVectorizer(bundle.tfidf_vectorizer),
+    keywordTfidf: bundle.keyword_vectorizer && compileVectorizer(bundle.keyword_vectorizer),
+    ...compileBooster(bundle.booster),
+  };
+}
+
+// Trees and base margin from XGBoost's JSON model (Booster.save_raw('json'))
+function compileBooster(booster) {
+  const { learner } = booster;
+  if (learner.objective.name !== 'binary:logistic') {
+    throw new Error(`unsupported objective ${learner.objective.name}`);
+  }
+  if (learner.gradient_booster.name !== 'gbtree') {
+    throw new Error(`unsupported booster ${learner.gradient_booster.name}`);
+  }
+
+  const { model } = learner.gradient_booster;
+  let trees = model.trees;
+  // XGBClassifier predicts with the best iteration when training stopped early
+  const bestIteration = learner.attributes?.best_iteration;
+  if (bestIteration !== undefined && model.iteration_indptr) {
+    trees = trees.slice(0, model.iteration_indptr[parseInt(bestIteration, 10) + 1]);
+  }
+
+  // base_score is a probability ("5E-1", or "[5E-1]" since XGBoost 3); logistic loss turns it into a margin
+  const baseScore = Math.fround(parseFloat(String(learner.learner_model_param.base_score).replace(/[[\]]/g, '')));
+  const baseMargin = Math.fround(-Math.log(Math.fround(Math.fround(1 / baseScore) - 1)));
+
+  return {
+    baseMargin,
+    trees: trees.map(tree => {
+      if (parseInt(tree.tree_param.size_leaf_vector || '1', 10) > 1) {
+        throw new Error('multi-target trees are not supported');
+      }
+      if (tree.split_type?.some(type => type !== 0)) {
+        throw new Error('categorical splits are not supported');
+      }
+      return {
+        left: tree.left_children,
+        right: tree.right_children,
+        splitIndices: tree.split_indices,
+        // Thresholds, and leaf values on leaves; XGBoost stores both as float32
+        conditions: tree.split_conditions.map(Math.fround),
+        defaultLeft: tree.default_left.map(Boolean),
+      };
+    }),
+  };
+}
+
+function predictWith(model, features) {
+  const row = prepareFeatures(model, features);
+
+  // StandardScaler in float64, then XGBoost reads the matrix as float32
+  const scaled = row.map((value, index) => {
+    if (!Number.isFinite(value) && !Number.isNaN(value)) {
+      throw new Error(`Input contains infinity (${model.featureColumns[index]})`);
+    }
+    return Math.fround((value - model.mean[index]) / model.scale[index]);
+  });
+
+  let margin = model.baseMargin;
+  for (const tree of model.trees) margin = Math.fround(margin + leafValue(tree, scaled));
+  // common::Sigmoid: the exponent is capped so expf() cannot overflow
+  const exponent = Math.min(-margin, Math.fround(88.7));
+  const scamProbability = Math.fround(1 / Math.fround(1 + Math.fround(Math.exp(exponent))));
+
+  let confidence = 'Low';
+  if (scamProbability >= 0.8) confidence = 'High';
+  else if (scamProbability >= 0.6) confidence = 'Medium';
+
+  const isScam = scamProbability > 0.5;
+  return {
+    is_scam: isScam,
+    scam_probability: scamProbability,
+    normal_probability: Math.fround(1 - scamProbability),
+    confidence,
+    prediction_label: isScam ? 'Scam' : 'Normal',
+    top_scam_factors: topFeatures(model, row, hasBooleanColumn(model, features)),
+  };
+}
+
+function leafValue(tree, row) {
+  let node = 0;
+  while (tree.left[node] !== -1) {
+    const value = row[tree.splitIndices[node]];
+    if (Number.isNaN(value)) {
+      node = tree.defaultLeft[node] ? tree.left[node] : tree.right[node];
+    } else {
+      node = value < tree.conditions[node] ? tree.left[node] : tree.right[node];
+    }
+  }
+  return tree.conditions[node];
+}
+
+// predict.py prepare_features(): text columns, then each model column as a number (0 when missing)
+function prepareFeatures(model, features) {
+  const values = { ...features };
+  if (model.useTextFeatures && model.tfidf) Object.assign(values, extractTextFeatures(model, values));
+  return model.featureColumns.map(column => toNumber(values[column]));
+}
+
+// predict.py _extract_text_features()
+function extractTextFeatures(model, values) {
+  const text = Object.fromEntries(TEXT_COLUMNS.map(column => [column, values[column] ?? '']));
+  const derived = {};
+
+  for (const [vectorizer, column, prefix] of [[model.tfidf, 'message_text', 'tfidf_msg'], [model.keywordTfidf, 'openai_keywords', 'tfidf_kw']]) {
+    // A failed transform (anything but a string) leaves the columns out, so they become 0
+    if (!vectorizer || typeof text[column] !== 'string') continue;
+    tfidfTransform(vectorizer, text[column]).forEach((value, index) => {
+      derived[`${prefix}_${index}`] = value;
+    });
+  }
+
+  const countItems = value => (pyStr(value).trim() ? pyStr(value).split(',').length : 0);
+  derived.keyword_count = countItems(text.openai_keywords);
+  derived.reason_length = [...pyStr(text.openai_reason)].length;
+  derived.emotion_trigger_count = countItems(text.openai_emotion_triggers);
+  for (const action of COMMON_ACTIONS) {
+    derived[`action_${action}`] = pyStr(text.openai_action_requested).toLowerCase() === action ? 1 : 0;
+  }
+  for (const type of COMMON_IMPERSONATIONS) {
+    derived[`impersonate_${type}`] = pyStr(text.openai_impersonation_type).toLowerCase() === type ? 1 : 0;
+  }
+  return derived;
+}
+
+// str(x) for the JSON values a request can carry
+function pyStr(value) {
+  if (typeof value === 'boolean') return value ? 'True' : 'False';
+  return String(value);
+}
+
+// pd.to_numeric(errors='coerce').fillna(0) on one value; booleans count as 0/1
+function toNumber(value) {
+  if (value === undefined || value === null) return 0;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (typeof value === 'number') return Number.isNaN(value) ? 0 : value;
+  if (typeof value !== 'string') return 0;
+
+  const trimmed = value.replace(/^[ \t\n\v\f\r]+|[ \t\n\v\f\r]+$/g, '');
+  if (/^[+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?$/i.test(trimmed)) return Number(trimmed);
+  const infinity = trimmed.match(/^([+-]?)inf(?:inity)?$/i);
+  if (infinity) return infinity[1] === '-' ? -Infinity : Infinity;
+  return 0;
+}
+
+// A true/false value makes pandas hold the row as Python objects, and under NumPy 2 a
+// float32 importance times a Python number stays float32 (see topFeatures)
+function hasBooleanColumn(model, features) {
+  return model.featureColumns.some(column => typeof features[column] === 'boolean');
+}
+
+// predict.py _get_top_features(): importance * value for every positive feature, top 5
+function topFeatures(model, row, float32Scores) {
+  const contributions = [];
+  row.forEach((value, index) => {
+    if (!(value > 0)) return;
+    const importance = model.importances[index];
+    contributions.push({
+      feature: model.featureColumns[index],
+      value,
+      importance,
+      contribution_score: float32Scores ? Math.fround(importance * Math.fround(value)) : importance * value,
+    });
+  });
+  return contributions.sort((a, b) => b.contribution_score - a.contribution_score).slice(0, 5);
+}
+
+function compileVectorizer(vectorizer) {
+  return {
+    vocabulary: new Map(Object.entries(vectorizer.vocabulary)),
+    size: Object.keys(vectorizer.vocabulary).length,
+    idf: vectorizer.idf,
+    tokenPattern: compileTokenPattern(vectorizer.token_pattern),
+    lowercase: vectorizer.lowercase,
+    ngramRange: vectorizer.ngram_range,
+    stopWords: new Set(vectorizer.stop_words),
+    binary: vectorizer.binary,
+    sublinearTf: vectorizer.sublinear_tf,
+    norm: vectorizer.norm,
+  };
+}
+
+// A Python token pattern as a JavaScript regex: \w, \d and \b are Unicode-aware in Python
+function compileTokenPattern(pattern) {
+  let inClass = false;
+  const source = pattern.replace(/^\(\?u\)/, '').replace(/\\(.)|\[|\]/g, (match, escaped) => {
+    if (escaped === undefined) {
+      if (match === '[') inClass = true;
+      if (match === ']') inClass = false;
+      return match;
+    }
+    if (inClass) return PYTHON_CLASS_ESCAPES[escaped] || match;
+    return PYTHON_ESCAPES[escaped] || match;
+  });
+  return new RegExp(source, 'gu');
+}
+
+// TfidfVectorizer.transform() for one document: word n-grams counted against the
+// vocabulary, weighted by idf and normalized; column i is vocabulary index i
+function tfidfTransform(vectorizer, doc) {
+  const text = vectorizer.lowercase ? doc.toLowerCase() : doc;
+  // findall(): the first group when the pattern has one
+  const tokens = [...text.matchAll(vectorizer.tokenPattern)]
+    .map(match => (match.length > 1 ? match[1] ?? '' : match[0]))
+    .filter(token => !vectorizer.stopWords.has(token));
+
+  const counts = new Array(vectorizer.size).fill(0);
+  const [minN, maxN] = vectorizer.ngramRange;
+  for (let n = minN; n <= Math.min(maxN, tokens.length); n++) {
+    for (let i = 0; i + n <= tokens.length; i++) {
+      const index = vectorizer.vocabulary.get(tokens.slice(i, i + n).join(' '));
+      if (index !== undefined) counts[index] += 1;
+    }
+  }
+
+  const weights = counts.map((count, index) => {
+    if (count === 0) return 0;
+    let weight = vectorizer.binary ? 1 : count;
+    if (vectorizer.sublinearTf) weight = Math.log(weight) + 1;
+    return vectorizer.idf ? weight * vectorizer.idf[index] : weight;
+  });
+
+  if (vectorizer.norm === 'l2' || vectorizer.norm === 'l1') {
+    const total = vectorizer.norm === 'l2'
+      ? Math.sqrt(weights.reduce((sum, weight) => sum + weight * weight, 0))
+      : weights.reduce((sum, weight) => sum + Math.abs(weight), 0);
+    if (total > 0) return weights.map(weight => weight / total);
+  }
+  return weights;
+}
@@ -1,35 +1,59 @@
 /**
  * XGBoost Model Service
- * Call Python Flask API for scam probability prediction
+ * Call Python Flask API for scam probability prediction, or run the exported model
+ * in-process (see xgboostLocal.js); ML_ENGINE picks 'remote', 'local' or 'auto'
  */
 import axios from 'axios';
+import config from '../config.js';
+import { checkFeatureParity, FEATURE_REGISTRY, toModelInput } from './featureRegistry.js';
+import { getLocalModel } from './xgboostLocal.js';
 
-const XGBOOST_API_URL = process.env.XGBOOST_API_URL || 'http://localhost:5000';
+// Model service hosts that are this server
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
 
 /**
  * Check if XGBoost API is available
+ * @param {Object} options
+ * @param {string} options.engine - 'remote', 'local' or 'auto'; defaults to config.mlEngine
  */
-export async function checkXGBoostHealth() {
+export async function checkXGBoostHealth({ engine = config.mlEngine } = {}) {
+  if (engine === 'local') return checkLocalModel();
   try {
-    const response = await axios.get(`${XGBOOST_API_URL}/health`, {
+    const response = await axios.get(`${config.xgboostApiUrl}/health`, {
       timeout: 2000,
     });
-    return response.data.model_loaded === true;
+    if (response.data.model_loaded === true) return true;
   } catch (error) {
     console.warn('⚠️ XGBoost API not available:', error.message);
-    return false;
   }
+  return engine === 'auto' ? checkLocalModel() : false;
 }
 
 /**
  * Predict scam probability using XGBoost model
- * @param {Object} features - 45 features extracted from message
- * @returns {Object} Prediction result with scam_probability
+ * @param {Object} features - From extractFeaturesForML; names and types in FEATURE_REGISTRY
+ * @param {Object} options
+ * @param {string} options.engine - 'remote', 'local' or 'auto'; defaults to config.mlEngine
+ * @param {boolean} options.shareText - false keeps the message text and AI text off a model
+ *   service on another host (privacy=local); in-process and loopback models always get them
+ * @returns {Object} Prediction result with scam_probability; engine says where it ran
  */
-export async function predictScamProbability(features) {
+export async function predictScamProbability(features, { engine = config.mlEngine, shareText = true } = {}) {
+  if (engine === 'local') return predictInProcess(features);
+
+  // Without its text columns an external model zero-fills them: a weaker but private score
+  const remote = await predictRemote(shareText || isModelServiceLocal() ? features : toModelInput(features, { includeText: false }));
+  if (remote.available || engine !== 'auto') return remote;
+
+  // The Python service is down; the exported model gives the same answer
+  const local = predictInProcess(features);
+  return local.available ? local : remote;
+}
+
+async function predictRemote(features) {
   try {
     const response = await axios.post(
-      `${XGBOOST_API_URL}/predict`,
+      `${config.xgboostApiUrl}/predict`,
       features,
       {
         timeout: 5000,
@@ -40,14 +64,7 @@ export async function predictScamProbability(features) {
     );
 
     if (response.data.success) {
-      return {
-        available: true,
-        scamProbability: response.data.result.scam_probability,
-        isScam: response.data.result.is_scam,
-        confidence: response.data.result.confidence,
-        normalProbability: response.data.result.normal_probability,
-        topScamFactors: response.data.result.top_scam_factors || [],
-      };
+      return toPredictionResult(response.data.result, 'remote');
     } else {
       throw new Error(response.data.error || 'Prediction failed');
     }
@@ -60,17 +77,113 @@ export async function predictScamProbability(features) {
   }
 }
 
+function predictInProcess(features) {
+  try {
+    return toPredictionResult(getLocalModel().predict(features), 'local');
+  } catch (error) {
+    return {
+      available: false,
+      error: error.message,
+    };
+  }
+}
+
+function toPredictionResult(result, engine) {
+  return {
+    available: true,
+    engine,
+    scamProbability: result.scam_probability,
+    isScam: result.is_scam,
+    confidence: result.confidence,
+    normalProbability: result.normal_probability,
+    topScamFactors: result.top_scam_factors || [],
+  };
+}
+
+/**
+ * Is the model service on this machine? (a loopback XGBOOST_API_URL)
+ * @param {string} url - Defaults to config.xgboostApiUrl
+ */
+export function isModelServiceLocal(url = config.xgboostApiUrl) {
+  try {
+    const { hostname } = new URL(url);
+    return LOOPBACK_HOSTS.includes(hostname) || hostname.startsWith('127.');
+  } catch {
+    return false;
+  }
+}
+
+function checkLocalModel() {
+  try {
+    getLocalModel().info();
+    return true;
+  } catch {
+    return false;
+  }
+}
+
 /**
  * Get model information
+ * @param {Object} options
+ * @param {string} options.engine - 'remote', 'local' or 'auto'; defaults to config.mlEngine
  */
-export async function getModelInfo() {
+export async function getModelInfo({ engine = config.mlEngine } = {}) {
+  if (engine !== 'local') {
+    try {
+      const response = await axios.get(`${config.xgboostApiUrl}/model/info`, {
+        timeout: 3000,
+      });
+      return response.data;
+    } catch (error) {
+      console.error('❌ Failed to get model info:', error.message);
+      if (engine !== 'auto') return null;
+    }
+  }
+
   try {
-    const response = await axios.get(`${XGBOOST_API_URL}/model/info`, {
-      timeout: 3000,
-    });
-    return response.data;
-  } catch (error) {
-    console.error('❌ Failed to get model info:', error.message);
+    return { success: true, info: getLocalModel().info() };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Compare the model's feature columns with FEATURE_REGISTRY (see featureRegistry.js)
+ * Model columns this app never sends would be zero-filled on every prediction, so with
+ * ML_FEATURE_CHECK=strict a mismatch is thrown; 'warn' only logs it. The model service
+ * may still be starting (npm run start:all), so it is asked a few times; with ML_ENGINE=auto
+ * the exported bundle answers in its place.
+ * @param {Object} options
+ * @param {string} options.mode - 'strict', 'warn' or 'off'; defaults to config.mlFeatureCheck
+ * @param {number} options.attempts
+ * @param {number} options.retryDelayMs
+ * @returns {Promise<Object|null>} FeatureParity, or null when skipped or the model is unreachable
+ * @throws {Error} In strict mode, when the model expects features this app does not send
+ */
+export async function verifyModelFeatures({ mode = config.mlFeatureCheck, attempts = 5, retryDelayMs = 3000 } = {}) {
+  if (mode === 'off') return null;
+
+  let info = null;
+  for (let attempt = 1; attempt <= attempts && !info?.success; attempt++) {
+    if (attempt > 1) await new Promise(resolve => setTimeout(resolve, retryDelayMs));
+    info = await getModelInfo();
+  }
+  if (!info?.success) {
+    console.warn('⚠️ Model feature check skipped: XGBoost model info not available');
     return null;
   }
+
+  const parity = checkFeatureParity(info.info.features);
+  if (parity.unused.length > 0) {
+    console.warn(`⚠️ ${parity.unused.length} registered feature(s) are not used by the model; retrain to use them: ${parity.unused.join(', ')}`);
+  }
+  if (!parity.ok) {
+    const message = `XGBoost model expects ${parity.missing.length} feature(s) missing from feature registry v${FEATURE_REGISTRY.version}: ${parity.missing.join(', ')}`;
+    if (mode === 'strict') throw new Error(`${message} (set ML_FEATURE_CHECK=warn to run anyway)`);
+    console.error(`❌ ${message}; they are zero-filled on every prediction`);
+    return parity;
+  }
+
+  console.log(`✅ Model features match feature registry v${FEATURE_REGISTRY.version} (${info.info.features.length} columns, ${parity.derived.length} derived from text)`);
+  return parity;
 }
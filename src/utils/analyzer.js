@@ -1,7 +1,16 @@
+import { LOOKALIKE_ALERT_SCORE } from '../services/lookalikeDetector.js';
+import { describeHostname } from '../services/hostnameAnalyzer.js';
+import { describePageRisk, PAGE_RISK_ALERT_SCORE } from '../services/pageInspector.js';
+import { describePromptInjection } from '../services/promptGuard.js';
+import { getActionAdvice } from '../services/i18n.js';
+import { describePaymentInstructions } from '../services/paymentExtractor.js';
+
 /**
  * Generate risk assessment and recommendations from analysis results
+ * lang and region (see services/i18n.js) select the language of the descriptions and action
+ * advice, and where the advice says to report a scam
  */
-export function generateResponse({ parsed, urlResult, phoneResult, aiResult, xgboostResult }) {
+export function generateResponse({ parsed, urlResults = [], pageResults = [], phoneResults = [], aiResult, xgboostResult, lang = 'en', region }) {
   const evidence = [];
   let riskLevel = 'green'; // green, yellow, red
   let riskScore = 0;
@@ -24,28 +33,78 @@ export function generateResponse({ parsed, urlResult, phoneResult, aiResult, xgb
     riskScore += mlScore * 0.7; // 70% weight from ML model
   }
 
-  // Analyze URL risk
-  if (urlResult) {
+  // Analyze URL risk (score once per category, however many URLs are flagged)
+  let urlFlagged = false;
+  for (const [index, urlResult] of urlResults.entries()) {
+    const pageRisky = pageResults[index]?.score >= PAGE_RISK_ALERT_SCORE;
     if (!urlResult.isSafe) {
-      evidence.push(`⚠️ URL flagged by Google as ${getThreatTypeName(urlResult.threatType)}`);
-      riskScore += xgboostResult?.available ? 15 : 40; // Lower weight if ML is available
-    } else if (!urlResult.error) {
-      evidence.push('✅ URL not flagged as malicious');
+      evidence.push(`⚠️ URL ${urlResult.url} flagged by ${getProviderName(urlResult.matchedBy)} as ${getThreatTypeName(urlResult.threatType)}`);
+      urlFlagged = true;
+    } else if (urlResult.allowlisted) {
+      evidence.push(`✅ URL ${urlResult.url} is on the official-domain allowlist`);
+    } else if (!urlResult.error && !(urlResult.lookalike?.score >= LOOKALIKE_ALERT_SCORE) && !urlResult.hostname?.suspicious && !pageRisky) {
+      evidence.push(`✅ URL ${urlResult.url} not flagged as malicious`);
     }
   }
+  const lookalikes = urlResults.filter(r => r.lookalike?.score >= LOOKALIKE_ALERT_SCORE);
+  for (const urlResult of lookalikes) {
+    evidence.push(`⚠️ ${urlResult.lookalike.host} imitates ${urlResult.lookalike.brand.name} (similarity ${Math.round(urlResult.lookalike.score * 100)}%)`);
+  }
+  if (lookalikes.length > 0) {
+    riskScore += xgboostResult?.available ? 10 : 30;
+  }
+  const homographs = urlResults.filter(r => r.hostname?.suspicious);
+  for (const urlResult of homographs) {
+    evidence.push(`⚠️ ${describeHostname(urlResult.hostname, lang)}`);
+  }
+  if (homographs.length > 0) {
+    riskScore += xgboostResult?.available ? 5 : 20;
+  }
+  const riskyPages = pageResults.filter(page => page?.score >= PAGE_RISK_ALERT_SCORE);
+  for (const page of riskyPages) {
+    evidence.push(`⚠️ ${describePageRisk(page, lang)}`);
+  }
+  if (riskyPages.length > 0) {
+    riskScore += xgboostResult?.available ? 10 : 30;
+  }
+  for (const urlResult of urlResults.filter(r => r.redirect?.redirected)) {
+    evidence.push(`🔀 Link ${urlResult.url} leads to ${urlResult.redirect.finalUrl}`);
+  }
+  if (urlFlagged) {
+    riskScore += xgboostResult?.available ? 15 : 40; // Lower weight if ML is available
+  }
 
   // Analyze phone risk
-  if (phoneResult) {
+  let phoneVoip = false;
+  let phoneInvalid = false;
+  for (const phoneResult of phoneResults) {
     if (phoneResult.lineType === 'voip') {
-      evidence.push('⚠️ Phone is VoIP, commonly used in scams');
-      riskScore += xgboostResult?.available ? 10 : 30; // Lower weight if ML is available
+      evidence.push(`⚠️ Phone ${phoneResult.phone} is VoIP, commonly used in scams`);
+      phoneVoip = true;
     } else if (phoneResult.valid) {
-      evidence.push(`✅ Phone number is valid (${phoneResult.carrier || 'Unknown carrier'})`);
+      evidence.push(`✅ Phone number ${phoneResult.phone} is valid (${phoneResult.carrier || 'Unknown carrier'})`);
     } else {
-      evidence.push('⚠️ Phone number is invalid or cannot be verified');
-      riskScore += xgboostResult?.available ? 7 : 20; // Lower weight if ML is available
+      evidence.push(`⚠️ Phone number ${phoneResult.phone} is invalid or cannot be verified`);
+      phoneInvalid = true;
     }
   }
+  if (phoneVoip) {
+    riskScore += xgboostResult?.available ? 10 : 30; // Lower weight if ML is available
+  } else if (phoneInvalid) {
+    riskScore += xgboostResult?.available ? 7 : 20; // Lower weight if ML is available
+  }
+
+  // Text written to steer AI filters
+  if (parsed.promptInjection?.detected) {
+    evidence.push(`🚨 ${describePromptInjection(parsed.promptInjection, lang)}`);
+    riskScore += xgboostResult?.available ? 15 : 40;
+  }
+
+  // Bank transfer, store payment code, gift cards or crypto
+  if (parsed.payment?.methods.length > 0) {
+    evidence.push(`💸 ${describePaymentInstructions(parsed.payment, lang)}`);
+    riskScore += xgboostResult?.available ? 10 : 30;
+  }
 
   // Analyze AI determination
   if (aiResult) {
@@ -69,8 +128,8 @@ export function generateResponse({ parsed, urlResult, phoneResult, aiResult, xgb
     riskLevel = 'yellow';
   }
 
-  // Generate action suggestions
-  const action = getActionSuggestion(riskLevel, parsed);
+  // Generate action suggestions, with the reporting channel for the user's region
+  const action = getActionAdvice(riskLevel, { lang, region });
 
   return {
     riskLevel,
@@ -79,13 +138,15 @@ export function generateResponse({ parsed, urlResult, phoneResult, aiResult, xgb
     evidence,
     action,
     parsed: {
-      url: parsed.url,
-      phone: parsed.phone,
+      urls: parsed.urls,
+      phones: parsed.phones,
+      entities: parsed.entities,
+      payment: parsed.payment,
       content: parsed.content.substring(0, 100) + (parsed.content.length > 100 ? '...' : ''),
     },
     details: {
-      url: urlResult,
-      phone: phoneResult,
+      urls: urlResults,
+      phones: phoneResults,
       ai: aiResult,
       ml: xgboostResult?.available ? {
         scamProbability: xgboostResult.scamProbability,
@@ -107,36 +168,10 @@ function getThreatTypeName(threatType) {
   return types[threatType] || threatType;
 }
 
-function getActionSuggestion(riskLevel, parsed) {
-  switch (riskLevel) {
-    case 'red':
-      return {
-        title: '🚨 High Risk Warning',
-        suggestions: [
-          'Do not click any links',
-          'Do not call back the phone number',
-          'Block this number immediately',
-          'Report to 165 anti-fraud hotline',
-        ],
-      };
-    case 'yellow':
-      return {
-        title: '⚠️ Handle with Caution',
-        suggestions: [
-          'Verify through official channels first',
-          'Do not provide personal information',
-          parsed.url ? 'Avoid clicking suspicious links' : null,
-          'Call 165 if you have doubts',
-        ].filter(Boolean),
-      };
-    default:
-      return {
-        title: '✅ Appears Safe',
-        suggestions: [
-          'No obvious scam features detected',
-          'However, remain vigilant',
-          'Do not easily provide personal information',
-        ],
-      };
-  }
+function getProviderName(provider) {
+  const names = {
+    'safebrowsing': 'Google',
+    'blocklist': 'the local scam-domain blocklist',
+  };
+  return names[provider] || provider;
 }
@@ -2,7 +2,7 @@
 import dotenv from 'dotenv';
 import { parseMessage } from './src/services/parser.js';
 import { checkUrlSafety } from './src/services/safeBrowsing.js';
-import { lookupPhone } from './src/services/twilioLookup.js';
+import { lookupPhone } from './src/services/phoneIntel.js';
 import { analyzeWithOpenAI } from './src/services/openaiCheck.js';
 
 dotenv.config();
@@ -41,7 +41,7 @@ if (parsed.url) {
 
 // Test 2: Twilio Lookup
 console.log('\n' + '='.repeat(70));
-console.log('📞 Test 2: Twilio Lookup API');
+console.log('📞 Test 2: Phone Lookup (Twilio, offline fallback)');
 console.log('-'.repeat(70));
 if (parsed.phone) {
   try {
@@ -0,0 +1,37 @@
+/**
+ * Training CSV writer: rows are counted as CSV records, not lines
+ */
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+describe('training CSV', () => {
+  const cwd = process.cwd();
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'training-csv-'));
+  let csv;
+
+  before(async () => {
+    // The writer keeps training_data.csv in the working directory
+    process.chdir(tmpDir);
+    csv = await import('../training/utils/csvWriter.js');
+    csv.initCSV();
+  });
+
+  after(() => {
+    process.chdir(cwd);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('starts with no rows', () => {
+    assert.equal(csv.getRowCount(), 0);
+  });
+
+  it('counts a message spanning several lines as one row', () => {
+    csv.appendToCSV({ message_id: 1, label: 1, message_text: '您的包裹無法投遞\n請於 24 小時內補繳運費\n"立即"點擊連結' });
+    csv.appendToCSV({ message_id: 2, label: 0, message_text: 'See you tomorrow' });
+    assert.equal(csv.getRowCount(), 2);
+    assert.ok(fs.readFileSync(path.join(tmpDir, 'training_data.csv'), 'utf8').split('\n').length > 4);
+  });
+});
@@ -0,0 +1,33 @@
+/**
+ * Feature extractor: model columns keep the meaning the model was trained with
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractFeatures } from '../src/services/featureExtractor.js';
+
+function features(text) {
+  return extractFeatures(text, { urls: [], phones: [] });
+}
+
+describe('extractFeatures', () => {
+  it('counts ASCII and full-width punctuation in separate columns', () => {
+    const result = features('您的包裹已到！請問何時取件？ Hurry! Now? Really?');
+    assert.equal(result.exclamation_count, 1);
+    assert.equal(result.question_count, 2);
+    assert.equal(result.fullwidth_exclamation_count, 1);
+    assert.equal(result.fullwidth_question_count, 1);
+  });
+
+  it('averages space-separated words for avg_word_length', () => {
+    const result = features('您的包裹無法配送 請立即補填資料');
+    assert.equal(result.avg_word_length, 7.5);
+    assert.ok(result.avg_segmented_word_length < result.avg_word_length);
+  });
+
+  it('keeps the trained word lists for contains_* and counts lexicon terms separately', () => {
+    const result = features('請立即匯款');
+    assert.equal(result.contains_urgent_words, 0);
+    assert.ok(result.lexicon_urgent_count > 0);
+    assert.equal(features('Act now').contains_urgent_words, 1);
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Heuristic analyzer: verdicts from the lexicon files
+ */
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { analyzeHeuristically } from '../src/services/heuristicAnalyzer.js';
+import { createLexicon } from '../src/services/lexiconService.js';
+
+const lexicon = createLexicon({ dir: 'src/data/lexicons' });
+
+describe('analyzeHeuristically', () => {
+  it('finds threats, urgency and a money request in a fake account freeze', () => {
+    const result = analyzeHeuristically('您的帳戶涉嫌洗錢已被凍結，請立即匯款至安全帳戶', { lexicon });
+
+    assert.equal(result.isScam, true);
+    assert.equal(result.action_requested, 'transfer_money');
+    assert.ok(result.threat_level > 0);
+    assert.ok(result.urgency_level > 0);
+    assert.deepEqual(result.emotion_triggers, ['fear', 'urgency']);
+    assert.ok(result.keywords.includes('洗錢'));
+    assert.equal(result.source, 'heuristic');
+  });
+
+  it('names the impersonated sender', () => {
+    const result = analyzeHeuristically('Your package delivery is on hold, pay the shipping fee to release your parcel', { lexicon });
+    assert.equal(result.impersonation_type, 'courier');
+  });
+
+  it('does not count a weak hint alone', () => {
+    const result = analyzeHeuristically('See you at lunch now', { lexicon });
+    assert.equal(result.urgency_level, 0);
+    assert.deepEqual(result.keywords, []);
+  });
+
+  it('flags a parcel-fee scam with a deadline', () => {
+    const result = analyzeHeuristically('【黑貓宅急便】您的包裹因地址不全無法配送，請於24小時內補繳運費30元，逾期將退回 https://t-cat-tw.top/pay', { lexicon });
+    assert.equal(result.isScam, true);
+    assert.equal(result.impersonation_type, 'courier');
+    assert.equal(result.action_requested, 'transfer_money');
+  });
+
+  it('flags a transfer to a named account', () => {
+    const result = analyzeHeuristically('你好，我是國泰世華客服，請匯款到這個帳戶完成驗證', { lexicon, lang: 'zh-TW' });
+    assert.equal(result.isScam, true);
+    assert.equal(result.impersonation_type, 'bank');
+    assert.ok(result.keywords.includes('這個帳戶'));
+    assert.match(result.reason, /指定收款帳戶/);
+  });
+
+  it('flags a relative asking for money urgently', () => {
+    const result = analyzeHeuristically('爸我手機換號碼了，急需轉帳5萬到這個帳戶，今天一定要', { lexicon });
+    assert.equal(result.isScam, true);
+  });
+
+  it('flags a bank credential request under a deadline', () => {
+    const result = analyzeHeuristically('【中國信託】您的信用卡有異常交易，請立即登入 https://ctbc-verify.top 驗證', { lexicon });
+    assert.equal(result.isScam, true);
+    assert.equal(result.impersonation_type, 'bank');
+  });
+
+  it('does not flag an everyday money mention', () => {
+    assert.equal(analyzeHeuristically('媽，我晚點轉帳給你房租，帳戶還是郵局那個嗎？', { lexicon }).isScam, false);
+    assert.equal(analyzeHeuristically('你的包裹明天會送到，運費我已經付了', { lexicon }).isScam, false);
+  });
+
+  it('leaves an ordinary message alone', () => {
+    const result = analyzeHeuristically('明天下午三點開會，記得帶筆電', { lexicon });
+    assert.equal(result.isScam, false);
+    assert.equal(result.confidence, 0);
+    assert.equal(result.action_requested, 'none');
+  });
+});
+
+describe('lexicon edits', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lexicons-'));
+    for (const file of fs.readdirSync('src/data/lexicons')) {
+      fs.copyFileSync(path.join('src/data/lexicons', file), path.join(dir, file));
+    }
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('changes the verdict without a restart', () => {
+    const edited = createLexicon({ dir });
+    const message = 'Your account is under audit by the compliance desk';
+    assert.equal(analyzeHeuristically(message, { lexicon: edited }).threat_level, 0);
+
+    const file = path.join(dir, 'threat.en.txt');
+    fs.appendFileSync(file, 'compliance desk | 2\n');
+    // mtime granularity can be coarse; make sure the change is seen
+    const later = new Date(Date.now() + 5000);
+    fs.utimesSync(file, later, later);
+
+    const result = analyzeHeuristically(message, { lexicon: edited });
+    assert.ok(result.threat_level > 0);
+    assert.ok(result.keywords.includes('compliance desk'));
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * Lexicon service: negation scope
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLexicon, extractLexiconFeatures } from '../src/services/lexiconService.js';
+
+const lexicon = createLexicon({ dir: 'src/data/lexicons' });
+
+function matchesOf(text) {
+  return lexicon.match(text).matches.map(({ text: term, negated }) => ({ term, negated }));
+}
+
+describe('negation', () => {
+  it('does not let a prohibition cancel the scam request after it', () => {
+    const result = lexicon.match('請勿告訴任何人立即匯款到安全帳戶');
+    for (const term of ['立即', '匯款', '帳戶']) {
+      assert.deepEqual(result.matches.find(match => match.text === term)?.negated, false, term);
+    }
+    const features = extractLexiconFeatures(result);
+    assert.ok(features.lexicon_urgent_count > 0);
+    assert.ok(features.lexicon_money_count > 0);
+    assert.ok(features.lexicon_bank_count > 0);
+  });
+
+  it('counts a prize claim after "不要懷疑"', () => {
+    const features = extractLexiconFeatures(lexicon.match('不要懷疑 您已中獎 立即領取'));
+    assert.ok(features.lexicon_prize_count > 0);
+    assert.ok(features.lexicon_urgent_count > 0);
+  });
+
+  it('counts "transfer" after "do not tell anyone and"', () => {
+    const transfer = matchesOf('Do not tell anyone and transfer money to this account now')
+      .find(({ term }) => term.toLowerCase() === 'transfer');
+    assert.equal(transfer.negated, false);
+  });
+
+  it('negates the term directly after a cue', () => {
+    assert.deepEqual(matchesOf('請勿點擊不明連結').find(({ term }) => term === '點擊'), { term: '點擊', negated: true });
+    assert.deepEqual(matchesOf('Never  click unknown links').find(({ term }) => term === 'click'), { term: 'click', negated: true });
+  });
+
+  it('does not treat a bare 勿 or 不要 as a cue', () => {
+    assert.equal(matchesOf('勿點擊').find(({ term }) => term === '點擊').negated, false);
+    assert.equal(matchesOf('不要點擊').find(({ term }) => term === '點擊').negated, false);
+  });
+});
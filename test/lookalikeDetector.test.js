@@ -0,0 +1,47 @@
+/**
+ * Lookalike detector: keyword stuffing
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectLookalike, LOOKALIKE_ALERT_SCORE } from '../src/services/lookalikeDetector.js';
+
+describe('detectLookalike', () => {
+  it('treats the brands\' group companies as official', () => {
+    for (const host of ['fubonlife.com.tw', 'cathaylife.com.tw', 'yuantafutures.com.tw', 'fubonsecurities.com', 'cathaysec.com.tw', 'sinopacsecurities.com', 'shopeepay.tw', 'momoshopping.com']) {
+      const result = detectLookalike(host);
+      assert.equal(result.official, true, host);
+      assert.equal(result.score, 0, host);
+    }
+  });
+
+  it('does not report a keyword that is only part of a word', () => {
+    for (const host of ['hotcat.com', 'bitcatalog.com', 'etaxi.com', 'fubonlifestyle.com', 'www.momoshopping-mall.com']) {
+      assert.ok(detectLookalike(host).score < LOOKALIKE_ALERT_SCORE, host);
+    }
+  });
+
+  it('does not report a brand keyword without a lure word', () => {
+    assert.equal(detectLookalike('yuanta-invest.com').score, 0);
+  });
+
+  it('keeps keyword stuffing alone below the alert score', () => {
+    const result = detectLookalike('ctbc-login.com');
+    assert.deepEqual(result.techniques, ['keyword_stuffing']);
+    assert.ok(result.score > 0 && result.score < LOOKALIKE_ALERT_SCORE);
+  });
+
+  it('reports keyword stuffing on a suspicious TLD', () => {
+    for (const [host, brand] of [['ctbcbank-login.top', 'ctbc'], ['post-gov-tw.xyz', 'post']]) {
+      const result = detectLookalike(host);
+      assert.equal(result.brand?.id, brand, host);
+      assert.ok(result.score >= LOOKALIKE_ALERT_SCORE, host);
+      assert.ok(result.techniques.includes('suspicious_tld'), host);
+    }
+  });
+
+  it('reports typos, brands in subdomains and homographs', () => {
+    for (const host of ['esunbamk.com', 'ctbcbank.com.tw.verify.cc', 'сtbcbank.com', 'c7bcbank.com']) {
+      assert.ok(detectLookalike(host).score >= LOOKALIKE_ALERT_SCORE, host);
+    }
+  });
+});
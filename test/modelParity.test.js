@@ -0,0 +1,24 @@
+/**
+ * In-process XGBoost inference: parity with the Python model on the fixture bundle
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { createLocalModel } from '../src/services/xgboostLocal.js';
+
+const BUNDLE_FILE = 'test/fixtures/model/scam_detector_model.json';
+const CASES_FILE = 'test/fixtures/model/parity_cases.json';
+
+describe('model parity', () => {
+  it('matches the saved Python predictions', async () => {
+    const { stdout } = await promisify(execFile)(process.execPath, ['training/scripts/test-model-parity.js', BUNDLE_FILE, CASES_FILE]);
+    assert.match(stdout, /All \d+ cases match the Python model/);
+  });
+
+  it('reports the bundle\'s feature columns', () => {
+    const { feature_count: count, features } = createLocalModel({ file: BUNDLE_FILE }).info();
+    assert.equal(count, features.length);
+    assert.ok(features.includes('tfidf_msg_0'));
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * Page inspector: HTML fixtures and a local page server
+ */
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { analyzePageHtml, describePageRisk, inspectPage, PAGE_RISK_ALERT_SCORE } from '../src/services/pageInspector.js';
+
+const PAGES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures/pages');
+
+function page(name) {
+  return fs.readFileSync(path.join(PAGES_DIR, name), 'utf8');
+}
+
+describe('analyzePageHtml', () => {
+  it('flags a bank login clone on a lookalike host', () => {
+    const result = analyzePageHtml(page('ctbc-phishing.html'), 'https://ctbcbank-login.top/verify');
+
+    assert.deepEqual(result.signals, ['password_field', 'credit_card_field', 'otp_field', 'brand_impersonation', 'cross_domain_form', 'obfuscated_script']);
+    assert.equal(result.score, 1);
+    assert.equal(result.title, '中國信託 網路銀行 | 帳戶驗證');
+    assert.equal(result.passwordFields, 1);
+    assert.deepEqual(result.cardFields, ['card_number', 'exp', 'cvv2']);
+    assert.deepEqual(result.otpFields, ['sms']);
+    assert.deepEqual(result.brands, [{ id: 'ctbc', name: 'CTBC Bank (中國信託)', where: ['title', 'text', 'logo'] }]);
+    assert.deepEqual(result.forms, [{
+      action: 'https://collect.evil-panel.cc/submit.php',
+      method: 'post',
+      targetHost: 'collect.evil-panel.cc',
+      crossDomain: true,
+    }]);
+    assert.deepEqual(result.obfuscation, ['atob']);
+  });
+
+  it('does not call the brand\'s own login page impersonation', () => {
+    const result = analyzePageHtml(page('ctbc-official.html'), 'https://www.ctbcbank.com/login');
+
+    assert.deepEqual(result.signals, ['password_field']);
+    assert.deepEqual(result.brands, []);
+    assert.equal(result.forms[0].crossDomain, false);
+    assert.ok(result.score < PAGE_RISK_ALERT_SCORE);
+  });
+
+  it('finds nothing on an ordinary page', () => {
+    const result = analyzePageHtml(page('news-article.html'), 'https://news.example.com/typhoon');
+
+    assert.deepEqual(result.signals, []);
+    assert.equal(result.score, 0);
+    assert.equal(result.title, '颱風假最新消息 & 停班停課一覽');
+    assert.equal(describePageRisk(result), null);
+  });
+
+  it('describes what a risky page asks for', () => {
+    const description = describePageRisk(analyzePageHtml(page('ctbc-phishing.html'), 'https://ctbcbank-login.top/verify'));
+    assert.match(description, /ctbcbank-login\.top/);
+    assert.match(description, /collect\.evil-panel\.cc/);
+  });
+});
+
+describe('inspectPage', () => {
+  let server;
+  let origin;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(page('ctbc-phishing.html'));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    origin = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  it('fetches and inspects a served page', async () => {
+    const result = await inspectPage(`${origin}/verify`, { allowPrivateNetworks: true, timeoutMs: 1000 });
+
+    assert.equal(result.fetched, true);
+    assert.equal(result.status, 200);
+    assert.ok(result.signals.includes('credit_card_field'));
+    assert.ok(result.score >= PAGE_RISK_ALERT_SCORE);
+  });
+
+  it('refuses a private address without allowPrivateNetworks', async () => {
+    const result = await inspectPage(`${origin}/verify`, { timeoutMs: 1000 });
+
+    assert.equal(result.fetched, false);
+    assert.match(result.error, /non-public address/);
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Parser: phone number formats and bare domains
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseMessage } from '../src/services/parser.js';
+
+describe('phone extraction', () => {
+  it('finds Taiwan toll-free, premium, VoIP and landline formats', () => {
+    const cases = [
+      ['請撥 0800-000-123 查詢', '0800000123'],
+      ['付費專線 0204-123-456', '0204123456'],
+      ['客服 070-1234-5678', '07012345678'],
+      ['電話 (02) 2345-6789', '0223456789'],
+      ['苗栗 037-123456', '037123456'],
+      ['南投 049-2345678', '0492345678'],
+      ['手機 0912-345-678', '0912345678'],
+    ];
+    for (const [message, phone] of cases) {
+      assert.deepEqual(parseMessage(message).phones, [phone], message);
+    }
+  });
+
+  it('keeps an unseparated VoIP number whole', () => {
+    assert.deepEqual(parseMessage('請撥07012345678').phones, ['07012345678']);
+  });
+
+  it('does not take a phone number out of a longer digit run', () => {
+    assert.deepEqual(parseMessage('訂單號 20240101123456').phones, []);
+    assert.deepEqual(parseMessage('訂單號20240101123456已出貨').phones, []);
+  });
+
+  it('still finds international numbers', () => {
+    assert.deepEqual(parseMessage('Call +886 912 345 678 or +1 (415) 555-0100').phones, ['+886912345678', '+14155550100']);
+  });
+});
+
+describe('bare domain extraction', () => {
+  it('finds domains under the TLDs scam links use', () => {
+    const cases = [
+      ['您的帳戶異常 請至 ctbcbank-login.top 驗證', 'http://ctbcbank-login.top'],
+      ['Claim at prize-center.xyz/claim now', 'http://prize-center.xyz/claim'],
+      ['請登入 cathay-verify.cc', 'http://cathay-verify.cc'],
+      ['VIP 會員 vip-bonus.vip 領取', 'http://vip-bonus.vip'],
+      ['官方商城 momo-sale.shop', 'http://momo-sale.shop'],
+      ['details at refund-tw.info', 'http://refund-tw.info'],
+      ['加入 line-group.me 群組', 'http://line-group.me'],
+    ];
+    for (const [message, url] of cases) {
+      assert.deepEqual(parseMessage(message).urls, [url], message);
+    }
+  });
+
+  it('finds a spelled-out domain under the same TLDs', () => {
+    assert.deepEqual(parseMessage('請至 ctbcbank-login dot top 驗證').urls, ['http://ctbcbank-login.top']);
+  });
+
+  it('reads 點 and 。 between domain labels as a dot', () => {
+    assert.deepEqual(parseMessage('請至 ctbcbank-login點top 驗證').urls, ['http://ctbcbank-login.top']);
+    assert.deepEqual(parseMessage('官網 refund-tw 点 info 查询').urls, ['http://refund-tw.info']);
+    assert.deepEqual(parseMessage('登入 example。com 查看').urls, ['http://example.com']);
+  });
+
+  it('does not take ordinary sentences for domains', () => {
+    assert.deepEqual(parseMessage('Thanks.See you at 3pm').urls, []);
+    assert.deepEqual(parseMessage('OK。Info 明天見').urls, []);
+    assert.deepEqual(parseMessage('收到了。 me 也是').urls, []);
+  });
+});
+
+describe('internationalized hosts', () => {
+  it('finds links with Chinese hosts after a scheme or www.', () => {
+    assert.deepEqual(parseMessage('請點 https://例子.tw/login 查看').urls, ['https://例子.tw/login']);
+    assert.deepEqual(parseMessage('官網 www.例子.台灣。').urls, ['http://www.例子.台灣']);
+  });
+
+  it('does not take the sentence after a link into its host', () => {
+    assert.deepEqual(parseMessage('請至https://example.com請點擊').urls, ['https://example.com']);
+    assert.deepEqual(parseMessage('網址：https://ctbc.com/a查看').urls, ['https://ctbc.com/a']);
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Privacy mode: where the ML model ran and what it receives
+ */
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import axios from 'axios';
+import config from '../src/config.js';
+import { createPipeline, withModelSignal } from '../src/services/privacyMode.js';
+import { predictScamProbability } from '../src/services/xgboostService.js';
+import { getLocalModel } from '../src/services/xgboostLocal.js';
+
+const signals = { mode: 'local', local: ['entity_parsing'], external: [], skipped: ['safe_browsing'] };
+const apiUrl = config.xgboostApiUrl;
+
+describe('withModelSignal', () => {
+  afterEach(() => {
+    config.xgboostApiUrl = apiUrl;
+  });
+
+  it('counts the in-process model as local', () => {
+    config.xgboostApiUrl = 'https://models.example.com';
+    assert.deepEqual(withModelSignal(signals, { available: true, engine: 'local' }).local, ['entity_parsing', 'ml_model']);
+  });
+
+  it('counts a model service on another host as external', () => {
+    config.xgboostApiUrl = 'https://models.example.com';
+    const result = withModelSignal(signals, { available: true, engine: 'remote' });
+    assert.deepEqual(result.external, ['ml_model']);
+    assert.ok(!result.local.includes('ml_model'));
+  });
+
+  it('counts a model service on this machine as local', () => {
+    config.xgboostApiUrl = 'http://127.0.0.1:5000';
+    assert.ok(withModelSignal(signals, { available: true, engine: 'remote' }).local.includes('ml_model'));
+  });
+
+  it('reports the model as skipped when no model answered', () => {
+    const result = withModelSignal(signals, { available: false, error: 'connect ECONNREFUSED' });
+    assert.deepEqual(result.skipped, ['safe_browsing', 'ml_model']);
+    assert.ok(!result.local.includes('ml_model'));
+  });
+});
+
+describe('model input in local mode', () => {
+  const { modelOptions } = createPipeline('local');
+  const features = { message_text: '包裹 無法配送 請點擊 連結', openai_reason: 'courier lure', message_length: 14 };
+  const prediction = { scam_probability: 0.9, normal_probability: 0.1, is_scam: true, confidence: 'high', top_scam_factors: [] };
+
+  afterEach(() => {
+    config.xgboostApiUrl = apiUrl;
+    mock.restoreAll();
+  });
+
+  it('gives the in-process model the full vector', async () => {
+    const predict = mock.method(getLocalModel(), 'predict', () => prediction);
+    const result = await predictScamProbability(features, { ...modelOptions, engine: 'local' });
+
+    assert.equal(result.engine, 'local');
+    assert.deepEqual(predict.mock.calls[0].arguments[0], features);
+  });
+
+  it('gives a model service on this machine the full vector', async () => {
+    config.xgboostApiUrl = 'http://127.0.0.1:5000';
+    const post = mock.method(axios, 'post', async () => ({ data: { success: true, result: prediction } }));
+    await predictScamProbability(features, { ...modelOptions, engine: 'remote' });
+
+    assert.deepEqual(post.mock.calls[0].arguments[1], features);
+  });
+
+  it('keeps text off a model service on another host', async () => {
+    config.xgboostApiUrl = 'https://models.example.com';
+    const post = mock.method(axios, 'post', async () => ({ data: { success: true, result: prediction } }));
+    await predictScamProbability(features, { ...modelOptions, engine: 'remote' });
+
+    const sent = post.mock.calls[0].arguments[1];
+    assert.equal(sent.message_length, 14);
+    assert.ok(!('message_text' in sent));
+    assert.ok(!('openai_reason' in sent));
+  });
+});
@@ -0,0 +1,29 @@
+/**
+ * Prompt guard: cross-checking the LLM verdict against non-LLM signals
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { crossCheckAiVerdict } from '../src/services/promptGuard.js';
+
+const notScam = { isScam: false, confidence: 70, reason: 'Looks like a delivery notice', validation: { fallback: false } };
+const urlResults = [{ isSafe: false, hostname: { suspicious: true } }];
+
+describe('crossCheckAiVerdict', () => {
+  it('overrules "not a scam" when a link is flagged', () => {
+    const result = crossCheckAiVerdict(notScam, { urlResults });
+    assert.equal(result.isScam, true);
+    assert.equal(result.confidence, 90);
+    assert.deepEqual(result.crossCheck.signals, ['url_flagged', 'homograph_host']);
+    assert.equal(result.reason, 'Overruled by a flagged link and a disguised web address; the AI had answered: Looks like a delivery notice');
+  });
+
+  it('writes the reason in the report language', () => {
+    const result = crossCheckAiVerdict({ ...notScam, reason: '' }, { urlResults, lang: 'zh-TW' });
+    assert.equal(result.reason, '因被標記為危險的連結和偽裝的網址而推翻；AI 原本的回答：未提供理由');
+  });
+
+  it('leaves fallback verdicts alone', () => {
+    const fallback = { ...notScam, validation: { fallback: true } };
+    assert.equal(crossCheckAiVerdict(fallback, { urlResults }), fallback);
+  });
+});
@@ -0,0 +1,201 @@
+/**
+ * Redirect resolver: SSRF guard and redirect chains
+ */
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import dns from 'dns';
+import http from 'http';
+import { isBlockedAddress, resolveRedirects, fetchPage } from '../src/services/redirectResolver.js';
+
+describe('isBlockedAddress', () => {
+  it('blocks private, loopback and reserved IPv4', () => {
+    for (const address of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '224.0.0.1', '255.255.255.255', '192.88.99.1']) {
+      assert.equal(isBlockedAddress(address), true, address);
+    }
+  });
+
+  it('blocks IPv4-mapped addresses in dotted and hex form', () => {
+    for (const address of ['::ffff:127.0.0.1', '::ffff:7f00:1', '[::ffff:7f00:1]', '::ffff:a9fe:a9fe', '::ffff:0a00:0001']) {
+      assert.equal(isBlockedAddress(address), true, address);
+    }
+  });
+
+  it('blocks NAT64, 6to4, Teredo and IPv4-compatible addresses', () => {
+    for (const address of ['64:ff9b::7f00:1', '64:ff9b::127.0.0.1', '64:ff9b:1::a00:1', '2002:7f00:1::', '2002:c0a8:101::1', '2001:0:4136:e378::1', '::7f00:1']) {
+      assert.equal(isBlockedAddress(address), true, address);
+    }
+  });
+
+  it('blocks IPv6 loopback, unique local, link-local and multicast', () => {
+    for (const address of ['::1', '::', 'fc00::1', 'fd12:3456::1', 'fe80::1', 'fe80::1%eth0', 'ff02::1']) {
+      assert.equal(isBlockedAddress(address), true, address);
+    }
+  });
+
+  it('allows public addresses', () => {
+    for (const address of ['8.8.8.8', '1.1.1.1', '203.0.114.1', '2606:4700:4700::1111', '2001:4860:4860::8888']) {
+      assert.equal(isBlockedAddress(address), false, address);
+    }
+  });
+});
+
+describe('SSRF guard on requests', () => {
+  let server;
+  let port;
+  let requests = 0;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      requests++;
+      res.end('<title>internal</title>');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  it('does not follow links to a loopback server written as a mapped IPv6 literal', async () => {
+    for (const host of ['[::ffff:127.0.0.1]', '[::ffff:7f00:1]', '127.0.0.1', '[64:ff9b::7f00:1]', '[2002:7f00:1::]']) {
+      const chain = await resolveRedirects(`http://${host}:${port}/`, { timeoutMs: 1000 });
+      assert.equal(chain.stoppedReason, 'blocked_address', host);
+    }
+    assert.equal(requests, 0);
+  });
+
+  it('does not fetch pages from a loopback server written as a mapped IPv6 literal', async () => {
+    await assert.rejects(fetchPage(`http://[::ffff:7f00:1]:${port}/`, { timeoutMs: 1000 }), { code: 'BLOCKED_ADDRESS' });
+    assert.equal(requests, 0);
+  });
+});
+
+describe('redirect chains', () => {
+  let server;
+  let origin;
+
+  // Every path answers with one kind of redirect; the chains below are built from these
+  const ROUTES = {
+    '/short': res => { res.writeHead(301, { Location: '/hop2' }); res.end(); },
+    '/hop2': res => { res.writeHead(302, { Location: '/landing?ref=sms' }); res.end(); },
+    '/landing': res => { res.writeHead(200, { 'Content-Type': 'text/html' }); res.end('<title>landing</title>'); },
+    '/meta': res => {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end('<meta http-equiv="refresh" content="0; url=/script">');
+    },
+    '/script': res => {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end('<script>window.location.href = "/landing";</script>');
+    },
+    '/loop-a': res => { res.writeHead(302, { Location: '/loop-b' }); res.end(); },
+    '/loop-b': res => { res.writeHead(302, { Location: '/loop-a' }); res.end(); },
+    '/to-file': res => { res.writeHead(302, { Location: 'file:///etc/passwd' }); res.end(); },
+  };
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      const path = req.url.split('?')[0];
+      const chain = path.match(/^\/chain\/(\d+)$/);
+      if (chain) {
+        res.writeHead(302, { Location: `/chain/${Number(chain[1]) + 1}` });
+        res.end();
+      } else if (ROUTES[path]) {
+        ROUTES[path](res);
+      } else {
+        res.writeHead(404);
+        res.end();
+      }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    origin = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  const options = { allowPrivateNetworks: true, timeoutMs: 1000 };
+
+  it('follows a 301 then 302 chain to the landing page', async () => {
+    const chain = await resolveRedirects(`${origin}/short`, { ...options, maxHops: 5 });
+    assert.equal(chain.finalUrl, `${origin}/landing?ref=sms`);
+    assert.deepEqual(chain.hops.map(hop => [hop.status, hop.type]), [[301, 'http'], [302, 'http'], [200, null]]);
+    assert.equal(chain.redirected, true);
+    assert.equal(chain.stoppedReason, null);
+  });
+
+  it('follows meta refresh and JavaScript redirects', async () => {
+    const chain = await resolveRedirects(`${origin}/meta`, { ...options, maxHops: 5 });
+    assert.deepEqual(chain.hops.map(hop => hop.type), ['meta-refresh', 'javascript', null]);
+    assert.equal(chain.finalUrl, `${origin}/landing`);
+  });
+
+  it('stops on a loop', async () => {
+    const chain = await resolveRedirects(`${origin}/loop-a`, { ...options, maxHops: 10 });
+    assert.equal(chain.stoppedReason, 'loop');
+    assert.deepEqual(chain.hops.map(hop => new URL(hop.url).pathname), ['/loop-a', '/loop-b']);
+  });
+
+  it('stops after maxHops redirects', async () => {
+    const chain = await resolveRedirects(`${origin}/chain/0`, { ...options, maxHops: 3 });
+    assert.equal(chain.stoppedReason, 'max_hops');
+    assert.equal(chain.hops.length, 4);
+    assert.equal(chain.finalUrl, `${origin}/chain/3`);
+  });
+
+  it('does not follow a redirect to a non-http scheme', async () => {
+    const chain = await resolveRedirects(`${origin}/to-file`, { ...options, maxHops: 5 });
+    assert.equal(chain.stoppedReason, 'blocked_scheme');
+    assert.equal(chain.finalUrl, 'file:///etc/passwd');
+    assert.equal(chain.hops.length, 2);
+  });
+});
+
+describe('SSRF guard on host names', () => {
+  it('blocks a host whose DNS answer includes a private address, before connecting', async () => {
+    const lookup = mock.method(dns.promises, 'lookup', async () => [
+      { address: '93.184.216.34', family: 4 },
+      { address: '10.0.0.5', family: 4 },
+    ]);
+    try {
+      const chain = await resolveRedirects('http://intranet.example.test/', { timeoutMs: 1000 });
+      assert.equal(chain.stoppedReason, 'blocked_address');
+      assert.match(chain.hops[0].error, /10\.0\.0\.5/);
+      assert.equal(lookup.mock.callCount(), 1);
+    } finally {
+      lookup.mock.restore();
+    }
+  });
+});
+
+describe('per-hop deadline', () => {
+  let server;
+  let origin;
+
+  // Headers at once, then one byte of page every 50 ms: never quiet long enough for a socket timeout
+  before(async () => {
+    server = http.createServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      const drip = setInterval(() => res.write(' '), 50);
+      res.on('close', () => clearInterval(drip));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    origin = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.closeAllConnections();
+    return new Promise(resolve => server.close(resolve));
+  });
+
+  it('gives up on a page that drips bytes', async () => {
+    const started = Date.now();
+    await assert.rejects(
+      fetchPage(`${origin}/slow`, { allowPrivateNetworks: true, timeoutMs: 300, maxBodyBytes: 1024 * 1024 }),
+      { code: 'TIMEOUT' },
+    );
+    assert.ok(Date.now() - started < 2000);
+  });
+
+  it('stops a redirect chain at a dripping hop', async () => {
+    const chain = await resolveRedirects(`${origin}/slow`, { allowPrivateNetworks: true, timeoutMs: 300, maxBodyBytes: 1024 * 1024 });
+    assert.equal(chain.stoppedReason, 'timeout');
+  });
+});
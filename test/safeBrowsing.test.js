@@ -0,0 +1,73 @@
+/**
+ * Safe Browsing Lookup API against a stand-in server
+ */
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import config from '../src/config.js';
+import { checkUrlsSafety } from '../src/services/safeBrowsing.js';
+
+describe('lookup mode', () => {
+  const saved = { apiKey: config.googleSafeBrowsingApiKey, safeBrowsing: { ...config.safeBrowsing }, cacheFile: config.urlCache.file };
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'safe-browsing-'));
+  let server;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const { threatInfo } = JSON.parse(body);
+        const urls = threatInfo.threatEntries.map(entry => entry.url);
+        // A hung API: accept the request and never answer
+        if (urls.some(url => url.includes('hang.example'))) return;
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({
+          matches: urls.filter(url => url.includes('phish.example')).map(url => ({
+            threatType: 'SOCIAL_ENGINEERING',
+            platformType: 'ANY_PLATFORM',
+            threatEntryType: 'URL',
+            threat: { url },
+            cacheDuration: '300s',
+          })),
+        }));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    config.googleSafeBrowsingApiKey = 'test-key';
+    config.safeBrowsing.mode = 'lookup';
+    config.safeBrowsing.apiBaseUrl = `http://127.0.0.1:${server.address().port}/v4`;
+    config.safeBrowsing.timeoutMs = 200;
+    config.urlCache.file = path.join(tmpDir, 'url_cache.json');
+  });
+
+  after(async () => {
+    config.googleSafeBrowsingApiKey = saved.apiKey;
+    Object.assign(config.safeBrowsing, saved.safeBrowsing);
+    config.urlCache.file = saved.cacheFile;
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('splits one batch request back into verdicts per URL', async () => {
+    const [flagged, clean] = await checkUrlsSafety(['http://phish.example/login', 'https://example.org/']);
+    assert.equal(flagged.isSafe, false);
+    assert.equal(flagged.threatType, 'SOCIAL_ENGINEERING');
+    assert.equal(flagged.cacheDuration, 300);
+    assert.equal(clean.isSafe, true);
+    assert.equal(clean.error, undefined);
+  });
+
+  it('gives up on a hung API after the configured timeout', async () => {
+    const started = Date.now();
+    const [verdict] = await checkUrlsSafety(['http://hang.example/']);
+    assert.ok(Date.now() - started < 2000);
+    assert.equal(verdict.isSafe, true);
+    assert.match(verdict.error, /timeout/i);
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Safe Browsing Update API: local database against a stand-in server
+ */
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import http from 'http';
+import { createHashPrefixDatabase } from '../src/services/safeBrowsingUpdate.js';
+
+const LISTED_EXPRESSION = 'phish.example/';
+const LISTED_HASH = crypto.createHash('sha256').update(LISTED_EXPRESSION).digest();
+const LISTED_PREFIX = LISTED_HASH.subarray(0, 4);
+
+describe('hash-prefix database', () => {
+  let server;
+  let baseUrl;
+  const requests = { fetch: [], find: [] };
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const payload = JSON.parse(body);
+        res.setHeader('Content-Type', 'application/json');
+        if (req.url.startsWith('/v4/threatListUpdates:fetch')) {
+          requests.fetch.push(payload);
+          res.end(JSON.stringify({
+            listUpdateResponses: payload.listUpdateRequests
+              .filter(list => list.threatType === 'SOCIAL_ENGINEERING')
+              .map(list => ({
+                threatType: list.threatType,
+                platformType: list.platformType,
+                threatEntryType: list.threatEntryType,
+                responseType: 'FULL_UPDATE',
+                additions: [{ compressionType: 'RAW', rawHashes: { prefixSize: 4, rawHashes: LISTED_PREFIX.toString('base64') } }],
+                newClientState: 'state-1',
+                checksum: { sha256: crypto.createHash('sha256').update(LISTED_PREFIX).digest('base64') },
+              })),
+            minimumWaitDuration: '1800s',
+          }));
+        } else if (req.url.startsWith('/v4/fullHashes:find')) {
+          requests.find.push(payload);
+          res.end(JSON.stringify({
+            matches: [{
+              threatType: 'SOCIAL_ENGINEERING',
+              platformType: 'ANY_PLATFORM',
+              threatEntryType: 'URL',
+              threat: { hash: LISTED_HASH.toString('base64') },
+              cacheDuration: '300s',
+            }],
+            negativeCacheDuration: '300s',
+          }));
+        } else {
+          res.statusCode = 404;
+          res.end('{}');
+        }
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/v4`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  it('downloads the lists, confirms a prefix hit and flags the URL', async () => {
+    const database = createHashPrefixDatabase({ apiKey: 'test-key', apiBaseUrl: baseUrl, databaseFile: null });
+    await database.ensureFresh();
+
+    assert.equal(requests.fetch.length, 1);
+    assert.equal(requests.fetch[0].listUpdateRequests.length, 4);
+    assert.ok(requests.fetch[0].listUpdateRequests.every(list => list.state === ''));
+
+    const verdict = await database.check('http://Phish.example/login?user=1');
+    assert.equal(verdict.isSafe, false);
+    assert.equal(verdict.threatType, 'SOCIAL_ENGINEERING');
+    assert.equal(verdict.prefixMatch, true);
+    assert.equal(verdict.threats[0].threat.url, LISTED_EXPRESSION);
+    assert.equal(requests.find.length, 1);
+    // Only the 4-byte prefix leaves the machine
+    assert.deepEqual(requests.find[0].threatInfo.threatEntries, [{ hash: LISTED_PREFIX.toString('base64') }]);
+    assert.deepEqual(requests.find[0].clientStates, ['state-1']);
+
+    // The confirmed full hash is cached
+    assert.equal((await database.check('http://phish.example/other')).isSafe, false);
+    assert.equal(requests.find.length, 1);
+  });
+
+  it('answers other URLs from the local database alone', async () => {
+    const database = createHashPrefixDatabase({ apiKey: 'test-key', apiBaseUrl: baseUrl, databaseFile: null });
+    const finds = requests.find.length;
+    await database.update();
+
+    const verdict = await database.check('https://www.example.com/');
+    assert.equal(verdict.isSafe, true);
+    assert.equal(verdict.prefixMatch, false);
+    assert.equal(requests.find.length, finds);
+
+    // Within minimumWaitDuration no new update is fetched
+    const fetches = requests.fetch.length;
+    await database.ensureFresh();
+    assert.equal(requests.fetch.length, fetches);
+    assert.equal(database.getStats().lists.find(list => list.threatType === 'SOCIAL_ENGINEERING').prefixes, 1);
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * URL verdict cache: TTLs, negative caching, purging and the batched save
+ */
+import { describe, it, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import config from '../src/config.js';
+import { getCachedVerdict, setCachedVerdict, purgeCache, getCacheStats } from '../src/services/urlCache.js';
+
+const safe = { isSafe: true, threatType: null };
+const unsafe = { isSafe: false, threatType: 'SOCIAL_ENGINEERING' };
+const failed = { isSafe: true, threatType: null, error: 'Request failed with status code 503' };
+
+describe('url cache', () => {
+  const saved = { file: config.urlCache.file, ttlSeconds: { ...config.urlCache.ttlSeconds } };
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'url-cache-'));
+
+  before(() => {
+    // One clock for the whole suite, so a save scheduled by one test still fires in the next
+    mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.now() });
+    config.urlCache.file = path.join(tmpDir, 'url_cache.json');
+    Object.assign(config.urlCache.ttlSeconds, { safe: 3600, unsafe: 86400, error: 60 });
+  });
+
+  after(() => {
+    mock.timers.reset();
+    config.urlCache.file = saved.file;
+    Object.assign(config.urlCache.ttlSeconds, saved.ttlSeconds);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    purgeCache();
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('keys entries by canonical URL', () => {
+    setCachedVerdict('HTTP://Phish.Example/login', unsafe);
+    assert.deepEqual(getCachedVerdict('http://phish.example/login'), { ...unsafe, cached: true });
+  });
+
+  it('keeps each kind of verdict for its own TTL', () => {
+    setCachedVerdict('https://safe.example/', safe);
+    setCachedVerdict('https://unsafe.example/', unsafe);
+    setCachedVerdict('https://down.example/', failed);
+
+    mock.timers.tick(61 * 1000);
+    assert.equal(getCachedVerdict('https://down.example/'), null);
+    assert.ok(getCachedVerdict('https://safe.example/'));
+
+    mock.timers.tick(3600 * 1000);
+    assert.equal(getCachedVerdict('https://safe.example/'), null);
+    assert.ok(getCachedVerdict('https://unsafe.example/'));
+
+    mock.timers.tick(86400 * 1000);
+    assert.equal(getCachedVerdict('https://unsafe.example/'), null);
+  });
+
+  it('lets the caller override the TTL', () => {
+    setCachedVerdict('https://unsafe.example/', unsafe, 300);
+    mock.timers.tick(301 * 1000);
+    assert.equal(getCachedVerdict('https://unsafe.example/'), null);
+  });
+
+  it('negative-caches failed lookups', () => {
+    setCachedVerdict('https://down.example/', failed);
+    const before = getCacheStats().negativeHits;
+
+    const cached = getCachedVerdict('https://down.example/');
+    assert.equal(cached.error, failed.error);
+    assert.equal(getCacheStats().negativeHits, before + 1);
+    assert.equal(getCacheStats().byKind.error, 1);
+  });
+
+  it('purges by URL, kind, or expiry', () => {
+    setCachedVerdict('https://safe.example/', safe);
+    setCachedVerdict('https://unsafe.example/', unsafe);
+    setCachedVerdict('https://down.example/', failed);
+    setCachedVerdict('https://other.example/', safe);
+
+    assert.equal(purgeCache({ url: 'HTTPS://SAFE.example/' }), 1);
+    assert.equal(purgeCache({ kind: 'unsafe' }), 1);
+    mock.timers.tick(61 * 1000);
+    assert.equal(purgeCache({ expiredOnly: true }), 1);
+    assert.deepEqual(getCacheStats().byKind, { safe: 1, unsafe: 0, error: 0 });
+  });
+
+  it('writes many changes to the file once', () => {
+    const writes = mock.method(fs, 'writeFileSync');
+    setCachedVerdict('https://a.example/', safe);
+    setCachedVerdict('https://b.example/', unsafe);
+    setCachedVerdict('https://c.example/', failed);
+    assert.equal(writes.mock.callCount(), 0);
+
+    mock.timers.tick(1000);
+    assert.equal(writes.mock.callCount(), 1);
+    const saved = JSON.parse(fs.readFileSync(config.urlCache.file, 'utf8'));
+    assert.deepEqual(Object.keys(saved).sort(), ['https://a.example/', 'https://b.example/', 'https://c.example/']);
+  });
+});
@@ -1,9 +1,12 @@
 import express from 'express';
 import { parseMessage } from '../../src/services/parser.js';
-import { checkUrlSafety } from '../../src/services/safeBrowsing.js';
-import { lookupPhone } from '../../src/services/twilioLookup.js';
+import { checkUrls } from '../../src/services/urlIntel.js';
+import { lookupPhone } from '../../src/services/phoneIntel.js';
 import { analyzeWithOpenAI } from '../../src/services/openaiCheck.js';
-import { extractFeatures } from '../services/featureExtractor.js';
+import { crossCheckAiVerdict } from '../../src/services/promptGuard.js';
+import { redactPII } from '../../src/services/piiRedactor.js';
+import { extractFeatures } from '../../src/services/featureExtractor.js';
+import { FEATURE_REGISTRY } from '../../src/services/featureRegistry.js';
 import { initCSV, appendToCSV, getRowCount } from '../utils/csvWriter.js';
 
 const router = express.Router();
@@ -13,7 +16,7 @@ initCSV();
 
 router.post('/collect-training-data', async (req, res) => {
   try {
-    const { image_path, ocr_text, label } = req.body;
+    const { image_path, ocr_text, label, region } = req.body;
 
     if (!ocr_text || label === undefined) {
       return res.status(400).json({ 
@@ -26,22 +29,24 @@ router.post('/collect-training-data', async (req, res) => {
     // 1. Parse message
     const parsed = parseMessage(ocr_text);
 
-    // 2. Call APIs in parallel
-    const [urlResult, phoneResult, aiResult] = await Promise.all([
-      parsed.url ? checkUrlSafety(parsed.url) : Promise.resolve(null),
-      parsed.phone ? lookupPhone(parsed.phone) : Promise.resolve(null),
-      analyzeWithOpenAI(ocr_text),
+    // 2. Call APIs in parallel (all URLs in one batch, once per phone)
+    const [urlResults, phoneResults, llmResult] = await Promise.all([
+      checkUrls(parsed.urls),
+      Promise.all(parsed.phones.map(phone => lookupPhone(phone, { region }))),
+      analyzeWithOpenAI(redactPII(ocr_text, parsed).text),
     ]);
+    // Same verdict cross-check as /api/analyze, so openai_* features mean the same thing
+    const aiResult = crossCheckAiVerdict(llmResult, { urlResults, injection: parsed.promptInjection });
 
-    // 3. Extract all features
-    const features = extractFeatures(ocr_text, parsed, urlResult, phoneResult, aiResult);
+    // 3. Extract all features (same extractor and registry as /api/analyze)
+    const features = extractFeatures(ocr_text, parsed, urlResults, phoneResults, aiResult);
 
     // 4. Prepare row data
     const rowData = {
       message_id: getRowCount() + 1,
       label: label,
       source: image_path || 'unknown',
-      message_text: ocr_text,
+      feature_version: FEATURE_REGISTRY.version,
       ...features
     };
 
@@ -55,8 +60,8 @@ router.post('/collect-training-data', async (req, res) => {
       message_id: rowData.message_id,
       features: features,
       apis_called: {
-        url: !!urlResult,
-        phone: !!phoneResult,
+        url: urlResults.length,
+        phone: phoneResults.length,
         openai: !!aiResult
       }
     });
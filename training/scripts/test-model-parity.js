@@ -0,0 +1,106 @@
+// Check in-process XGBoost inference against the Python model
+// This script will:
+// 1. Load the bundle lumos_XGBoost/export_model.py wrote (scam_detector_model.json)
+// 2. Predict every case in lumos_XGBoost/parity_cases.json with src/services/xgboostLocal.js
+// 3. Compare with the Python predictions saved next to each case; exit 1 on any mismatch
+// Until the model has been exported, the fixture model in test/fixtures/model is checked instead.
+//
+// Usage: node training/scripts/test-model-parity.js [bundle.json] [parity_cases.json]
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createLocalModel } from '../../src/services/xgboostLocal.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const MODEL_DIR = path.join(__dirname, '../../lumos_XGBoost');
+const FIXTURE_DIR = path.join(__dirname, '../../test/fixtures/model');
+const exported = fs.existsSync(path.join(MODEL_DIR, 'scam_detector_model.json'));
+const DEFAULT_DIR = exported ? MODEL_DIR : FIXTURE_DIR;
+const BUNDLE_FILE = path.resolve(process.argv[2] || path.join(DEFAULT_DIR, 'scam_detector_model.json'));
+const CASES_FILE = path.resolve(process.argv[3] || path.join(DEFAULT_DIR, 'parity_cases.json'));
+
+// float32 probabilities may differ in the last bit (expf / logf vs Math.exp / Math.log)
+const PROBABILITY_TOLERANCE = 1e-6;
+const SCORE_TOLERANCE = 1e-9;
+
+function close(actual, expected, tolerance) {
+  return Math.abs(actual - expected) <= tolerance * Math.max(1, Math.abs(expected));
+}
+
+// Differences between one JS prediction and the saved Python one
+function compare(actual, expected) {
+  const problems = [];
+  for (const field of ['scam_probability', 'normal_probability']) {
+    if (!close(actual[field], expected[field], PROBABILITY_TOLERANCE)) {
+      problems.push(`${field}: ${actual[field]} != ${expected[field]}`);
+    }
+  }
+  for (const field of ['is_scam', 'confidence', 'prediction_label']) {
+    if (actual[field] !== expected[field]) problems.push(`${field}: ${actual[field]} != ${expected[field]}`);
+  }
+
+  const actualFactors = actual.top_scam_factors;
+  const expectedFactors = expected.top_scam_factors;
+  if (actualFactors.map(f => f.feature).join(',') !== expectedFactors.map(f => f.feature).join(',')) {
+    problems.push(`top_scam_factors: [${actualFactors.map(f => f.feature)}] != [${expectedFactors.map(f => f.feature)}]`);
+  } else {
+    expectedFactors.forEach((factor, index) => {
+      for (const field of ['value', 'importance', 'contribution_score']) {
+        if (!close(actualFactors[index][field], factor[field], SCORE_TOLERANCE)) {
+          problems.push(`top_scam_factors[${index}].${field} (${factor.feature}): ${actualFactors[index][field]} != ${factor[field]}`);
+        }
+      }
+    });
+  }
+  return problems;
+}
+
+function testModelParity() {
+  console.log('🔬 Testing in-process XGBoost inference against Python predictions\n');
+  console.log('='.repeat(70));
+  if (!exported && !process.argv[2]) {
+    console.log('⚠️ No exported model in lumos_XGBoost; checking the fixture model in test/fixtures/model');
+    console.log('   Run npm run ml:export to check the trained model.\n');
+  }
+
+  let cases;
+  try {
+    cases = JSON.parse(fs.readFileSync(CASES_FILE, 'utf8')).cases;
+  } catch (error) {
+    console.log(`❌ Parity cases not loaded (${CASES_FILE}): ${error.message}`);
+    console.log('   Run python export_model.py in lumos_XGBoost first.');
+    process.exit(1);
+  }
+
+  const model = createLocalModel({ file: BUNDLE_FILE });
+  let failed = 0;
+
+  for (const testCase of cases) {
+    let problems;
+    try {
+      problems = compare(model.predict(testCase.input), testCase.expected);
+    } catch (error) {
+      problems = [error.message];
+    }
+
+    if (problems.length === 0) {
+      console.log(`✅ ${testCase.name}: ${(testCase.expected.scam_probability * 100).toFixed(2)}% scam`);
+    } else {
+      failed++;
+      console.log(`❌ ${testCase.name}`);
+      problems.forEach(problem => console.log(`   - ${problem}`));
+    }
+  }
+
+  console.log('\n' + '='.repeat(70));
+  if (failed > 0) {
+    console.log(`❌ ${failed} of ${cases.length} cases differ from the Python model\n`);
+    process.exit(1);
+  }
+  console.log(`✨ All ${cases.length} cases match the Python model\n`);
+}
+
+testModelParity();
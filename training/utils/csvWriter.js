@@ -1,71 +1,52 @@
 import fs from 'fs';
 import path from 'path';
+import { FEATURE_REGISTRY } from '../../src/services/featureRegistry.js';
 
 const CSV_FILE = path.join(process.cwd(), 'training_data.csv');
+// Registry version and each column's kind, for lumos_XGBoost/train_model.py
+const SCHEMA_FILE = path.join(process.cwd(), 'training_data.features.json');
 
-// CSV column headers
+// CSV column headers: row metadata, then every registered feature (see featureRegistry.js)
 const HEADERS = [
   'message_id',
   'label',
   'source',
-  'message_text',
-  'message_length',
-  'contains_urgent_words',
-  'contains_money_keywords',
-  'contains_link_text',
-  'contains_prize_keywords',
-  'contains_bank_keywords',
-  'contains_package_keywords',
-  'special_char_count',
-  'exclamation_count',
-  'question_count',
-  'has_url',
-  'url_count',
-  'url_domain',
-  'url_is_shortened',
-  'url_has_ip',
-  'url_length',
-  'google_safe_browsing_is_safe',
-  'google_safe_browsing_threat',
-  'has_phone',
-  'phone_count',
-  'phone_number',
-  'phone_is_mobile',
-  'phone_is_voip',
-  'phone_is_valid',
-  'phone_carrier',
-  'phone_country_code',
-  'openai_is_scam',
-  'openai_confidence',
-  'openai_reason',
-  'openai_keywords',
-  'openai_urgency_level',
-  'openai_threat_level',
-  'openai_temptation_level',
-  'openai_impersonation_type',
-  'openai_action_requested',
-  'openai_grammar_quality',
-  'openai_emotion_triggers',
-  'openai_credibility_score',
-  'avg_word_length',
-  'digit_ratio',
-  'uppercase_ratio'
+  'feature_version',
+  ...FEATURE_REGISTRY.features.map(feature => feature.name),
 ];
 
+// Why rows cannot be added to the existing file, or null
+let versionMismatch = null;
+
 /**
  * Initialize CSV file with headers if it doesn't exist
+ * A file started under another feature registry version is left alone: its columns or their
+ * meaning differ, so appendToCSV() refuses to add rows until it is moved aside.
  */
 export function initCSV() {
   if (!fs.existsSync(CSV_FILE)) {
     fs.writeFileSync(CSV_FILE, HEADERS.join(',') + '\n', 'utf8');
-    console.log('✅ Created training_data.csv');
+    writeSchema();
+    console.log(`✅ Created training_data.csv (feature registry v${FEATURE_REGISTRY.version})`);
+    return;
+  }
+
+  const fileVersion = readSchemaVersion();
+  const fileHeaders = fs.readFileSync(CSV_FILE, 'utf8').split('\n', 1)[0].trim().split(',');
+  if (fileVersion !== FEATURE_REGISTRY.version || fileHeaders.join(',') !== HEADERS.join(',')) {
+    const written = fileVersion === null ? 'an unknown feature registry version' : `feature registry v${fileVersion}`;
+    versionMismatch = `training_data.csv was written by ${written}, not v${FEATURE_REGISTRY.version}; move it aside (with training_data.features.json) to start a new file`;
+    console.error(`❌ ${versionMismatch}`);
   }
 }
 
 /**
  * Append a row to the CSV file
+ * @throws {Error} When the file was started under another feature registry version
  */
 export function appendToCSV(data) {
+  if (versionMismatch) throw new Error(versionMismatch);
+
   const row = HEADERS.map(header => {
     let value = data[header];
     
@@ -87,14 +68,38 @@ export function appendToCSV(data) {
   fs.appendFileSync(CSV_FILE, row + '\n', 'utf8');
 }
 
+function writeSchema() {
+  const schema = {
+    feature_version: FEATURE_REGISTRY.version,
+    features: FEATURE_REGISTRY.features.map(({ name, type, kind, since }) => ({ name, type, kind, since })),
+  };
+  fs.writeFileSync(SCHEMA_FILE, JSON.stringify(schema, null, 2) + '\n', 'utf8');
+}
+
+function readSchemaVersion() {
+  try {
+    return JSON.parse(fs.readFileSync(SCHEMA_FILE, 'utf8')).feature_version ?? null;
+  } catch {
+    return null;
+  }
+}
+
 /**
  * Get current row count (excluding header)
+ * Counts CSV records, not lines: a quoted value (e.g. message_text) can span several lines
  */
 export function getRowCount() {
   if (!fs.existsSync(CSV_FILE)) {
     return 0;
   }
   const content = fs.readFileSync(CSV_FILE, 'utf8');
-  const lines = content.trim().split('\n');
-  return Math.max(0, lines.length - 1); // Exclude header
+  let records = 0;
+  let quoted = false;
+  for (let i = 0; i < content.length; i++) {
+    // An escaped quote ("") flips twice, so it leaves the state unchanged
+    if (content[i] === '"') quoted = !quoted;
+    else if (content[i] === '\n' && !quoted) records++;
+  }
+  if (content.length > 0 && !content.endsWith('\n')) records++;
+  return Math.max(0, records - 1); // Exclude header
 }